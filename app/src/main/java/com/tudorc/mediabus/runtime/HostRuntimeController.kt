@@ -18,7 +18,7 @@ import kotlinx.coroutines.launch
 import org.json.JSONObject
 import java.security.SecureRandom
 import java.util.UUID
-import java.util.concurrent.locks.ReentrantLock
+import java.util.concurrent.Semaphore
 import kotlin.math.max
 
 class HostRuntimeController(
@@ -36,6 +36,7 @@ class HostRuntimeController(
 
     private val sessionsById = hashMapOf<String, SessionInfo>()
     private val transferById = linkedMapOf<String, TransferInfo>()
+    private val streamByKey = hashMapOf<String, StreamInfo>()
     private val revokedDeviceNotices = hashMapOf<String, Long>()
     private var overallProcessTotalBytes = 0L
     private var overallProcessTransferredBytes = 0L
@@ -303,13 +304,14 @@ class HostRuntimeController(
         batchTotalFiles: Int = 0,
         batchTotalBytes: Long = 0L,
         batchCompletedFiles: Int = 0,
+        completesBatchFile: Boolean = true,
     ): TransferTicket? {
         val runtime: DeviceRuntime
         val transfer: TransferInfo
         val normalizedBatchId = batchId?.takeIf { it.isNotBlank() }
         synchronized(lock) {
             if (
-                transferById.isEmpty() &&
+                !hasTrackedTransfersLocked() &&
                 (
                     normalizedBatchId == null ||
                         (normalizedBatchId != currentUploadBatchId && normalizedBatchId != currentDownloadBatchId)
@@ -337,7 +339,7 @@ class HostRuntimeController(
                         overallProcessTotalBytes = max(overallProcessTotalBytes, batchTotalBytes)
                     }
                 }
-            } else if (direction == TransferDirection.Uploading && normalizedBatchId == null && transferById.isEmpty()) {
+            } else if (direction == TransferDirection.Uploading && normalizedBatchId == null && !hasTrackedTransfersLocked()) {
                 currentUploadBatchId = null
                 currentUploadBatchTotalFiles = 0
                 currentUploadBatchCompletedFiles = 0
@@ -363,7 +365,7 @@ class HostRuntimeController(
                         overallProcessTotalBytes = max(overallProcessTotalBytes, batchTotalBytes)
                     }
                 }
-            } else if (direction == TransferDirection.Downloading && normalizedBatchId == null && transferById.isEmpty()) {
+            } else if (direction == TransferDirection.Downloading && normalizedBatchId == null && !hasTrackedTransfersLocked()) {
                 currentDownloadBatchId = null
                 currentDownloadBatchTotalFiles = 0
                 currentDownloadBatchCompletedFiles = 0
@@ -381,6 +383,7 @@ class HostRuntimeController(
                 active = false,
                 generation = runtime.cancelGeneration,
                 batchId = normalizedBatchId,
+                completesBatchFile = completesBatchFile,
             )
             val usingBatchTotalBytes = currentUploadBatchId != null &&
                 normalizedBatchId == currentUploadBatchId &&
@@ -399,12 +402,12 @@ class HostRuntimeController(
             )
         }
 
-        runtime.transferLock.lock()
+        runtime.transferSlots.acquireUninterruptibly()
         synchronized(lock) {
             val currentRuntime = deviceRuntime[deviceId]
             val currentTransfer = transferById[transfer.id]
             if (currentRuntime == null || currentTransfer == null) {
-                runtime.transferLock.unlock()
+                runtime.transferSlots.release()
                 return null
             }
 
@@ -412,7 +415,7 @@ class HostRuntimeController(
             if (!pairedDevices.containsKey(deviceId) || currentRuntime.cancelGeneration != currentTransfer.generation) {
                 transferById.remove(transfer.id)
                 publishLocked()
-                runtime.transferLock.unlock()
+                runtime.transferSlots.release()
                 return null
             }
             currentRuntime.activeTransfers++
@@ -469,8 +472,10 @@ class HostRuntimeController(
                         currentTransfer.active
                     ) {
                         currentUploadBatchActiveFiles = max(0, currentUploadBatchActiveFiles - 1)
-                        currentUploadBatchCompletedFiles = (currentUploadBatchCompletedFiles + 1)
-                            .coerceAtMost(max(1, currentUploadBatchTotalFiles))
+                        if (currentTransfer.completesBatchFile) {
+                            currentUploadBatchCompletedFiles = (currentUploadBatchCompletedFiles + 1)
+                                .coerceAtMost(max(1, currentUploadBatchTotalFiles))
+                        }
                     } else if (
                         currentTransfer != null &&
                         currentTransfer.direction == TransferDirection.Downloading &&
@@ -483,28 +488,7 @@ class HostRuntimeController(
                             .coerceAtMost(max(1, currentDownloadBatchTotalFiles))
                     }
                     publishLocked()
-                    if (transferById.isEmpty()) {
-                        val uploadBatchDone = currentUploadBatchId != null &&
-                            currentUploadBatchTotalFiles > 0 &&
-                            currentUploadBatchCompletedFiles >= currentUploadBatchTotalFiles
-                        val downloadBatchDone = currentDownloadBatchId != null &&
-                            currentDownloadBatchTotalFiles > 0 &&
-                            currentDownloadBatchCompletedFiles >= currentDownloadBatchTotalFiles
-                        if ((uploadBatchDone || currentUploadBatchId == null) && (downloadBatchDone || currentDownloadBatchId == null)) {
-                            overallProcessTotalBytes = 0L
-                            overallProcessTransferredBytes = 0L
-                            currentUploadBatchId = null
-                            currentUploadBatchTotalFiles = 0
-                            currentUploadBatchCompletedFiles = 0
-                            currentUploadBatchActiveFiles = 0
-                            currentUploadBatchTotalBytes = 0L
-                            currentDownloadBatchId = null
-                            currentDownloadBatchTotalFiles = 0
-                            currentDownloadBatchCompletedFiles = 0
-                            currentDownloadBatchActiveFiles = 0
-                            currentDownloadBatchTotalBytes = 0L
-                        }
-                    }
+                    resetProcessTotalsIfIdleLocked()
                     if (currentTransfer != null) {
                         ServerLogger.i(
                             LOG_COMPONENT,
@@ -512,13 +496,110 @@ class HostRuntimeController(
                         )
                     }
                 }
-                runtime.transferLock.unlock()
+                runtime.transferSlots.release()
+            },
+        )
+    }
+
+    /**
+     * Tracks inline media playback. A player issues a new range request for every seek, so requests for the same
+     * [streamKey] share one transfer entry that stays up until the stream has been idle for [STREAM_IDLE_MS].
+     * Streams never wait for a transfer slot: a paused player keeps its request open indefinitely.
+     */
+    fun beginStream(
+        deviceId: String,
+        streamKey: String,
+        totalBytes: Long,
+    ): TransferTicket? {
+        val key = "$deviceId|$streamKey"
+        val stream: StreamInfo
+        synchronized(lock) {
+            if (!pairedDevices.containsKey(deviceId)) {
+                return null
+            }
+            val runtime = deviceRuntime.getOrPut(deviceId) { DeviceRuntime() }
+            val existing = streamByKey[key]?.takeIf { transferById.containsKey(it.transferId) }
+            stream = existing ?: run {
+                val transfer = TransferInfo(
+                    id = UUID.randomUUID().toString(),
+                    deviceId = deviceId,
+                    direction = TransferDirection.Downloading,
+                    totalBytes = max(0L, totalBytes),
+                    transferredBytes = 0L,
+                    active = true,
+                    generation = runtime.cancelGeneration,
+                    streaming = true,
+                )
+                transferById[transfer.id] = transfer
+                runtime.activeTransfers++
+                ServerLogger.i(LOG_COMPONENT, "Started stream id=${transfer.id} deviceId=$deviceId totalBytes=$totalBytes")
+                StreamInfo(transferId = transfer.id, deviceId = deviceId, generation = transfer.generation).also {
+                    streamByKey[key] = it
+                }
+            }
+            stream.openRequests++
+            stream.lastActivityAtEpochMs = now()
+            publishLocked()
+        }
+
+        return TransferTicket(
+            onProgress = { delta ->
+                synchronized(lock) {
+                    val current = transferById[stream.transferId] ?: return@TransferTicket
+                    if (delta > 0) {
+                        // Seeking back re-reads bytes; progress is a rough "how much was watched", capped at the size.
+                        current.transferredBytes = (current.transferredBytes + delta).coerceAtMost(current.totalBytes)
+                        stream.lastActivityAtEpochMs = now()
+                        publishLocked()
+                    }
+                }
+            },
+            isCancelled = {
+                synchronized(lock) {
+                    val currentRuntime = deviceRuntime[deviceId] ?: return@synchronized true
+                    !pairedDevices.containsKey(deviceId) || currentRuntime.cancelGeneration != stream.generation
+                }
+            },
+            onFinish = {
+                synchronized(lock) {
+                    stream.openRequests = max(0, stream.openRequests - 1)
+                    stream.lastActivityAtEpochMs = now()
+                }
             },
         )
     }
 
     fun pairedDeviceSnapshot(): List<PairedDeviceStatus> = pairedStatuses.value
 
+    // Media streams linger between seeks, so they do not keep finished uploads and downloads "in progress".
+    private fun hasTrackedTransfersLocked(): Boolean = transferById.values.any { !it.streaming }
+
+    private fun resetProcessTotalsIfIdleLocked() {
+        if (hasTrackedTransfersLocked()) {
+            return
+        }
+        val uploadBatchDone = currentUploadBatchId != null &&
+            currentUploadBatchTotalFiles > 0 &&
+            currentUploadBatchCompletedFiles >= currentUploadBatchTotalFiles
+        val downloadBatchDone = currentDownloadBatchId != null &&
+            currentDownloadBatchTotalFiles > 0 &&
+            currentDownloadBatchCompletedFiles >= currentDownloadBatchTotalFiles
+        if ((uploadBatchDone || currentUploadBatchId == null) && (downloadBatchDone || currentDownloadBatchId == null)) {
+            overallProcessTotalBytes = 0L
+            overallProcessTransferredBytes = 0L
+            currentUploadBatchId = null
+            currentUploadBatchTotalFiles = 0
+            currentUploadBatchCompletedFiles = 0
+            currentUploadBatchActiveFiles = 0
+            currentUploadBatchTotalBytes = 0L
+            currentDownloadBatchId = null
+            currentDownloadBatchTotalFiles = 0
+            currentDownloadBatchCompletedFiles = 0
+            currentDownloadBatchActiveFiles = 0
+            currentDownloadBatchTotalBytes = 0L
+        }
+    }
+
     private fun removeSessionsForDeviceLocked(deviceId: String) {
         val sessionIds = sessionsById.values.filter { it.deviceId == deviceId }.map { it.sessionId }
         sessionIds.forEach { sessionsById.remove(it) }
@@ -653,6 +734,24 @@ class HostRuntimeController(
             .keys
             .toList()
         expiredRevocationNotices.forEach { revokedDeviceNotices.remove(it) }
+
+        val idleStreams = streamByKey.filterValues { stream ->
+            stream.openRequests == 0 && now - stream.lastActivityAtEpochMs >= STREAM_IDLE_MS
+        }
+        idleStreams.forEach { (key, stream) ->
+            streamByKey.remove(key)
+            val transfer = transferById.remove(stream.transferId) ?: return@forEach
+            deviceRuntime[stream.deviceId]?.let { runtime ->
+                runtime.activeTransfers = max(0, runtime.activeTransfers - 1)
+            }
+            ServerLogger.i(
+                LOG_COMPONENT,
+                "Finished stream id=${transfer.id} deviceId=${stream.deviceId} bytes=${transfer.transferredBytes}/${transfer.totalBytes}",
+            )
+        }
+        if (idleStreams.isNotEmpty()) {
+            resetProcessTotalsIfIdleLocked()
+        }
     }
 
     private fun publishLocked() {
@@ -821,10 +920,21 @@ class HostRuntimeController(
         var active: Boolean,
         val generation: Int,
         val batchId: String? = null,
+        val completesBatchFile: Boolean = true,
+        val streaming: Boolean = false,
     )
 
+    private class StreamInfo(
+        val transferId: String,
+        val deviceId: String,
+        val generation: Int,
+    ) {
+        var openRequests: Int = 0
+        var lastActivityAtEpochMs: Long = 0L
+    }
+
     private class DeviceRuntime {
-        val transferLock = ReentrantLock(true)
+        val transferSlots = Semaphore(MAX_CONCURRENT_TRANSFERS_PER_DEVICE, true)
         var sessionCount: Int = 0
         var queuedTransfers: Int = 0
         var activeTransfers: Int = 0
@@ -837,9 +947,11 @@ class HostRuntimeController(
         private const val SESSION_TTL_MS = 12 * 60 * 60 * 1000L
         private const val CONNECTED_WINDOW_MS = 12_000L
         private const val PRESENCE_TICK_MS = 1_500L
+        private const val STREAM_IDLE_MS = 10_000L
         private const val REVOKE_NOTICE_TTL_MS = 60_000L
         private const val MAX_PAIRED_DEVICES = 20
         private const val MAX_CONCURRENT_CLIENTS = 5
+        private const val MAX_CONCURRENT_TRANSFERS_PER_DEVICE = 6
         private const val LOG_COMPONENT = "Runtime"
     }
 }
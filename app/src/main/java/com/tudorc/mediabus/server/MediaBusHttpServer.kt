@@ -2,6 +2,8 @@ package com.tudorc.mediabus.server
 
 import android.content.Context
 import android.net.Uri
+import android.os.ParcelFileDescriptor
+import android.provider.DocumentsContract
 import androidx.documentfile.provider.DocumentFile
 import com.google.zxing.BarcodeFormat
 import com.google.zxing.MultiFormatWriter
@@ -24,6 +26,7 @@ import java.net.SocketTimeoutException
 import java.net.URLConnection
 import java.net.URLEncoder
 import java.nio.charset.StandardCharsets
+import java.security.MessageDigest
 import java.util.Locale
 import java.util.UUID
 import java.util.concurrent.Executors
@@ -42,6 +45,15 @@ class MediaBusHttpServer(
 ) : NanoHTTPD(bindAddress.hostAddress, portNumber) {
 
     private val zipExecutor = Executors.newCachedThreadPool()
+    private val thumbnailCache = ThumbnailCache(appContext)
+    private val sha256Cache = object : LinkedHashMap<String, String>(16, 0.75f, true) {
+        override fun removeEldestEntry(eldest: MutableMap.MutableEntry<String, String>?): Boolean {
+            return size > SHA256_CACHE_SIZE
+        }
+    }
+
+    @Volatile
+    private var lastTrashPurgeAt = 0L
 
     init {
         makeSecure(sslServerSocketFactory, null)
@@ -111,6 +123,14 @@ class MediaBusHttpServer(
                     handleListFiles(session)
                 }
 
+                session.method == Method.GET && session.uri == "/api/files/search" -> {
+                    handleSearch(session)
+                }
+
+                session.method == Method.GET && session.uri == "/api/files/thumbnail" -> {
+                    handleThumbnail(session)
+                }
+
                 session.method == Method.GET && session.uri == "/api/files/download" -> {
                     handleDownloadFile(session)
                 }
@@ -127,10 +147,38 @@ class MediaBusHttpServer(
                     handleUpload(session)
                 }
 
+                session.method == Method.GET && session.uri == "/api/files/upload-status" -> {
+                    handleUploadStatus(session)
+                }
+
+                session.method == Method.PUT && session.uri == "/api/files/upload-chunk" -> {
+                    handleUploadChunk(session)
+                }
+
+                session.method == Method.DELETE && session.uri == "/api/files/upload-chunk" -> {
+                    handleDiscardUpload(session)
+                }
+
                 session.method == Method.DELETE && session.uri == "/api/files/delete" -> {
                     handleDelete(session)
                 }
 
+                session.method == Method.GET && session.uri == "/api/trash/list" -> {
+                    handleTrashList(session)
+                }
+
+                session.method == Method.POST && session.uri == "/api/trash/restore" -> {
+                    handleTrashRestore(session)
+                }
+
+                session.method == Method.DELETE && session.uri == "/api/trash/purge" -> {
+                    handleTrashPurge(session, emptyAll = false)
+                }
+
+                session.method == Method.DELETE && session.uri == "/api/trash/empty" -> {
+                    handleTrashPurge(session, emptyAll = true)
+                }
+
                 session.method == Method.POST && session.uri == "/api/files/mkdir" -> {
                     handleCreateFolder(session)
                 }
@@ -139,6 +187,18 @@ class MediaBusHttpServer(
                     handleRename(session)
                 }
 
+                session.method == Method.POST && session.uri == "/api/files/rename-batch" -> {
+                    handleRenameBatch(session)
+                }
+
+                session.method == Method.POST && session.uri == "/api/files/move" -> {
+                    handleMoveOrCopy(session, copy = false)
+                }
+
+                session.method == Method.POST && session.uri == "/api/files/copy" -> {
+                    handleMoveOrCopy(session, copy = true)
+                }
+
                 session.method == Method.GET && session.uri == "/api/qr" -> {
                     handleQrSvg(session)
                 }
@@ -302,18 +362,11 @@ class MediaBusHttpServer(
         val includeHidden = runtime.showHiddenFiles()
         val items = directory.listFiles()
             .filter { file ->
-                includeHidden || !(file.name ?: "").startsWith('.')
+                val name = file.name.orEmpty()
+                !isUploadPartName(name) && !isTrashPath(segments + name) && (includeHidden || !name.startsWith('.'))
             }
             .sortedWith(compareBy<DocumentFile>({ !it.isDirectory }, { it.name.orEmpty().lowercase(Locale.US) }))
-            .map { file ->
-                val itemPath = (segments + file.name.orEmpty()).joinToString("/")
-                JSONObject()
-                    .put("name", file.name.orEmpty())
-                    .put("path", itemPath)
-                    .put("directory", file.isDirectory)
-                    .put("size", if (file.isFile) maxOf(0L, file.length()) else 0L)
-                    .put("lastModified", file.lastModified())
-            }
+            .map { file -> fileItemJson(file, segments) }
 
         val payload = JSONObject()
             .put("deviceId", auth.device.deviceId)
@@ -326,6 +379,109 @@ class MediaBusHttpServer(
         return jsonResponse(payload)
     }
 
+    private fun fileItemJson(file: DocumentFile, parentSegments: List<String>): JSONObject {
+        return JSONObject()
+            .put("name", file.name.orEmpty())
+            .put("path", (parentSegments + file.name.orEmpty()).joinToString("/"))
+            .put("directory", file.isDirectory)
+            .put("size", if (file.isFile) maxOf(0L, file.length()) else 0L)
+            .put("lastModified", file.lastModified())
+    }
+
+    // Walks the tree breadth-first on a worker thread and streams one JSON object per line, so the
+    // client can show shallow matches while deeper folders are still being listed.
+    private fun handleSearch(session: IHTTPSession): Response {
+        val auth = authenticatedDevice(session) ?: return unauthorized()
+        val root = rootDocument() ?: return sharedFolderUnavailable()
+
+        val segments = normalizePath(session.queryParam("path"))
+        val includeHidden = runtime.showHiddenFiles()
+        if (!includeHidden && segments.any { it.startsWith('.') }) {
+            return newFixedLengthResponse(Response.Status.FORBIDDEN, MIME_PLAINTEXT, "Hidden paths are disabled")
+        }
+        val criteria = SearchCriteria.fromSession(session)
+            ?: return newFixedLengthResponse(
+                Response.Status.BAD_REQUEST,
+                MIME_PLAINTEXT,
+                "Enter a name, extension, size or date to search for",
+            )
+        val directory = resolveDirectory(root, segments, createIfMissing = false)
+            ?: return newFixedLengthResponse(Response.Status.NOT_FOUND, MIME_PLAINTEXT, "Folder not found")
+        val limit = session.queryParam("limit").toIntOrNull()?.coerceIn(1, SEARCH_MAX_RESULTS) ?: SEARCH_DEFAULT_RESULTS
+        ServerLogger.i(
+            LOG_COMPONENT,
+            "search start deviceId=${auth.device.deviceId} path=/${segments.joinToString("/")} limit=$limit",
+        )
+
+        val pipeOut = java.io.PipedOutputStream()
+        val pipeIn = java.io.PipedInputStream(pipeOut, 16 * 1024)
+        zipExecutor.execute {
+            var matches = 0
+            var scannedFolders = 0
+            var truncated = false
+            try {
+                pipeOut.bufferedWriter(StandardCharsets.UTF_8).use { writer ->
+                    val emit = { line: JSONObject ->
+                        writer.write(line.toString())
+                        writer.write("\n")
+                        writer.flush()
+                    }
+                    val pending = ArrayDeque<Pair<DocumentFile, List<String>>>()
+                    pending.addLast(directory to segments)
+                    while (pending.isNotEmpty() && !truncated) {
+                        val (folder, folderSegments) = pending.removeFirst()
+                        scannedFolders += 1
+                        val children = folder.listFiles()
+                            .filter { file ->
+                                val name = file.name.orEmpty()
+                                !isUploadPartName(name) &&
+                                    !isTrashPath(folderSegments + name) &&
+                                    (includeHidden || !name.startsWith('.'))
+                            }
+                            .sortedBy { it.name.orEmpty().lowercase(Locale.US) }
+                        for (child in children) {
+                            if (criteria.matches(child)) {
+                                if (matches >= limit) {
+                                    truncated = true
+                                    break
+                                }
+                                emit(
+                                    JSONObject()
+                                        .put("type", "match")
+                                        .put("item", fileItemJson(child, folderSegments).put("parent", folderSegments.joinToString("/"))),
+                                )
+                                matches += 1
+                            }
+                            if (child.isDirectory) {
+                                pending.addLast(child to folderSegments + child.name.orEmpty())
+                            }
+                        }
+                        if (scannedFolders % SEARCH_PROGRESS_EVERY_FOLDERS == 0) {
+                            emit(JSONObject().put("type", "progress").put("scannedFolders", scannedFolders))
+                        }
+                    }
+                    emit(
+                        JSONObject()
+                            .put("type", "done")
+                            .put("matches", matches)
+                            .put("scannedFolders", scannedFolders)
+                            .put("truncated", truncated),
+                    )
+                }
+                ServerLogger.i(LOG_COMPONENT, "search done matches=$matches folders=$scannedFolders truncated=$truncated")
+            } catch (_: IOException) {
+                // The client closing the result stream early (new query, navigation) ends the walk here.
+            } catch (throwable: Throwable) {
+                ServerLogger.w(LOG_COMPONENT, "search failed message=${throwable.message}")
+            } finally {
+                runCatching { pipeOut.close() }
+            }
+        }
+        return newChunkedResponse(Response.Status.OK, "application/x-ndjson; charset=utf-8", pipeIn).apply {
+            addHeader("Cache-Control", "no-store")
+        }
+    }
+
     private fun handleDownloadFile(session: IHTTPSession): Response {
         if (!runtime.downloadEnabled()) {
             return newFixedLengthResponse(Response.Status.FORBIDDEN, MIME_PLAINTEXT, "Downloads are disabled")
@@ -346,32 +502,129 @@ class MediaBusHttpServer(
         if (!node.isFile) {
             return newFixedLengthResponse(Response.Status.BAD_REQUEST, MIME_PLAINTEXT, "Expected file")
         }
-        val batchId = session.headers["x-mediabus-batch-id"]?.takeIf { it.isNotBlank() }
-        val batchTotalFiles = session.headers["x-mediabus-batch-total"]?.toIntOrNull() ?: 0
-        val batchTotalBytes = session.headers["x-mediabus-batch-bytes"]?.toLongOrNull() ?: 0L
-        val batchCompletedFiles = session.headers["x-mediabus-batch-completed"]?.toIntOrNull() ?: 0
-
-        val ticket = runtime.beginTransfer(
-            deviceId = auth.device.deviceId,
-            direction = TransferDirection.Downloading,
-            totalBytes = maxOf(0L, node.length()),
-            batchId = batchId,
-            batchTotalFiles = batchTotalFiles,
-            batchTotalBytes = batchTotalBytes,
-            batchCompletedFiles = batchCompletedFiles,
-        ) ?: return newFixedLengthResponse(Response.Status.FORBIDDEN, MIME_PLAINTEXT, "Transfer unavailable")
-        ServerLogger.i(
-            LOG_COMPONENT,
-            "download file start deviceId=${auth.device.deviceId} path=/${segments.joinToString("/")} size=${node.length()}",
-        )
+        val size = maxOf(0L, node.length())
+        val etag = downloadEtag(node)
+        // A stale If-Range validator means the file changed, so the client gets the whole new file.
+        val ifRange = session.headers["if-range"]?.trim()
+        val range = if (ifRange == null || ifRange == etag) parseByteRange(session.headers["range"], size) else null
+        if (range != null && range.length <= 0L) {
+            return newFixedLengthResponse(Response.Status.RANGE_NOT_SATISFIABLE, MIME_PLAINTEXT, "Range not satisfiable").apply {
+                addHeader("Content-Range", "bytes */$size")
+                addHeader("Accept-Ranges", "bytes")
+                addHeader("ETag", etag)
+            }
+        }
+        // Inline requests come from <video>/<audio>/<img> elements: every seek is a new range request for the
+        // same playback, so they share one stream ticket instead of each counting as a finished download.
+        val inline = session.queryParam("inline") == "1"
+        val ticket = if (inline) {
+            runtime.beginStream(
+                deviceId = auth.device.deviceId,
+                streamKey = "${node.uri}|$etag",
+                totalBytes = size,
+            )
+        } else {
+            runtime.beginTransfer(
+                deviceId = auth.device.deviceId,
+                direction = TransferDirection.Downloading,
+                totalBytes = range?.length ?: size,
+                batchId = session.headers["x-mediabus-batch-id"]?.takeIf { it.isNotBlank() },
+                batchTotalFiles = session.headers["x-mediabus-batch-total"]?.toIntOrNull() ?: 0,
+                batchTotalBytes = session.headers["x-mediabus-batch-bytes"]?.toLongOrNull() ?: 0L,
+                batchCompletedFiles = session.headers["x-mediabus-batch-completed"]?.toIntOrNull() ?: 0,
+            )
+        } ?: return newFixedLengthResponse(Response.Status.FORBIDDEN, MIME_PLAINTEXT, "Transfer unavailable")
+        if (!inline || range == null || range.start == 0L) {
+            ServerLogger.i(
+                LOG_COMPONENT,
+                "${if (inline) "stream" else "download"} file start deviceId=${auth.device.deviceId} " +
+                    "path=/${segments.joinToString("/")} size=$size" +
+                    (range?.let { " range=${it.start}-${it.endInclusive}" } ?: ""),
+            )
+        }
 
-        val stream = appContext.contentResolver.openInputStream(node.uri)
-            ?: return newFixedLengthResponse(Response.Status.INTERNAL_ERROR, MIME_PLAINTEXT, "Cannot open stream")
+        // Hashing reads the whole file before the first byte goes out, so large files are only
+        // verified when their hash is already known, e.g. from being uploaded with one.
+        val sha256 = if (!inline && session.headers["x-mediabus-want-sha256"] == "1") {
+            runCatching { cachedSha256(node, computeIfMissing = size <= SHA256_EAGER_MAX_BYTES) }.getOrElse { throwable ->
+                ticket.close()
+                throw throwable
+            }
+        } else {
+            null
+        }
+        val stream = runCatching { openStreamAt(node, range?.start ?: 0L) }.getOrNull()
+        if (stream == null) {
+            ticket.close()
+            return newFixedLengthResponse(Response.Status.INTERNAL_ERROR, MIME_PLAINTEXT, "Cannot open stream")
+        }
         val tracked = TicketTrackingInputStream(stream, ticket)
-        val mimeType = URLConnection.guessContentTypeFromName(node.name.orEmpty()) ?: "application/octet-stream"
-        return newChunkedResponse(Response.Status.OK, mimeType, tracked).apply {
-            addHeader("Content-Disposition", "attachment; filename=\"${node.name.orEmpty().replace("\"", "")}\"")
+        val mimeType = contentTypeFor(node.name.orEmpty())
+        // Uploaded HTML or SVG shown inline would run script on this origin with the session cookie.
+        val showInline = inline && isInlineSafe(mimeType)
+        val response = if (range != null) {
+            newFixedLengthResponse(Response.Status.PARTIAL_CONTENT, mimeType, tracked, range.length).apply {
+                addHeader("Content-Range", "bytes ${range.start}-${range.endInclusive}/$size")
+            }
+        } else {
+            newFixedLengthResponse(Response.Status.OK, mimeType, tracked, size)
+        }
+        return response.apply {
+            addHeader(
+                "Content-Disposition",
+                "${if (showInline) "inline" else "attachment"}; filename=\"${node.name.orEmpty().replace("\"", "")}\"",
+            )
+            if (showInline) {
+                addHeader("X-Content-Type-Options", "nosniff")
+                addHeader("Content-Security-Policy", "sandbox")
+            }
             addHeader("Cache-Control", "no-store")
+            addHeader("Accept-Ranges", "bytes")
+            addHeader("ETag", etag)
+            if (sha256 != null) {
+                addHeader(SHA256_HEADER, sha256)
+            }
+        }
+    }
+
+    private fun handleThumbnail(session: IHTTPSession): Response {
+        if (!runtime.downloadEnabled()) {
+            return newFixedLengthResponse(Response.Status.FORBIDDEN, MIME_PLAINTEXT, "Downloads are disabled")
+        }
+        authenticatedDevice(session) ?: return unauthorized()
+        val root = rootDocument() ?: return sharedFolderUnavailable()
+
+        val segments = normalizePath(session.queryParam("path"))
+        if (segments.isEmpty()) {
+            return newFixedLengthResponse(Response.Status.BAD_REQUEST, MIME_PLAINTEXT, "Invalid file path")
+        }
+        if (!runtime.showHiddenFiles() && segments.any { it.startsWith('.') }) {
+            return newFixedLengthResponse(Response.Status.FORBIDDEN, MIME_PLAINTEXT, "Hidden paths are disabled")
+        }
+        val node = resolveNode(root, segments)
+            ?.takeIf { it.isFile }
+            ?: return newFixedLengthResponse(Response.Status.NOT_FOUND, MIME_PLAINTEXT, "File not found")
+        val mimeType = contentTypeFor(node.name.orEmpty())
+        if (!mimeType.startsWith("image/") && !mimeType.startsWith("video/")) {
+            return newFixedLengthResponse(Response.Status.UNSUPPORTED_MEDIA_TYPE, MIME_PLAINTEXT, "No thumbnail for this file type")
+        }
+        val maxEdge = session.queryParam("size").toIntOrNull()
+            ?.coerceIn(THUMBNAIL_MIN_EDGE, THUMBNAIL_MAX_EDGE)
+            ?: THUMBNAIL_DEFAULT_EDGE
+        val sourceEtag = downloadEtag(node)
+        val etag = "\"t$maxEdge-${sourceEtag.trim('"')}\""
+        if (session.headers["if-none-match"]?.split(',')?.any { it.trim() == etag } == true) {
+            return newFixedLengthResponse(Response.Status.NOT_MODIFIED, MIME_PLAINTEXT, "").apply {
+                addHeader("ETag", etag)
+                addHeader("Cache-Control", THUMBNAIL_CACHE_CONTROL)
+            }
+        }
+
+        val thumbnail = thumbnailCache.thumbnailFor(node.uri, mimeType, sourceEtag, maxEdge)
+            ?: return newFixedLengthResponse(Response.Status.NOT_FOUND, MIME_PLAINTEXT, "Thumbnail unavailable")
+        return newFixedLengthResponse(Response.Status.OK, "image/jpeg", thumbnail.inputStream(), thumbnail.length()).apply {
+            addHeader("ETag", etag)
+            addHeader("Cache-Control", THUMBNAIL_CACHE_CONTROL)
         }
     }
 
@@ -396,7 +649,7 @@ class MediaBusHttpServer(
         val batchTotalBytes = session.headers["x-mediabus-batch-bytes"]?.toLongOrNull() ?: 0L
         val batchCompletedFiles = session.headers["x-mediabus-batch-completed"]?.toIntOrNull() ?: 0
 
-        val totalBytes = calculateTreeSize(node)
+        val totalBytes = calculateTreeSize(node, segments)
         val ticket = runtime.beginTransfer(
             deviceId = auth.device.deviceId,
             direction = TransferDirection.Downloading,
@@ -417,7 +670,7 @@ class MediaBusHttpServer(
         zipExecutor.execute {
             try {
                 ZipOutputStream(BufferedOutputStream(pipeOut)).use { zip ->
-                    zipDirectory(node, "", zip, ticket)
+                    zipDirectory(node, segments, "", zip, ticket)
                 }
             } catch (_: Throwable) {
             } finally {
@@ -473,7 +726,7 @@ class MediaBusHttpServer(
             val node = resolveNode(root, segments)
                 ?: return newFixedLengthResponse(Response.Status.NOT_FOUND, MIME_PLAINTEXT, "File not found: $joined")
             nodes += joined to node
-            totalBytes += calculateTreeSize(node)
+            totalBytes += calculateTreeSize(node, segments)
         }
 
         val ticket = runtime.beginTransfer(
@@ -496,14 +749,14 @@ class MediaBusHttpServer(
             try {
                 ZipOutputStream(BufferedOutputStream(pipeOut)).use { zip ->
                     val usedNames = linkedSetOf<String>()
-                    nodes.forEach { (_, node) ->
+                    nodes.forEach { (joined, node) ->
                         if (ticket.cancelled()) throw IOException("cancelled")
                         val preferredName = node.name.orEmpty().ifBlank { "item" }
                         val entryName = uniqueEntryName(usedNames, preferredName)
                         if (node.isDirectory) {
                             zip.putNextEntry(ZipEntry("$entryName/"))
                             zip.closeEntry()
-                            zipDirectory(node, entryName, zip, ticket)
+                            zipDirectory(node, joined.split('/'), entryName, zip, ticket)
                         } else if (node.isFile) {
                             zip.putNextEntry(ZipEntry(entryName))
                             appContext.contentResolver.openInputStream(node.uri)?.use { input ->
@@ -551,12 +804,36 @@ class MediaBusHttpServer(
             return newFixedLengthResponse(Response.Status.FORBIDDEN, MIME_PLAINTEXT, "Hidden paths are disabled")
         }
         val rawName = session.queryParamOrNull("name") ?: session.headers["x-file-name"].orEmpty()
-        val fileName = sanitizeSegment(rawName)
+        val fileName = sanitizeNewName(rawName)
             ?: return newFixedLengthResponse(Response.Status.BAD_REQUEST, MIME_PLAINTEXT, "Invalid file name")
+        if (isTrashPath(targetSegments + fileName)) {
+            return trashPathRejected()
+        }
         val mimeType = session.headers["content-type"]?.takeIf { it.isNotBlank() } ?: "application/octet-stream"
+        val conflictPolicy = UploadConflictPolicy.fromParam(session.queryParam("conflict"))
+            ?: return newFixedLengthResponse(Response.Status.BAD_REQUEST, MIME_PLAINTEXT, "Invalid conflict policy")
+        val expectedSha256 = expectedSha256(session)
 
         val directory = resolveDirectory(root, targetSegments, createIfMissing = true)
             ?: return newFixedLengthResponse(Response.Status.NOT_FOUND, MIME_PLAINTEXT, "Destination not found")
+        if (conflictPolicy == UploadConflictPolicy.Skip && directory.findFile(fileName) != null) {
+            return skippedUploadResponse(fileName)
+        }
+        // Editors send the ETag they loaded the file with, so a save never clobbers a newer version on the host.
+        val ifMatch = session.headers["if-match"]?.trim()?.takeIf { it.isNotEmpty() }
+        if (ifMatch != null && !etagMatches(directory.findFile(fileName), ifMatch)) {
+            return editConflict(fileName)
+        }
+        // Replacing a file removes the old one, so it needs the delete permission as well. Editor saves
+        // carry the ETag they loaded and only update that same file, so they are exempt.
+        if (
+            conflictPolicy == UploadConflictPolicy.Overwrite &&
+            ifMatch == null &&
+            !runtime.deleteEnabled() &&
+            directory.findFile(fileName) != null
+        ) {
+            return newFixedLengthResponse(Response.Status.FORBIDDEN, MIME_PLAINTEXT, "Deletes are disabled")
+        }
 
         val uniqueName = nextAvailableName(directory, fileName)
         val outputFile = directory.createFile(mimeType, uniqueName)
@@ -580,19 +857,54 @@ class MediaBusHttpServer(
         )
 
         return runCatching {
+            val digest = expectedSha256?.let { MessageDigest.getInstance("SHA-256") }
             appContext.contentResolver.openOutputStream(outputFile.uri)?.use { output ->
                 copyInput(
                     input = session.inputStream,
                     output = output,
                     ticket = ticket,
                     expectedTotalBytes = totalBytes,
+                    digest = digest,
                 )
             } ?: throw IOException("Unable to open destination")
+            if (expectedSha256 != null && digest != null) {
+                val actualSha256 = digest.digest().toLowerHex()
+                if (actualSha256 != expectedSha256) {
+                    runCatching { outputFile.delete() }
+                    return@runCatching integrityMismatch(uniqueName, expectedSha256, actualSha256)
+                }
+            }
 
+            if (ifMatch != null && !etagMatches(directory.findFile(fileName), ifMatch)) {
+                runCatching { outputFile.delete() }
+                return@runCatching editConflict(fileName)
+            }
+            // The upload was written under a free name, so the original is only replaced once every byte arrived.
+            val finalName = if (conflictPolicy == UploadConflictPolicy.Overwrite && uniqueName != fileName) {
+                placeUploadedFile(
+                    root,
+                    directory,
+                    targetSegments,
+                    outputFile,
+                    fileName,
+                    conflictPolicy,
+                    auth.device.displayName,
+                    inPlaceEdit = ifMatch != null,
+                )
+                    ?: return@runCatching skippedUploadResponse(fileName)
+            } else {
+                uniqueName
+            }
+            val stored = directory.findFile(finalName)
+            if (expectedSha256 != null && stored != null) {
+                rememberSha256(stored, expectedSha256)
+            }
             jsonResponse(
                 JSONObject()
                     .put("status", "ok")
-                    .put("name", uniqueName),
+                    .put("name", finalName)
+                    .put("etag", stored?.let(::downloadEtag) ?: JSONObject.NULL)
+                    .put("lastModified", stored?.lastModified() ?: 0L),
             )
         }.getOrElse { throwable ->
             if (isClientDisconnectError(throwable)) {
@@ -611,6 +923,8 @@ class MediaBusHttpServer(
             runCatching { outputFile.delete() }
             if (throwable is IOException && throwable.message == "cancelled") {
                 newFixedLengthResponse(Response.Status.FORBIDDEN, MIME_PLAINTEXT, "Transfer cancelled")
+            } else if (throwable is UploadConflictException) {
+                newFixedLengthResponse(Response.Status.CONFLICT, MIME_PLAINTEXT, throwable.message.orEmpty())
             } else {
                 newFixedLengthResponse(Response.Status.INTERNAL_ERROR, MIME_PLAINTEXT, throwable.message ?: "Upload failed")
             }
@@ -620,95 +934,591 @@ class MediaBusHttpServer(
         }
     }
 
-    private fun handleDelete(session: IHTTPSession): Response {
-        if (!runtime.deleteEnabled()) {
-            return newFixedLengthResponse(Response.Status.FORBIDDEN, MIME_PLAINTEXT, "Deletes are disabled")
+    private fun handleUploadStatus(session: IHTTPSession): Response {
+        if (!runtime.uploadEnabled()) {
+            return newFixedLengthResponse(Response.Status.FORBIDDEN, MIME_PLAINTEXT, "Uploads are disabled")
         }
-        val auth = authenticatedDevice(session) ?: return unauthorized()
+        authenticatedDevice(session) ?: return unauthorized()
         val root = rootDocument() ?: return sharedFolderUnavailable()
 
-        val segments = normalizePath(session.queryParam("path"))
-        if (segments.isEmpty()) {
-            return newFixedLengthResponse(Response.Status.BAD_REQUEST, MIME_PLAINTEXT, "Invalid file path")
-        }
-        if (!runtime.showHiddenFiles() && segments.any { it.startsWith('.') }) {
+        val uploadId = sanitizeUploadId(session.queryParam("id"))
+            ?: return newFixedLengthResponse(Response.Status.BAD_REQUEST, MIME_PLAINTEXT, "Invalid upload id")
+        val targetSegments = normalizePath(session.queryParam("path"))
+        if (!runtime.showHiddenFiles() && targetSegments.any { it.startsWith('.') }) {
             return newFixedLengthResponse(Response.Status.FORBIDDEN, MIME_PLAINTEXT, "Hidden paths are disabled")
         }
-        val node = resolveNode(root, segments)
-            ?: return newFixedLengthResponse(Response.Status.NOT_FOUND, MIME_PLAINTEXT, "File not found")
-        val deleted = node.delete()
-        if (!deleted) {
-            return newFixedLengthResponse(Response.Status.INTERNAL_ERROR, MIME_PLAINTEXT, "Unable to delete item")
-        }
-        ServerLogger.i(
-            LOG_COMPONENT,
-            "delete item success deviceId=${auth.device.deviceId} path=/${segments.joinToString("/")}",
-        )
+        val part = resolveDirectory(root, targetSegments, createIfMissing = false)
+            ?.findFile(uploadPartName(uploadId))
+            ?.takeIf { it.isFile }
         return jsonResponse(
             JSONObject()
-                .put("status", "ok")
-                .put("path", segments.joinToString("/")),
+                .put("id", uploadId)
+                .put("exists", part != null)
+                .put("receivedBytes", part?.let { maxOf(0L, it.length()) } ?: 0L),
         )
     }
 
-    private fun handleCreateFolder(session: IHTTPSession): Response {
+    private fun handleUploadChunk(session: IHTTPSession): Response {
         if (!runtime.uploadEnabled()) {
             return newFixedLengthResponse(Response.Status.FORBIDDEN, MIME_PLAINTEXT, "Uploads are disabled")
         }
         val auth = authenticatedDevice(session) ?: return unauthorized()
         val root = rootDocument() ?: return sharedFolderUnavailable()
 
+        val uploadId = sanitizeUploadId(session.queryParam("id"))
+            ?: return newFixedLengthResponse(Response.Status.BAD_REQUEST, MIME_PLAINTEXT, "Invalid upload id")
         val targetSegments = normalizePath(session.queryParam("path"))
         if (!runtime.showHiddenFiles() && targetSegments.any { it.startsWith('.') }) {
             return newFixedLengthResponse(Response.Status.FORBIDDEN, MIME_PLAINTEXT, "Hidden paths are disabled")
         }
-        val rawName = session.queryParamOrNull("name").orEmpty()
-        val folderName = sanitizeSegment(rawName)
-            ?: return newFixedLengthResponse(Response.Status.BAD_REQUEST, MIME_PLAINTEXT, "Invalid folder name")
-        if (!runtime.showHiddenFiles() && folderName.startsWith('.')) {
-            return newFixedLengthResponse(Response.Status.FORBIDDEN, MIME_PLAINTEXT, "Hidden paths are disabled")
+        val rawName = session.queryParamOrNull("name") ?: session.headers["x-file-name"].orEmpty()
+        val fileName = sanitizeNewName(rawName)
+            ?: return newFixedLengthResponse(Response.Status.BAD_REQUEST, MIME_PLAINTEXT, "Invalid file name")
+        if (isTrashPath(targetSegments + fileName)) {
+            return trashPathRejected()
         }
-        val parent = resolveDirectory(root, targetSegments, createIfMissing = false)
+        val offset = session.queryParam("offset").toLongOrNull()?.takeIf { it >= 0L }
+            ?: return newFixedLengthResponse(Response.Status.BAD_REQUEST, MIME_PLAINTEXT, "Invalid offset")
+        val totalBytes = session.queryParam("total").toLongOrNull()?.takeIf { it >= 0L }
+            ?: return newFixedLengthResponse(Response.Status.BAD_REQUEST, MIME_PLAINTEXT, "Invalid total size")
+        val chunkBytes = session.headers["content-length"]?.toLongOrNull()?.takeIf { it >= 0L }
+            ?: return newFixedLengthResponse(Response.Status.BAD_REQUEST, MIME_PLAINTEXT, "Missing content length")
+        if (offset + chunkBytes > totalBytes) {
+            return newFixedLengthResponse(Response.Status.BAD_REQUEST, MIME_PLAINTEXT, "Chunk exceeds declared size")
+        }
+        val conflictPolicy = UploadConflictPolicy.fromParam(session.queryParam("conflict"))
+            ?: return newFixedLengthResponse(Response.Status.BAD_REQUEST, MIME_PLAINTEXT, "Invalid conflict policy")
+
+        val directory = resolveDirectory(root, targetSegments, createIfMissing = true)
             ?: return newFixedLengthResponse(Response.Status.NOT_FOUND, MIME_PLAINTEXT, "Destination not found")
-        if (parent.findFile(folderName) != null) {
-            return newFixedLengthResponse(Response.Status.CONFLICT, MIME_PLAINTEXT, "Name already exists")
+        if (offset == 0L && conflictPolicy == UploadConflictPolicy.Skip && directory.findFile(fileName) != null) {
+            return skippedUploadResponse(fileName)
+        }
+        if (
+            offset == 0L &&
+            conflictPolicy == UploadConflictPolicy.Overwrite &&
+            !runtime.deleteEnabled() &&
+            directory.findFile(fileName) != null
+        ) {
+            return newFixedLengthResponse(Response.Status.FORBIDDEN, MIME_PLAINTEXT, "Deletes are disabled")
         }
-        val created = parent.createDirectory(folderName)
-            ?: return newFixedLengthResponse(Response.Status.INTERNAL_ERROR, MIME_PLAINTEXT, "Unable to create folder")
-        val createdPath = (targetSegments + (created.name ?: folderName)).joinToString("/")
+        val partName = uploadPartName(uploadId)
+        val existingPart = directory.findFile(partName)?.takeIf { it.isFile }
+        val partLength = existingPart?.let { maxOf(0L, it.length()) } ?: 0L
+        if (offset > partLength) {
+            // The client is ahead of what actually reached disk; make it resend from our offset.
+            return newFixedLengthResponse(
+                Response.Status.CONFLICT,
+                "application/json; charset=utf-8",
+                JSONObject()
+                    .put("error", "Upload offset mismatch")
+                    .put("receivedBytes", partLength)
+                    .toString(),
+            )
+        }
+        val partFile = existingPart ?: directory.createFile(UPLOAD_PART_MIME_TYPE, partName)
+            ?: return newFixedLengthResponse(Response.Status.INTERNAL_ERROR, MIME_PLAINTEXT, "Unable to create file")
+
+        val isFinalChunk = offset + chunkBytes >= totalBytes
+        val expectedSha256 = if (isFinalChunk) expectedSha256(session) else null
+        val batchId = session.headers["x-mediabus-batch-id"]?.takeIf { it.isNotBlank() }
+        val batchTotalFiles = session.headers["x-mediabus-batch-total"]?.toIntOrNull() ?: 0
+        val batchTotalBytes = session.headers["x-mediabus-batch-bytes"]?.toLongOrNull() ?: 0L
+        val ticket = runtime.beginTransfer(
+            deviceId = auth.device.deviceId,
+            direction = TransferDirection.Uploading,
+            totalBytes = chunkBytes,
+            batchId = batchId,
+            batchTotalFiles = batchTotalFiles,
+            batchTotalBytes = batchTotalBytes,
+            completesBatchFile = isFinalChunk,
+        ) ?: return newFixedLengthResponse(Response.Status.FORBIDDEN, MIME_PLAINTEXT, "Transfer unavailable")
+        if (offset == 0L || isFinalChunk) {
+            ServerLogger.i(
+                LOG_COMPONENT,
+                "upload chunk deviceId=${auth.device.deviceId} id=$uploadId path=/${targetSegments.joinToString("/")} name=$fileName offset=$offset length=$chunkBytes total=$totalBytes",
+            )
+        }
+
+        return runCatching {
+            val descriptor = appContext.contentResolver.openFileDescriptor(partFile.uri, "rw")
+                ?: throw IOException("Unable to open destination")
+            ParcelFileDescriptor.AutoCloseOutputStream(descriptor).use { output ->
+                // Drop anything past the confirmed offset (e.g. a chunk whose response was lost).
+                output.channel.truncate(offset)
+                output.channel.position(offset)
+                if (chunkBytes > 0L) {
+                    copyInput(
+                        input = session.inputStream,
+                        output = output,
+                        ticket = ticket,
+                        expectedTotalBytes = chunkBytes,
+                    )
+                }
+            }
+            val receivedBytes = maxOf(0L, partFile.length())
+            if (receivedBytes < totalBytes) {
+                return@runCatching jsonResponse(
+                    JSONObject()
+                        .put("status", "ok")
+                        .put("receivedBytes", receivedBytes)
+                        .put("complete", false),
+                )
+            }
+
+            if (expectedSha256 != null) {
+                // Chunks may span several connections and restarts, so verify what actually landed on disk.
+                val actualSha256 = sha256Of(partFile)
+                if (actualSha256 != expectedSha256) {
+                    runCatching { partFile.delete() }
+                    return@runCatching integrityMismatch(fileName, expectedSha256, actualSha256)
+                }
+            }
+            val finalName = placeUploadedFile(
+                root,
+                directory,
+                targetSegments,
+                partFile,
+                fileName,
+                conflictPolicy,
+                auth.device.displayName,
+            )
+                ?: return@runCatching skippedUploadResponse(fileName)
+            if (expectedSha256 != null) {
+                directory.findFile(finalName)?.let { stored -> rememberSha256(stored, expectedSha256) }
+            }
+            ServerLogger.i(
+                LOG_COMPONENT,
+                "upload complete deviceId=${auth.device.deviceId} id=$uploadId name=$finalName size=$receivedBytes",
+            )
+            jsonResponse(
+                JSONObject()
+                    .put("status", "ok")
+                    .put("receivedBytes", receivedBytes)
+                    .put("complete", true)
+                    .put("name", finalName),
+            )
+        }.getOrElse { throwable ->
+            // The partial file is kept on purpose so the client can resume from it.
+            if (isClientDisconnectError(throwable)) {
+                ServerLogger.i(
+                    LOG_COMPONENT,
+                    "upload chunk interrupted deviceId=${auth.device.deviceId} id=$uploadId offset=$offset",
+                )
+                return@getOrElse newFixedLengthResponse(Response.Status.NO_CONTENT, MIME_PLAINTEXT, "")
+            }
+            ServerLogger.e(
+                LOG_COMPONENT,
+                "upload chunk failed deviceId=${auth.device.deviceId} id=$uploadId message=${throwable.message}",
+                throwable,
+            )
+            if (throwable is IOException && throwable.message == "cancelled") {
+                newFixedLengthResponse(Response.Status.FORBIDDEN, MIME_PLAINTEXT, "Transfer cancelled")
+            } else if (throwable is UploadConflictException) {
+                newFixedLengthResponse(Response.Status.CONFLICT, MIME_PLAINTEXT, throwable.message.orEmpty())
+            } else {
+                newFixedLengthResponse(Response.Status.INTERNAL_ERROR, MIME_PLAINTEXT, throwable.message ?: "Upload failed")
+            }
+        }.also {
+            ticket.close()
+        }
+    }
+
+    private fun handleDiscardUpload(session: IHTTPSession): Response {
+        if (!runtime.uploadEnabled()) {
+            return newFixedLengthResponse(Response.Status.FORBIDDEN, MIME_PLAINTEXT, "Uploads are disabled")
+        }
+        val auth = authenticatedDevice(session) ?: return unauthorized()
+        val root = rootDocument() ?: return sharedFolderUnavailable()
+
+        val uploadId = sanitizeUploadId(session.queryParam("id"))
+            ?: return newFixedLengthResponse(Response.Status.BAD_REQUEST, MIME_PLAINTEXT, "Invalid upload id")
+        val targetSegments = normalizePath(session.queryParam("path"))
+        if (!runtime.showHiddenFiles() && targetSegments.any { it.startsWith('.') }) {
+            return newFixedLengthResponse(Response.Status.FORBIDDEN, MIME_PLAINTEXT, "Hidden paths are disabled")
+        }
+        val part = resolveDirectory(root, targetSegments, createIfMissing = false)
+            ?.findFile(uploadPartName(uploadId))
+        val discarded = part?.delete() == true
         ServerLogger.i(
             LOG_COMPONENT,
-            "mkdir success deviceId=${auth.device.deviceId} path=/$createdPath",
+            "upload discarded deviceId=${auth.device.deviceId} id=$uploadId removed=$discarded",
         )
         return jsonResponse(
             JSONObject()
                 .put("status", "ok")
-                .put("path", createdPath),
+                .put("discarded", discarded),
         )
     }
 
-    private fun handleRename(session: IHTTPSession): Response {
-        if (!runtime.uploadEnabled()) {
-            return newFixedLengthResponse(Response.Status.FORBIDDEN, MIME_PLAINTEXT, "Uploads are disabled")
+    private fun handleDelete(session: IHTTPSession): Response {
+        if (!runtime.deleteEnabled()) {
+            return newFixedLengthResponse(Response.Status.FORBIDDEN, MIME_PLAINTEXT, "Deletes are disabled")
         }
         val auth = authenticatedDevice(session) ?: return unauthorized()
         val root = rootDocument() ?: return sharedFolderUnavailable()
 
         val segments = normalizePath(session.queryParam("path"))
         if (segments.isEmpty()) {
-            return newFixedLengthResponse(Response.Status.BAD_REQUEST, MIME_PLAINTEXT, "Invalid item path")
+            return newFixedLengthResponse(Response.Status.BAD_REQUEST, MIME_PLAINTEXT, "Invalid file path")
         }
         if (!runtime.showHiddenFiles() && segments.any { it.startsWith('.') }) {
             return newFixedLengthResponse(Response.Status.FORBIDDEN, MIME_PLAINTEXT, "Hidden paths are disabled")
         }
-        val rawName = session.queryParamOrNull("name").orEmpty()
-        val targetName = sanitizeSegment(rawName)
-            ?: return newFixedLengthResponse(Response.Status.BAD_REQUEST, MIME_PLAINTEXT, "Invalid target name")
-        if (!runtime.showHiddenFiles() && targetName.startsWith('.')) {
-            return newFixedLengthResponse(Response.Status.FORBIDDEN, MIME_PLAINTEXT, "Hidden paths are disabled")
+        if (isTrashPath(segments)) {
+            return trashPathRejected()
         }
+        val parent = resolveDirectory(root, segments.dropLast(1), createIfMissing = false)
+            ?: return newFixedLengthResponse(Response.Status.NOT_FOUND, MIME_PLAINTEXT, "File not found")
+        val node = parent.findFile(segments.last())
+            ?: return newFixedLengthResponse(Response.Status.NOT_FOUND, MIME_PLAINTEXT, "File not found")
 
-        val parentSegments = segments.dropLast(1)
+        return runCatching {
+            val entry = moveToTrash(root, parent, node, segments, auth.device.displayName)
+            ServerLogger.i(
+                LOG_COMPONENT,
+                "delete item success deviceId=${auth.device.deviceId} path=/${segments.joinToString("/")} trashId=${entry.id}",
+            )
+            jsonResponse(
+                JSONObject()
+                    .put("status", "ok")
+                    .put("path", segments.joinToString("/"))
+                    .put("trashId", entry.id),
+            )
+        }.getOrElse { throwable ->
+            ServerLogger.e(
+                LOG_COMPONENT,
+                "delete item failed deviceId=${auth.device.deviceId} path=/${segments.joinToString("/")} message=${throwable.message}",
+                throwable,
+            )
+            newFixedLengthResponse(Response.Status.INTERNAL_ERROR, MIME_PLAINTEXT, "Unable to move item to the trash")
+        }
+    }
+
+    /**
+     * Lists what is in the trash, newest first. Entries older than the retention period are purged
+     * here, and deletes sweep them through [purgeExpiredTrashIfDue] at most once per
+     * [TRASH_PURGE_INTERVAL_MS], so the trash never needs a background job.
+     */
+    private fun handleTrashList(session: IHTTPSession): Response {
+        if (!runtime.deleteEnabled()) {
+            return newFixedLengthResponse(Response.Status.FORBIDDEN, MIME_PLAINTEXT, "Deletes are disabled")
+        }
+        authenticatedDevice(session) ?: return unauthorized()
+        val root = rootDocument() ?: return sharedFolderUnavailable()
+
+        val entries = trashDirectory(root, create = false)
+            ?.let { trash -> visibleTrashEntries(purgeExpiredTrash(readTrashEntries(trash))) }
+            .orEmpty()
+            .sortedByDescending { it.deletedAt }
+        val items = JSONArray()
+        entries.forEach { entry -> items.put(entry.toJson(TRASH_RETENTION_MS)) }
+        return jsonResponse(
+            JSONObject()
+                .put("items", items)
+                .put("retentionDays", TRASH_RETENTION_DAYS),
+        )
+    }
+
+    /**
+     * Puts a trashed item back at its original path, recreating missing parent folders.
+     * `conflict` works as for move: `rename` keeps both, `overwrite` replaces and `skip` leaves it in the trash.
+     */
+    private fun handleTrashRestore(session: IHTTPSession): Response {
+        if (!runtime.deleteEnabled()) {
+            return newFixedLengthResponse(Response.Status.FORBIDDEN, MIME_PLAINTEXT, "Deletes are disabled")
+        }
+        val auth = authenticatedDevice(session) ?: return unauthorized()
+        val root = rootDocument() ?: return sharedFolderUnavailable()
+
+        val id = sanitizeTrashId(session.queryParam("id"))
+            ?: return newFixedLengthResponse(Response.Status.BAD_REQUEST, MIME_PLAINTEXT, "Invalid trash entry")
+        val conflictPolicy = UploadConflictPolicy.fromParam(session.queryParam("conflict"))
+            ?: return newFixedLengthResponse(Response.Status.BAD_REQUEST, MIME_PLAINTEXT, "Invalid conflict policy")
+        val trash = trashDirectory(root, create = false)
+            ?: return newFixedLengthResponse(Response.Status.NOT_FOUND, MIME_PLAINTEXT, "Item is no longer in the trash")
+        val entry = readTrashEntries(trash).firstOrNull { it.id == id }
+            ?: return newFixedLengthResponse(Response.Status.NOT_FOUND, MIME_PLAINTEXT, "Item is no longer in the trash")
+        if (!runtime.showHiddenFiles() && entry.originalPath.any { it.startsWith('.') }) {
+            return newFixedLengthResponse(Response.Status.FORBIDDEN, MIME_PLAINTEXT, "Hidden paths are disabled")
+        }
+        val folder = entry.folder
+            ?: return newFixedLengthResponse(Response.Status.NOT_FOUND, MIME_PLAINTEXT, "Trashed data for ${entry.name} is missing")
+        val item = folder.listFiles().firstOrNull()
+            ?: return newFixedLengthResponse(Response.Status.NOT_FOUND, MIME_PLAINTEXT, "Trashed data for ${entry.name} is missing")
+
+        val parentSegments = entry.originalPath.dropLast(1)
+        val destination = resolveDirectory(root, parentSegments, createIfMissing = true)
+            ?: return newFixedLengthResponse(Response.Status.CONFLICT, MIME_PLAINTEXT, "Unable to recreate the original folder")
+        val existing = destination.findFile(entry.name)
+        var replaced: DocumentFile? = null
+        val targetName = when {
+            existing == null -> entry.name
+            conflictPolicy == UploadConflictPolicy.Skip -> {
+                return moveOrCopyResponse(entry.originalPath.joinToString("/"), skipped = true)
+            }
+            conflictPolicy == UploadConflictPolicy.Overwrite -> {
+                if (existing.isDirectory != item.isDirectory) {
+                    return newFixedLengthResponse(
+                        Response.Status.CONFLICT,
+                        MIME_PLAINTEXT,
+                        "A ${if (existing.isDirectory) "folder" else "file"} with that name already exists",
+                    )
+                }
+                replaced = existing
+                entry.name
+            }
+            else -> nextAvailableName(destination, entry.name)
+        }
+
+        return runCatching {
+            val place = {
+                val moved = targetName == item.name && moveDocument(item, folder, destination)
+                if (!moved) {
+                    copyNode(item, destination, targetName)
+                }
+            }
+            // The item being replaced takes the restored one's place in the trash rather than being lost.
+            val replacedItem = replaced
+            val replacedTrashId = if (replacedItem != null) {
+                replaceThroughTrash(root, destination, entry.originalPath, replacedItem, auth.device.displayName, place)
+            } else {
+                place()
+                null
+            }
+            deleteTrashEntry(entry)
+            val restoredPath = (parentSegments + targetName).joinToString("/")
+            ServerLogger.i(
+                LOG_COMPONENT,
+                "trash restore success deviceId=${auth.device.deviceId} trashId=$id path=/$restoredPath" +
+                    (replacedTrashId?.let { " replacedTrashId=$it" } ?: ""),
+            )
+            moveOrCopyResponse(restoredPath, skipped = false, replacedTrashId = replacedTrashId)
+        }.getOrElse { throwable ->
+            ServerLogger.e(
+                LOG_COMPONENT,
+                "trash restore failed deviceId=${auth.device.deviceId} trashId=$id message=${throwable.message}",
+                throwable,
+            )
+            newFixedLengthResponse(Response.Status.INTERNAL_ERROR, MIME_PLAINTEXT, "Unable to restore ${entry.name}")
+        }
+    }
+
+    // Permanently removes the entries named by repeated `id` parameters, or everything when emptying.
+    private fun handleTrashPurge(session: IHTTPSession, emptyAll: Boolean): Response {
+        if (!runtime.deleteEnabled()) {
+            return newFixedLengthResponse(Response.Status.FORBIDDEN, MIME_PLAINTEXT, "Deletes are disabled")
+        }
+        val auth = authenticatedDevice(session) ?: return unauthorized()
+        val root = rootDocument() ?: return sharedFolderUnavailable()
+
+        val trash = trashDirectory(root, create = false)
+            ?: return jsonResponse(JSONObject().put("status", "ok").put("purged", 0))
+        // Only what the trash list shows can be purged; entries from hidden paths stay put.
+        val visible = visibleTrashEntries(readTrashEntries(trash))
+        val targets = if (emptyAll) {
+            visible
+        } else {
+            val ids = session.parameters["id"].orEmpty().mapNotNull { sanitizeTrashId(it) }.toSet()
+            if (ids.isEmpty()) {
+                return newFixedLengthResponse(Response.Status.BAD_REQUEST, MIME_PLAINTEXT, "Invalid trash entry")
+            }
+            visible.filter { it.id in ids }
+        }
+        val failed = targets.filterNot { deleteTrashEntry(it) }
+        if (failed.isNotEmpty()) {
+            return newFixedLengthResponse(
+                Response.Status.INTERNAL_ERROR,
+                MIME_PLAINTEXT,
+                if (emptyAll) "Unable to empty the trash" else "Unable to delete ${failed.first().name} permanently",
+            )
+        }
+        val purged = targets.size
+        ServerLogger.i(
+            LOG_COMPONENT,
+            "trash purge success deviceId=${auth.device.deviceId} count=$purged emptied=$emptyAll",
+        )
+        return jsonResponse(JSONObject().put("status", "ok").put("purged", purged))
+    }
+
+    private fun trashDirectory(root: DocumentFile, create: Boolean): DocumentFile? {
+        root.findFile(TRASH_DIR_NAME)?.takeIf { it.isDirectory }?.let { return it }
+        return if (create) root.createDirectory(TRASH_DIR_NAME) else null
+    }
+
+    // The trash lives inside the shared root but is only reachable through the trash endpoints.
+    private fun isTrashPath(segments: List<String>): Boolean {
+        return segments.firstOrNull() == TRASH_DIR_NAME
+    }
+
+    private fun trashPathRejected(): Response {
+        return newFixedLengthResponse(Response.Status.FORBIDDEN, MIME_PLAINTEXT, "The trash is managed through the trash view")
+    }
+
+    /**
+     * Each trashed item lives alone in `.mediabus-trash/<id>/` next to an `<id>.json` record of where it
+     * came from. The record is written before the item moves, so a failed move never leaves an item
+     * in the trash that cannot be restored.
+     */
+    private fun moveToTrash(
+        root: DocumentFile,
+        parent: DocumentFile,
+        node: DocumentFile,
+        segments: List<String>,
+        deviceName: String,
+    ): TrashEntry {
+        val trash = trashDirectory(root, create = true) ?: throw IOException("Unable to create the trash folder")
+        purgeExpiredTrashIfDue(trash)
+        val id = "${System.currentTimeMillis()}-${UUID.randomUUID().toString().take(8)}"
+        val record = JSONObject()
+            .put("id", id)
+            .put("name", segments.last())
+            .put("path", segments.joinToString("/"))
+            .put("directory", node.isDirectory)
+            .put("size", calculateTreeSize(node, segments))
+            .put("deletedAt", System.currentTimeMillis())
+            .put("deletedBy", deviceName)
+        val info = trash.createFile("application/json", "$id$TRASH_INFO_SUFFIX")
+            ?: throw IOException("Unable to record the trashed item")
+        val folder = trash.createDirectory(id)
+        try {
+            folder ?: throw IOException("Unable to create a trash entry")
+            appContext.contentResolver.openOutputStream(info.uri)?.use { output ->
+                output.write(record.toString().toByteArray(Charsets.UTF_8))
+            } ?: throw IOException("Unable to record the trashed item")
+            if (!moveDocument(node, parent, folder)) {
+                copyNode(node, folder, segments.last())
+                if (!node.delete()) {
+                    throw IOException("Copied ${segments.last()} to the trash but unable to remove the original")
+                }
+            }
+            // Replaced items arrive under their temporary name; restoring should bring back the original one.
+            folder.listFiles().firstOrNull()
+                ?.takeIf { it.name != segments.last() }
+                ?.let { runCatching { it.renameTo(segments.last()) } }
+        } catch (throwable: Throwable) {
+            runCatching { folder?.delete() }
+            runCatching { info.delete() }
+            throw throwable
+        }
+        return TrashEntry.fromJson(record, info, folder, ::sanitizeSegment)
+    }
+
+    private fun readTrashEntries(trash: DocumentFile): List<TrashEntry> {
+        val children = trash.listFiles()
+        val folders = children.filter { it.isDirectory }.associateBy { it.name.orEmpty() }
+        return children
+            .filter { it.isFile && it.name.orEmpty().endsWith(TRASH_INFO_SUFFIX) }
+            .mapNotNull { info ->
+                runCatching {
+                    val text = appContext.contentResolver.openInputStream(info.uri)?.use { input ->
+                        String(input.readBytes(), Charsets.UTF_8)
+                    } ?: return@mapNotNull null
+                    val record = JSONObject(text)
+                    TrashEntry.fromJson(record, info, folders[record.getString("id")], ::sanitizeSegment)
+                }.getOrNull()?.takeUnless { isTrashPath(it.originalPath) }
+            }
+    }
+
+    // Reading every record is slow on shared storage, so deletes only sweep the trash once per interval.
+    private fun purgeExpiredTrashIfDue(trash: DocumentFile) {
+        if (System.currentTimeMillis() - lastTrashPurgeAt < TRASH_PURGE_INTERVAL_MS) {
+            return
+        }
+        purgeExpiredTrash(readTrashEntries(trash))
+    }
+
+    // Returns the entries that are still within the retention period.
+    private fun purgeExpiredTrash(entries: List<TrashEntry>): List<TrashEntry> {
+        lastTrashPurgeAt = System.currentTimeMillis()
+        val cutoff = lastTrashPurgeAt - TRASH_RETENTION_MS
+        val (expired, kept) = entries.partition { it.deletedAt < cutoff }
+        expired.forEach { entry ->
+            if (deleteTrashEntry(entry)) {
+                ServerLogger.i(LOG_COMPONENT, "trash expired trashId=${entry.id} path=/${entry.originalPath.joinToString("/")}")
+            }
+        }
+        return kept
+    }
+
+    private fun visibleTrashEntries(entries: List<TrashEntry>): List<TrashEntry> {
+        val includeHidden = runtime.showHiddenFiles()
+        return entries.filter { entry -> includeHidden || entry.originalPath.none { it.startsWith('.') } }
+    }
+
+    private fun deleteTrashEntry(entry: TrashEntry): Boolean {
+        val folderGone = entry.folder?.let { runCatching { it.delete() }.getOrDefault(false) } ?: true
+        return folderGone && runCatching { entry.info.delete() }.getOrDefault(false)
+    }
+
+    private fun sanitizeTrashId(value: String): String? {
+        return value.trim().takeIf { TRASH_ID_PATTERN.matches(it) }
+    }
+
+    private fun handleCreateFolder(session: IHTTPSession): Response {
+        if (!runtime.uploadEnabled()) {
+            return newFixedLengthResponse(Response.Status.FORBIDDEN, MIME_PLAINTEXT, "Uploads are disabled")
+        }
+        val auth = authenticatedDevice(session) ?: return unauthorized()
+        val root = rootDocument() ?: return sharedFolderUnavailable()
+
+        val targetSegments = normalizePath(session.queryParam("path"))
+        if (!runtime.showHiddenFiles() && targetSegments.any { it.startsWith('.') }) {
+            return newFixedLengthResponse(Response.Status.FORBIDDEN, MIME_PLAINTEXT, "Hidden paths are disabled")
+        }
+        val rawName = session.queryParamOrNull("name").orEmpty()
+        val folderName = sanitizeNewName(rawName)
+            ?: return newFixedLengthResponse(Response.Status.BAD_REQUEST, MIME_PLAINTEXT, "Invalid folder name")
+        if (!runtime.showHiddenFiles() && folderName.startsWith('.')) {
+            return newFixedLengthResponse(Response.Status.FORBIDDEN, MIME_PLAINTEXT, "Hidden paths are disabled")
+        }
+        if (isTrashPath(targetSegments + folderName)) {
+            return trashPathRejected()
+        }
+        val parent = resolveDirectory(root, targetSegments, createIfMissing = false)
+            ?: return newFixedLengthResponse(Response.Status.NOT_FOUND, MIME_PLAINTEXT, "Destination not found")
+        if (parent.findFile(folderName) != null) {
+            return newFixedLengthResponse(Response.Status.CONFLICT, MIME_PLAINTEXT, "Name already exists")
+        }
+        val created = parent.createDirectory(folderName)
+            ?: return newFixedLengthResponse(Response.Status.INTERNAL_ERROR, MIME_PLAINTEXT, "Unable to create folder")
+        val createdPath = (targetSegments + (created.name ?: folderName)).joinToString("/")
+        ServerLogger.i(
+            LOG_COMPONENT,
+            "mkdir success deviceId=${auth.device.deviceId} path=/$createdPath",
+        )
+        return jsonResponse(
+            JSONObject()
+                .put("status", "ok")
+                .put("path", createdPath),
+        )
+    }
+
+    private fun handleRename(session: IHTTPSession): Response {
+        if (!runtime.uploadEnabled()) {
+            return newFixedLengthResponse(Response.Status.FORBIDDEN, MIME_PLAINTEXT, "Uploads are disabled")
+        }
+        val auth = authenticatedDevice(session) ?: return unauthorized()
+        val root = rootDocument() ?: return sharedFolderUnavailable()
+
+        val segments = normalizePath(session.queryParam("path"))
+        if (segments.isEmpty()) {
+            return newFixedLengthResponse(Response.Status.BAD_REQUEST, MIME_PLAINTEXT, "Invalid item path")
+        }
+        if (!runtime.showHiddenFiles() && segments.any { it.startsWith('.') }) {
+            return newFixedLengthResponse(Response.Status.FORBIDDEN, MIME_PLAINTEXT, "Hidden paths are disabled")
+        }
+        val rawName = session.queryParamOrNull("name").orEmpty()
+        val targetName = sanitizeNewName(rawName)
+            ?: return newFixedLengthResponse(Response.Status.BAD_REQUEST, MIME_PLAINTEXT, "Invalid target name")
+        if (!runtime.showHiddenFiles() && targetName.startsWith('.')) {
+            return newFixedLengthResponse(Response.Status.FORBIDDEN, MIME_PLAINTEXT, "Hidden paths are disabled")
+        }
+
+        val parentSegments = segments.dropLast(1)
+        if (isTrashPath(segments) || isTrashPath(parentSegments + targetName)) {
+            return trashPathRejected()
+        }
         val oldName = segments.last()
         val parent = resolveDirectory(root, parentSegments, createIfMissing = false)
             ?: return newFixedLengthResponse(Response.Status.NOT_FOUND, MIME_PLAINTEXT, "Parent not found")
@@ -743,6 +1553,352 @@ class MediaBusHttpServer(
         )
     }
 
+    /**
+     * Renames several items in one request from a JSON body `{"items":[{"path":..., "name":...}]}`.
+     * Either every rename lands or the ones already done are reverted, so a batch never ends half applied.
+     */
+    private fun handleRenameBatch(session: IHTTPSession): Response {
+        if (!runtime.uploadEnabled()) {
+            return newFixedLengthResponse(Response.Status.FORBIDDEN, MIME_PLAINTEXT, "Uploads are disabled")
+        }
+        val auth = authenticatedDevice(session) ?: return unauthorized()
+        val root = rootDocument() ?: return sharedFolderUnavailable()
+
+        val entries = readJsonBody(session)?.optJSONArray("items")
+            ?: return newFixedLengthResponse(Response.Status.BAD_REQUEST, MIME_PLAINTEXT, "Missing rename list")
+        if (entries.length() == 0 || entries.length() > RENAME_BATCH_MAX_ITEMS) {
+            return newFixedLengthResponse(
+                Response.Status.BAD_REQUEST,
+                MIME_PLAINTEXT,
+                "A batch can rename 1 to $RENAME_BATCH_MAX_ITEMS items",
+            )
+        }
+        val showHidden = runtime.showHiddenFiles()
+        val plans = mutableListOf<RenamePlan>()
+        val parents = mutableMapOf<List<String>, DocumentFile>()
+        for (index in 0 until entries.length()) {
+            val entry = entries.optJSONObject(index)
+                ?: return newFixedLengthResponse(Response.Status.BAD_REQUEST, MIME_PLAINTEXT, "Invalid rename entry")
+            val segments = normalizePath(entry.optString("path"))
+            if (segments.isEmpty()) {
+                return newFixedLengthResponse(Response.Status.BAD_REQUEST, MIME_PLAINTEXT, "Invalid item path")
+            }
+            val targetName = sanitizeNewName(entry.optString("name"))
+                ?: return newFixedLengthResponse(
+                    Response.Status.BAD_REQUEST,
+                    MIME_PLAINTEXT,
+                    "Invalid target name for ${segments.last()}",
+                )
+            if (!showHidden && (segments.any { it.startsWith('.') } || targetName.startsWith('.'))) {
+                return newFixedLengthResponse(Response.Status.FORBIDDEN, MIME_PLAINTEXT, "Hidden paths are disabled")
+            }
+            val parentSegments = segments.dropLast(1)
+            if (isTrashPath(segments) || isTrashPath(parentSegments + targetName)) {
+                return trashPathRejected()
+            }
+            val parent = parents.getOrPut(parentSegments) {
+                resolveDirectory(root, parentSegments, createIfMissing = false)
+                    ?: return newFixedLengthResponse(Response.Status.NOT_FOUND, MIME_PLAINTEXT, "Parent not found")
+            }
+            val node = parent.findFile(segments.last())
+                ?: return newFixedLengthResponse(Response.Status.NOT_FOUND, MIME_PLAINTEXT, "${segments.last()} not found")
+            if (targetName != segments.last()) {
+                plans += RenamePlan(parentSegments, node, segments.last(), targetName)
+            }
+        }
+
+        // Shared storage usually ignores case, so "IMG.jpg" and "img.jpg" count as the same name.
+        for ((parentSegments, group) in plans.groupBy { it.parentSegments }) {
+            val targets = group.map { it.targetName.lowercase(Locale.ROOT) }
+            targets.groupBy { it }.filterValues { it.size > 1 }.keys.firstOrNull()?.let { duplicate ->
+                return newFixedLengthResponse(Response.Status.CONFLICT, MIME_PLAINTEXT, "Two items would both be named $duplicate")
+            }
+            val renamedAway = group.map { it.originalName.lowercase(Locale.ROOT) }.toSet()
+            val taken = parents.getValue(parentSegments).listFiles()
+                .mapNotNull { it.name?.lowercase(Locale.ROOT) }
+                .filter { it !in renamedAway }
+                .toSet()
+            group.firstOrNull { it.targetName.lowercase(Locale.ROOT) in taken }?.let { plan ->
+                return newFixedLengthResponse(Response.Status.CONFLICT, MIME_PLAINTEXT, "${plan.targetName} already exists")
+            }
+        }
+
+        // Renames that swap or shift names (a -> b while b -> c) go through a temporary name first.
+        val sourceNames = plans.map { it.parentSegments to it.originalName.lowercase(Locale.ROOT) }.toSet()
+        val staged = plans.any { (it.parentSegments to it.targetName.lowercase(Locale.ROOT)) in sourceNames }
+        val steps = if (staged) {
+            val token = UUID.randomUUID().toString().take(8)
+            plans.mapIndexed { index, plan -> plan to "$RENAME_STAGING_PREFIX$token-$index" } +
+                plans.map { plan -> plan to plan.targetName }
+        } else {
+            plans.map { plan -> plan to plan.targetName }
+        }
+
+        val applied = ArrayDeque<Pair<RenamePlan, String>>()
+        for ((plan, nextName) in steps) {
+            val previousName = plan.node.name ?: plan.originalName
+            if (runCatching { plan.node.renameTo(nextName) }.getOrDefault(false)) {
+                applied.addLast(plan to previousName)
+                continue
+            }
+            val rolledBack = generateSequence { applied.removeLastOrNull() }
+                .map { (done, name) -> runCatching { done.node.renameTo(name) }.getOrDefault(false) }
+                .toList()
+                .all { it }
+            ServerLogger.w(
+                LOG_COMPONENT,
+                "rename batch failed deviceId=${auth.device.deviceId} item=${plan.originalName} rolledBack=$rolledBack",
+            )
+            val message = if (rolledBack) {
+                "Unable to rename ${plan.originalName}; no items were changed"
+            } else {
+                "Unable to rename ${plan.originalName}, and some items could not be restored"
+            }
+            return newFixedLengthResponse(Response.Status.INTERNAL_ERROR, MIME_PLAINTEXT, message)
+        }
+
+        ServerLogger.i(
+            LOG_COMPONENT,
+            "rename batch success deviceId=${auth.device.deviceId} count=${plans.size}",
+        )
+        val renamed = JSONArray()
+        plans.forEach { plan ->
+            renamed.put(
+                JSONObject()
+                    .put("from", (plan.parentSegments + plan.originalName).joinToString("/"))
+                    .put("path", (plan.parentSegments + plan.targetName).joinToString("/")),
+            )
+        }
+        return jsonResponse(
+            JSONObject()
+                .put("status", "ok")
+                .put("renamed", plans.size)
+                .put("items", renamed),
+        )
+    }
+
+    private fun readJsonBody(session: IHTTPSession): JSONObject? {
+        val length = session.headers["content-length"]?.toLongOrNull() ?: return null
+        if (length <= 0L || length > JSON_BODY_MAX_BYTES) {
+            return null
+        }
+        val bytes = ByteArray(length.toInt())
+        var read = 0
+        while (read < bytes.size) {
+            val count = session.inputStream.read(bytes, read, bytes.size - read)
+            if (count < 0) break
+            read += count
+        }
+        if (read < bytes.size) {
+            return null
+        }
+        return runCatching { JSONObject(String(bytes, Charsets.UTF_8)) }.getOrNull()
+    }
+
+    /**
+     * Moves or copies the item at `path` into the folder at `to`. Folders are handled recursively.
+     * `conflict` decides what happens when the destination already has that name: `rename` keeps both,
+     * `overwrite` replaces the existing item and `skip` leaves both untouched.
+     */
+    private fun handleMoveOrCopy(session: IHTTPSession, copy: Boolean): Response {
+        if (!runtime.uploadEnabled()) {
+            return newFixedLengthResponse(Response.Status.FORBIDDEN, MIME_PLAINTEXT, "Uploads are disabled")
+        }
+        val auth = authenticatedDevice(session) ?: return unauthorized()
+        val root = rootDocument() ?: return sharedFolderUnavailable()
+
+        val segments = normalizePath(session.queryParam("path"))
+        if (segments.isEmpty()) {
+            return newFixedLengthResponse(Response.Status.BAD_REQUEST, MIME_PLAINTEXT, "Invalid item path")
+        }
+        val targetSegments = normalizePath(session.queryParam("to"))
+        if (isTrashPath(segments) || isTrashPath(targetSegments + segments.last())) {
+            return trashPathRejected()
+        }
+        if (!runtime.showHiddenFiles() && (segments + targetSegments).any { it.startsWith('.') }) {
+            return newFixedLengthResponse(Response.Status.FORBIDDEN, MIME_PLAINTEXT, "Hidden paths are disabled")
+        }
+        // A move removes the original, so it needs the delete permission as well.
+        if (!copy && !runtime.deleteEnabled()) {
+            return newFixedLengthResponse(Response.Status.FORBIDDEN, MIME_PLAINTEXT, "Deletes are disabled")
+        }
+        val conflictPolicy = UploadConflictPolicy.fromParam(session.queryParam("conflict"))
+            ?: return newFixedLengthResponse(Response.Status.BAD_REQUEST, MIME_PLAINTEXT, "Invalid conflict policy")
+        if (targetSegments.size >= segments.size && targetSegments.subList(0, segments.size) == segments) {
+            return newFixedLengthResponse(
+                Response.Status.BAD_REQUEST,
+                MIME_PLAINTEXT,
+                "Cannot ${if (copy) "copy" else "move"} a folder into itself",
+            )
+        }
+
+        val parentSegments = segments.dropLast(1)
+        val name = segments.last()
+        val parent = resolveDirectory(root, parentSegments, createIfMissing = false)
+            ?: return newFixedLengthResponse(Response.Status.NOT_FOUND, MIME_PLAINTEXT, "Parent not found")
+        val source = parent.findFile(name)
+            ?: return newFixedLengthResponse(Response.Status.NOT_FOUND, MIME_PLAINTEXT, "Item not found")
+        val destination = resolveDirectory(root, targetSegments, createIfMissing = false)
+            ?: return newFixedLengthResponse(Response.Status.NOT_FOUND, MIME_PLAINTEXT, "Destination not found")
+        val action = if (copy) "copy" else "move"
+
+        if (!copy && parentSegments == targetSegments) {
+            return moveOrCopyResponse(segments.joinToString("/"), skipped = false)
+        }
+        val existing = destination.findFile(name)
+        var replaced: DocumentFile? = null
+        val targetName = when {
+            existing == null -> name
+            // Copying an item into its own folder makes a duplicate next to it.
+            existing.uri == source.uri -> nextAvailableName(destination, name)
+            conflictPolicy == UploadConflictPolicy.Skip -> {
+                return moveOrCopyResponse((targetSegments + name).joinToString("/"), skipped = true)
+            }
+            conflictPolicy == UploadConflictPolicy.Overwrite -> {
+                if (!runtime.deleteEnabled()) {
+                    return newFixedLengthResponse(Response.Status.FORBIDDEN, MIME_PLAINTEXT, "Deletes are disabled")
+                }
+                if (segments.take(targetSegments.size + 1) == targetSegments + name) {
+                    return newFixedLengthResponse(
+                        Response.Status.CONFLICT,
+                        MIME_PLAINTEXT,
+                        "Cannot replace a folder that contains $name",
+                    )
+                }
+                if (existing.isDirectory != source.isDirectory) {
+                    return newFixedLengthResponse(
+                        Response.Status.CONFLICT,
+                        MIME_PLAINTEXT,
+                        "A ${if (existing.isDirectory) "folder" else "file"} with that name already exists",
+                    )
+                }
+                replaced = existing
+                name
+            }
+            else -> nextAvailableName(destination, name)
+        }
+
+        return runCatching {
+            val place = {
+                val moved = !copy && targetName == name && moveDocument(source, parent, destination)
+                if (!moved) {
+                    // Copy first and delete afterwards, so a failure part way never loses the original.
+                    copyNode(source, destination, targetName)
+                    if (!copy && !source.delete()) {
+                        throw IOException("Copied $name but unable to remove the original")
+                    }
+                }
+            }
+            val replacedItem = replaced
+            val replacedTrashId = if (replacedItem != null) {
+                replaceThroughTrash(root, destination, targetSegments + name, replacedItem, auth.device.displayName, place)
+            } else {
+                place()
+                null
+            }
+            val resultPath = (targetSegments + targetName).joinToString("/")
+            ServerLogger.i(
+                LOG_COMPONENT,
+                "$action success deviceId=${auth.device.deviceId} from=/${segments.joinToString("/")} to=/$resultPath" +
+                    (replacedTrashId?.let { " replacedTrashId=$it" } ?: ""),
+            )
+            moveOrCopyResponse(resultPath, skipped = false, replacedTrashId = replacedTrashId)
+        }.getOrElse { throwable ->
+            ServerLogger.e(
+                LOG_COMPONENT,
+                "$action failed deviceId=${auth.device.deviceId} path=/${segments.joinToString("/")} message=${throwable.message}",
+                throwable,
+            )
+            newFixedLengthResponse(Response.Status.INTERNAL_ERROR, MIME_PLAINTEXT, throwable.message ?: "Unable to $action $name")
+        }
+    }
+
+    // Providers that support it move without copying bytes; anything else falls back to copy + delete.
+    private fun moveDocument(source: DocumentFile, parent: DocumentFile, destination: DocumentFile): Boolean {
+        return runCatching {
+            DocumentsContract.moveDocument(appContext.contentResolver, source.uri, parent.uri, destination.uri) != null
+        }.getOrDefault(false)
+    }
+
+    private fun copyNode(source: DocumentFile, destination: DocumentFile, name: String): DocumentFile {
+        if (source.isDirectory) {
+            val created = destination.createDirectory(name) ?: throw IOException("Unable to create folder $name")
+            try {
+                source.listFiles().forEach { child ->
+                    copyNode(child, created, child.name ?: return@forEach)
+                }
+            } catch (throwable: Throwable) {
+                runCatching { created.delete() }
+                throw throwable
+            }
+            return created
+        }
+        val created = destination.createFile(source.type ?: "application/octet-stream", name)
+            ?: throw IOException("Unable to create file $name")
+        try {
+            val resolver = appContext.contentResolver
+            val input = resolver.openInputStream(source.uri) ?: throw IOException("Cannot open $name")
+            BufferedInputStream(input).use { buffered ->
+                resolver.openOutputStream(created.uri)?.use { output -> buffered.copyTo(output) }
+                    ?: throw IOException("Unable to open destination")
+            }
+        } catch (throwable: Throwable) {
+            runCatching { created.delete() }
+            throw throwable
+        }
+        return created
+    }
+
+    private fun moveOrCopyResponse(path: String, skipped: Boolean, replacedTrashId: String? = null): Response {
+        return jsonResponse(
+            JSONObject()
+                .put("status", if (skipped) "skipped" else "ok")
+                .put("path", path)
+                .put("skipped", skipped)
+                .apply { if (replacedTrashId != null) put("replacedTrashId", replacedTrashId) },
+        )
+    }
+
+    /**
+     * Puts whatever [place] writes in place of [existing], which sits at [segments] inside [directory].
+     * The old item is renamed aside first and only goes to the trash once [place] succeeded; if [place]
+     * fails it gets its name back. Returns the trash id of the replaced item, or null when it could not be
+     * trashed, in which case it stays in the folder under its hidden temporary name.
+     */
+    private fun replaceThroughTrash(
+        root: DocumentFile,
+        directory: DocumentFile,
+        segments: List<String>,
+        existing: DocumentFile,
+        deviceName: String,
+        place: () -> Unit,
+    ): String? {
+        val asideName = replaceAside(existing, segments.last(), place)
+        return runCatching { moveToTrash(root, directory, existing, segments, deviceName).id }
+            .onFailure { throwable ->
+                ServerLogger.w(
+                    LOG_COMPONENT,
+                    "replaced item kept as $asideName path=/${segments.joinToString("/")} message=${throwable.message}",
+                )
+            }
+            .getOrNull()
+    }
+
+    // Renames [existing] to a hidden temporary name while [place] runs, and gives it back [name] if that fails.
+    private fun replaceAside(existing: DocumentFile, name: String, place: () -> Unit): String {
+        val asideName = "$REPLACE_STAGING_PREFIX${UUID.randomUUID().toString().take(8)}-$name"
+        if (!existing.renameTo(asideName)) {
+            throw IOException("Unable to replace $name")
+        }
+        try {
+            place()
+        } catch (throwable: Throwable) {
+            runCatching { existing.renameTo(name) }
+            throw throwable
+        }
+        return asideName
+    }
+
     private fun handleQrSvg(session: IHTTPSession): Response {
         val value = session.queryParam("value")
         if (value.isBlank()) {
@@ -768,6 +1924,7 @@ class MediaBusHttpServer(
         output: OutputStream,
         ticket: HostRuntimeController.TransferTicket,
         expectedTotalBytes: Long,
+        digest: MessageDigest? = null,
     ) {
         val buffer = ByteArray(DEFAULT_BUFFER_SIZE)
         var receivedBytes = 0L
@@ -785,6 +1942,7 @@ class MediaBusHttpServer(
             }
             if (read <= 0) break
             output.write(buffer, 0, read)
+            digest?.update(buffer, 0, read)
             receivedBytes += read
             ticket.addProgress(read.toLong())
             if (expectedTotalBytes > 0 && receivedBytes >= expectedTotalBytes) {
@@ -797,13 +1955,14 @@ class MediaBusHttpServer(
 
     private fun zipDirectory(
         directory: DocumentFile,
+        directorySegments: List<String>,
         prefix: String,
         zip: ZipOutputStream,
         ticket: HostRuntimeController.TransferTicket,
     ) {
         val children = directory.listFiles().sortedBy { it.name.orEmpty().lowercase(Locale.US) }
         children.forEach { child ->
-            if (!runtime.showHiddenFiles() && child.name.orEmpty().startsWith('.')) {
+            if (!isZippable(directorySegments, child.name.orEmpty())) {
                 return@forEach
             }
             if (ticket.cancelled()) {
@@ -813,7 +1972,7 @@ class MediaBusHttpServer(
             if (child.isDirectory) {
                 zip.putNextEntry(ZipEntry("$entryName/"))
                 zip.closeEntry()
-                zipDirectory(child, entryName, zip, ticket)
+                zipDirectory(child, directorySegments + child.name.orEmpty(), entryName, zip, ticket)
             } else if (child.isFile) {
                 zip.putNextEntry(ZipEntry(entryName))
                 appContext.contentResolver.openInputStream(child.uri)?.use { input ->
@@ -834,18 +1993,27 @@ class MediaBusHttpServer(
         }
     }
 
-    private fun calculateTreeSize(root: DocumentFile): Long {
+    private fun calculateTreeSize(root: DocumentFile, rootSegments: List<String>): Long {
         if (root.isFile) return maxOf(0L, root.length())
         var total = 0L
         root.listFiles().forEach { child ->
-            if (!runtime.showHiddenFiles() && child.name.orEmpty().startsWith('.')) {
+            val name = child.name.orEmpty()
+            if (!isZippable(rootSegments, name)) {
                 return@forEach
             }
-            total += if (child.isDirectory) calculateTreeSize(child) else maxOf(0L, child.length())
+            total += if (child.isDirectory) calculateTreeSize(child, rootSegments + name) else maxOf(0L, child.length())
         }
         return total
     }
 
+    // Folder walks skip what a listing hides: the trash, unfinished upload parts and, unless shown, dotfiles.
+    private fun isZippable(parentSegments: List<String>, name: String): Boolean {
+        if (isUploadPartName(name) || isTrashPath(parentSegments + name)) {
+            return false
+        }
+        return runtime.showHiddenFiles() || !name.startsWith('.')
+    }
+
     private fun rootDocument(): DocumentFile? {
         return DocumentFile.fromTreeUri(appContext, sharedFolderUri)
             ?.takeIf { it.exists() && it.canRead() }
@@ -855,6 +2023,9 @@ class MediaBusHttpServer(
         root: DocumentFile,
         pathSegments: List<String>,
     ): DocumentFile? {
+        if (isTrashPath(pathSegments)) {
+            return null
+        }
         var cursor = root
         for (segment in pathSegments) {
             val child = cursor.findFile(segment) ?: return null
@@ -868,6 +2039,9 @@ class MediaBusHttpServer(
         pathSegments: List<String>,
         createIfMissing: Boolean,
     ): DocumentFile? {
+        if (isTrashPath(pathSegments)) {
+            return null
+        }
         var cursor = root
         for (segment in pathSegments) {
             val existing = cursor.findFile(segment)
@@ -901,6 +2075,251 @@ class MediaBusHttpServer(
         return trimmed
     }
 
+    /**
+     * Checks a name for a new or renamed item. On top of [sanitizeSegment] it refuses control characters,
+     * names longer than [NAME_MAX_BYTES] in UTF-8 and the prefixes MediaBus keeps for its own files.
+     * The web client applies the same rules while the name is typed.
+     */
+    private fun sanitizeNewName(name: String): String? {
+        val sanitized = sanitizeSegment(name) ?: return null
+        if (sanitized.any { it.code < 0x20 || it.code == 0x7f }) {
+            return null
+        }
+        if (sanitized.toByteArray(Charsets.UTF_8).size > NAME_MAX_BYTES) {
+            return null
+        }
+        val lower = sanitized.lowercase(Locale.ROOT)
+        if (RESERVED_NAME_PREFIXES.any { lower.startsWith(it) }) {
+            return null
+        }
+        return sanitized
+    }
+
+    /**
+     * Moves a fully received upload to [fileName] according to [policy]. A file it overwrites goes to the trash,
+     * except for [inPlaceEdit] saves, which replace the version the editor loaded and keep no copy of it.
+     * Returns the final name, or null when the upload was dropped because the name was taken.
+     */
+    private fun placeUploadedFile(
+        root: DocumentFile,
+        directory: DocumentFile,
+        directorySegments: List<String>,
+        uploaded: DocumentFile,
+        fileName: String,
+        policy: UploadConflictPolicy,
+        deviceName: String,
+        inPlaceEdit: Boolean = false,
+    ): String? {
+        val existing = directory.findFile(fileName)?.takeIf { it.uri != uploaded.uri }
+        val finalName = when {
+            existing == null -> fileName
+            policy == UploadConflictPolicy.Skip -> {
+                runCatching { uploaded.delete() }
+                return null
+            }
+            policy == UploadConflictPolicy.Overwrite -> {
+                if (!existing.isFile) {
+                    runCatching { uploaded.delete() }
+                    throw UploadConflictException("A folder with that name already exists")
+                }
+                val place = {
+                    if (!uploaded.renameTo(fileName)) {
+                        throw IOException("Unable to finalize upload")
+                    }
+                }
+                if (inPlaceEdit) {
+                    replaceAside(existing, fileName, place)
+                    if (!existing.delete()) {
+                        ServerLogger.w(LOG_COMPONENT, "previous version kept path=/${(directorySegments + fileName).joinToString("/")}")
+                    }
+                    return fileName
+                }
+                if (!runtime.deleteEnabled()) {
+                    runCatching { uploaded.delete() }
+                    throw UploadConflictException("Deletes are disabled, so $fileName cannot be replaced")
+                }
+                replaceThroughTrash(root, directory, directorySegments + fileName, existing, deviceName, place)
+                return fileName
+            }
+            else -> nextAvailableName(directory, fileName)
+        }
+        if (uploaded.name != finalName && !uploaded.renameTo(finalName)) {
+            throw IOException("Unable to finalize upload")
+        }
+        return finalName
+    }
+
+    private fun etagMatches(file: DocumentFile?, ifMatch: String): Boolean {
+        if (file == null || !file.isFile) {
+            return false
+        }
+        val etag = downloadEtag(file)
+        return ifMatch == "*" || ifMatch.split(',').any { it.trim() == etag }
+    }
+
+    private fun editConflict(fileName: String): Response {
+        ServerLogger.w(LOG_COMPONENT, "upload rejected, file changed since it was opened name=$fileName")
+        return newFixedLengthResponse(
+            Response.Status.PRECONDITION_FAILED,
+            MIME_PLAINTEXT,
+            "$fileName was changed on the host after you opened it",
+        )
+    }
+
+    private fun skippedUploadResponse(fileName: String): Response {
+        return jsonResponse(
+            JSONObject()
+                .put("status", "skipped")
+                .put("skipped", true)
+                .put("complete", true)
+                .put("name", fileName),
+        )
+    }
+
+    private fun expectedSha256(session: IHTTPSession): String? {
+        return session.headers[SHA256_HEADER.lowercase(Locale.US)]
+            ?.trim()
+            ?.lowercase(Locale.US)
+            ?.takeIf { it.length == 64 && it.all { char -> char in '0'..'9' || char in 'a'..'f' } }
+    }
+
+    private fun sha256Of(file: DocumentFile): String {
+        val digest = MessageDigest.getInstance("SHA-256")
+        val input = appContext.contentResolver.openInputStream(file.uri)
+            ?: throw IOException("Cannot open stream")
+        BufferedInputStream(input).use { buffered ->
+            val buffer = ByteArray(DEFAULT_BUFFER_SIZE)
+            while (true) {
+                val read = buffered.read(buffer)
+                if (read <= 0) break
+                digest.update(buffer, 0, read)
+            }
+        }
+        return digest.digest().toLowerHex()
+    }
+
+    private fun cachedSha256(file: DocumentFile, computeIfMissing: Boolean): String? {
+        val key = sha256CacheKey(file)
+        synchronized(sha256Cache) {
+            sha256Cache[key]?.let { return it }
+        }
+        if (!computeIfMissing) {
+            return null
+        }
+        val computed = sha256Of(file)
+        synchronized(sha256Cache) {
+            sha256Cache[key] = computed
+        }
+        return computed
+    }
+
+    private fun rememberSha256(file: DocumentFile, sha256: String) {
+        val key = sha256CacheKey(file)
+        synchronized(sha256Cache) {
+            sha256Cache[key] = sha256
+        }
+    }
+
+    private fun sha256CacheKey(file: DocumentFile): String {
+        return "${file.uri}:${file.length()}:${file.lastModified()}"
+    }
+
+    // Android's table misses or mislabels several container formats (mkv, m4a, opus, flac), which makes browsers
+    // refuse to play them inline, so common media types are mapped explicitly.
+    private fun contentTypeFor(fileName: String): String {
+        val extension = fileName.substringAfterLast('.', "").lowercase(Locale.US)
+        return MEDIA_MIME_TYPES[extension]
+            ?: URLConnection.guessContentTypeFromName(fileName)
+            ?: "application/octet-stream"
+    }
+
+    private fun isInlineSafe(mimeType: String): Boolean {
+        val type = mimeType.substringBefore(';').trim().lowercase(Locale.US)
+        return type.startsWith("audio/") ||
+            type.startsWith("video/") ||
+            type == "application/pdf" ||
+            (type.startsWith("image/") && !type.contains("svg"))
+    }
+
+    private fun downloadEtag(file: DocumentFile): String {
+        return "\"${maxOf(0L, file.length()).toString(16)}-${file.lastModified().toString(16)}\""
+    }
+
+    // Only single "bytes=" ranges are honoured; anything else falls back to the full file.
+    private fun parseByteRange(header: String?, size: Long): ByteRange? {
+        val spec = header?.trim()?.takeIf { it.startsWith("bytes=", ignoreCase = true) }
+            ?.substring("bytes=".length)
+            ?.trim()
+            ?.takeIf { it.isNotEmpty() && !it.contains(',') }
+            ?: return null
+        val dash = spec.indexOf('-')
+        if (dash < 0) return null
+        val startText = spec.substring(0, dash).trim()
+        val endText = spec.substring(dash + 1).trim()
+        if (startText.isEmpty()) {
+            val suffixLength = endText.toLongOrNull()?.takeIf { it > 0L } ?: return null
+            return ByteRange(maxOf(0L, size - suffixLength), size - 1)
+        }
+        val start = startText.toLongOrNull()?.takeIf { it >= 0L } ?: return null
+        val end = if (endText.isEmpty()) size - 1 else endText.toLongOrNull() ?: return null
+        if (end < start) return null
+        return ByteRange(start, minOf(end, size - 1))
+    }
+
+    private fun openStreamAt(file: DocumentFile, offset: Long): InputStream? {
+        if (offset <= 0L) {
+            return appContext.contentResolver.openInputStream(file.uri)
+        }
+        val descriptor = appContext.contentResolver.openFileDescriptor(file.uri, "r")
+        if (descriptor != null) {
+            val input = ParcelFileDescriptor.AutoCloseInputStream(descriptor)
+            val seeked = runCatching { input.channel.position(offset) }.isSuccess
+            if (seeked) return input
+            runCatching { input.close() }
+        }
+        // Providers without seekable descriptors still work, just by reading past the prefix.
+        val input = appContext.contentResolver.openInputStream(file.uri) ?: return null
+        var remaining = offset
+        while (remaining > 0L) {
+            val skipped = input.skip(remaining)
+            if (skipped <= 0L) {
+                if (input.read() < 0) {
+                    input.close()
+                    throw IOException("Range start is past the end of the file")
+                }
+                remaining -= 1
+            } else {
+                remaining -= skipped
+            }
+        }
+        return input
+    }
+
+    private fun integrityMismatch(fileName: String, expected: String, actual: String): Response {
+        ServerLogger.w(LOG_COMPONENT, "upload integrity mismatch name=$fileName expected=$expected actual=$actual")
+        return newFixedLengthResponse(
+            Response.Status.BAD_REQUEST,
+            "application/json; charset=utf-8",
+            JSONObject()
+                .put("error", "Integrity check failed for $fileName: the received data does not match the original file.")
+                .put("integrity", "mismatch")
+                .put("expectedSha256", expected)
+                .put("actualSha256", actual)
+                .toString(),
+        )
+    }
+
+    private fun sanitizeUploadId(value: String): String? {
+        val trimmed = value.trim()
+        return trimmed.takeIf { it.length in 8..64 && it.all { char -> char.isLetterOrDigit() || char == '-' } }
+    }
+
+    private fun uploadPartName(uploadId: String): String = "$UPLOAD_PART_PREFIX$uploadId$UPLOAD_PART_SUFFIX"
+
+    private fun isUploadPartName(name: String): Boolean {
+        return name.startsWith(UPLOAD_PART_PREFIX) && name.endsWith(UPLOAD_PART_SUFFIX)
+    }
+
     private fun nextAvailableName(directory: DocumentFile, originalName: String): String {
         if (directory.findFile(originalName) == null) {
             return originalName
@@ -1065,12 +2484,16 @@ class MediaBusHttpServer(
     private fun shouldLogRequest(session: IHTTPSession): Boolean {
         return when (session.uri) {
             "/api/files/upload",
+            "/api/files/upload-chunk",
             "/api/files/download",
             "/api/files/download-zip",
             "/api/files/download-zip-batch",
             "/api/files/delete",
             "/api/files/mkdir",
             "/api/files/rename",
+            "/api/trash/restore",
+            "/api/trash/purge",
+            "/api/trash/empty",
             "/api/session/disconnect",
             -> true
             else -> false
@@ -1110,6 +2533,62 @@ class MediaBusHttpServer(
         private const val sessionCookieName = "mb_session"
         private const val anonCookieName = "mb_anon"
         private const val LOG_COMPONENT = "HttpServer"
+        private const val UPLOAD_PART_PREFIX = ".mediabus-upload-"
+        private const val UPLOAD_PART_SUFFIX = ".part"
+        private const val UPLOAD_PART_MIME_TYPE = "application/octet-stream"
+        private const val SHA256_HEADER = "X-MediaBus-Sha256"
+        private const val SHA256_CACHE_SIZE = 64
+        private const val SHA256_EAGER_MAX_BYTES = 128L * 1024 * 1024
+        private const val RENAME_BATCH_MAX_ITEMS = 5000
+        private const val RENAME_STAGING_PREFIX = ".mediabus-rename-"
+        private const val REPLACE_STAGING_PREFIX = ".mediabus-replace-"
+        private const val JSON_BODY_MAX_BYTES = 2L * 1024 * 1024
+        private const val TRASH_DIR_NAME = ".mediabus-trash"
+        private const val NAME_MAX_BYTES = 255
+        private val RESERVED_NAME_PREFIXES = listOf(
+            UPLOAD_PART_PREFIX,
+            RENAME_STAGING_PREFIX,
+            REPLACE_STAGING_PREFIX,
+            TRASH_DIR_NAME,
+        )
+        private const val TRASH_INFO_SUFFIX = ".json"
+        private const val TRASH_RETENTION_DAYS = 30
+        private const val TRASH_RETENTION_MS = TRASH_RETENTION_DAYS * 24L * 60 * 60 * 1000
+        private const val TRASH_PURGE_INTERVAL_MS = 60L * 60 * 1000
+        private val TRASH_ID_PATTERN = Regex("[0-9]+-[0-9a-f]{8}")
+        private const val SEARCH_DEFAULT_RESULTS = 500
+        private const val SEARCH_MAX_RESULTS = 2000
+        private const val SEARCH_PROGRESS_EVERY_FOLDERS = 25
+        private const val THUMBNAIL_DEFAULT_EDGE = 320
+        private const val THUMBNAIL_MIN_EDGE = 64
+        private const val THUMBNAIL_MAX_EDGE = 1024
+        // Thumbnail URLs carry the file's size and timestamp, so browsers may reuse them; the ETag covers revalidation.
+        private const val THUMBNAIL_CACHE_CONTROL = "private, max-age=86400"
+        private val MEDIA_MIME_TYPES = mapOf(
+            "mp4" to "video/mp4",
+            "m4v" to "video/mp4",
+            "mov" to "video/quicktime",
+            "webm" to "video/webm",
+            "mkv" to "video/x-matroska",
+            "3gp" to "video/3gpp",
+            "avi" to "video/x-msvideo",
+            "mp3" to "audio/mpeg",
+            "m4a" to "audio/mp4",
+            "aac" to "audio/aac",
+            "ogg" to "audio/ogg",
+            "oga" to "audio/ogg",
+            "opus" to "audio/ogg",
+            "wav" to "audio/wav",
+            "flac" to "audio/flac",
+            "jpg" to "image/jpeg",
+            "jpeg" to "image/jpeg",
+            "png" to "image/png",
+            "gif" to "image/gif",
+            "webp" to "image/webp",
+            "heic" to "image/heic",
+            "heif" to "image/heif",
+            "pdf" to "application/pdf",
+        )
     }
 }
 
@@ -1159,6 +2638,171 @@ private class TicketLifecycleInputStream(
     }
 }
 
+private data class ByteRange(val start: Long, val endInclusive: Long) {
+    val length: Long get() = endInclusive - start + 1
+}
+
+private class UploadConflictException(message: String) : IOException(message)
+
+private enum class UploadConflictPolicy {
+    Rename,
+    Overwrite,
+    Skip,
+    ;
+
+    companion object {
+        fun fromParam(value: String): UploadConflictPolicy? {
+            return when (value.trim().lowercase(Locale.US)) {
+                "", "rename" -> Rename
+                "overwrite" -> Overwrite
+                "skip" -> Skip
+                else -> null
+            }
+        }
+    }
+}
+
+private class RenamePlan(
+    val parentSegments: List<String>,
+    val node: DocumentFile,
+    val originalName: String,
+    val targetName: String,
+)
+
+private class TrashEntry(
+    val id: String,
+    val name: String,
+    val originalPath: List<String>,
+    val directory: Boolean,
+    val size: Long,
+    val deletedAt: Long,
+    val deletedBy: String,
+    val info: DocumentFile,
+    val folder: DocumentFile?,
+) {
+    fun toJson(retentionMs: Long): JSONObject {
+        return JSONObject()
+            .put("id", id)
+            .put("name", name)
+            .put("originalPath", originalPath.joinToString("/"))
+            .put("directory", directory)
+            .put("size", size)
+            .put("deletedAt", deletedAt)
+            .put("deletedBy", deletedBy)
+            .put("expiresAt", deletedAt + retentionMs)
+    }
+
+    companion object {
+        /**
+         * Records live in the shared folder and can be edited by hand, so every path segment goes through
+         * [sanitizeSegment] and a record with a segment it rejects is dropped.
+         */
+        fun fromJson(
+            record: JSONObject,
+            info: DocumentFile,
+            folder: DocumentFile?,
+            sanitizeSegment: (String) -> String?,
+        ): TrashEntry {
+            val path = record.getString("path").split('/').filter { it.isNotBlank() }.map { segment ->
+                requireNotNull(sanitizeSegment(segment)) { "Trash record with an invalid path" }
+            }
+            require(path.isNotEmpty()) { "Trash record without a path" }
+            return TrashEntry(
+                id = record.getString("id"),
+                name = path.last(),
+                originalPath = path,
+                directory = record.optBoolean("directory"),
+                size = record.optLong("size"),
+                deletedAt = record.optLong("deletedAt"),
+                deletedBy = record.optString("deletedBy"),
+                info = info,
+                folder = folder,
+            )
+        }
+    }
+}
+
+private class SearchCriteria(
+    private val nameSubstring: String?,
+    private val namePattern: Regex?,
+    private val extensions: Set<String>,
+    private val minSize: Long?,
+    private val maxSize: Long?,
+    private val modifiedAfter: Long?,
+    private val modifiedBefore: Long?,
+) {
+    fun matches(file: DocumentFile): Boolean {
+        val name = file.name.orEmpty()
+        val lowerName = name.lowercase(Locale.US)
+        if (nameSubstring != null && !lowerName.contains(nameSubstring)) return false
+        if (namePattern != null && !namePattern.matches(name)) return false
+        // Extension and size filters only make sense for files.
+        val filesOnly = extensions.isNotEmpty() || minSize != null || maxSize != null
+        if (filesOnly && !file.isFile) return false
+        if (extensions.isNotEmpty() && lowerName.substringAfterLast('.', "") !in extensions) return false
+        if (minSize != null || maxSize != null) {
+            val size = maxOf(0L, file.length())
+            if (minSize != null && size < minSize) return false
+            if (maxSize != null && size > maxSize) return false
+        }
+        if (modifiedAfter != null || modifiedBefore != null) {
+            val modified = file.lastModified()
+            if (modifiedAfter != null && modified < modifiedAfter) return false
+            if (modifiedBefore != null && modified > modifiedBefore) return false
+        }
+        return true
+    }
+
+    companion object {
+        fun fromSession(session: IHTTPSession): SearchCriteria? {
+            val query = session.queryParam("q").trim()
+            val isGlob = query.any { it == '*' || it == '?' }
+            val extensions = session.queryParam("ext")
+                .split(',', ' ')
+                .map { it.trim().removePrefix(".").lowercase(Locale.US) }
+                .filter { it.isNotEmpty() }
+                .toSet()
+            val criteria = SearchCriteria(
+                nameSubstring = query.takeIf { it.isNotEmpty() && !isGlob }?.lowercase(Locale.US),
+                namePattern = query.takeIf { isGlob }?.let(::globToRegex),
+                extensions = extensions,
+                minSize = session.queryParam("minSize").toLongOrNull(),
+                maxSize = session.queryParam("maxSize").toLongOrNull(),
+                modifiedAfter = session.queryParam("modifiedAfter").toLongOrNull(),
+                modifiedBefore = session.queryParam("modifiedBefore").toLongOrNull(),
+            )
+            return criteria.takeIf { it.hasAnyFilter() }
+        }
+
+        private fun globToRegex(glob: String): Regex {
+            val pattern = buildString {
+                glob.forEach { char ->
+                    when (char) {
+                        '*' -> append(".*")
+                        '?' -> append('.')
+                        else -> append(Regex.escape(char.toString()))
+                    }
+                }
+            }
+            return Regex(pattern, RegexOption.IGNORE_CASE)
+        }
+    }
+
+    private fun hasAnyFilter(): Boolean {
+        return nameSubstring != null ||
+            namePattern != null ||
+            extensions.isNotEmpty() ||
+            minSize != null ||
+            maxSize != null ||
+            modifiedAfter != null ||
+            modifiedBefore != null
+    }
+}
+
+private fun ByteArray.toLowerHex(): String {
+    return joinToString("") { byte -> "%02x".format(byte.toInt() and 0xff) }
+}
+
 private fun IHTTPSession.queryParam(name: String): String {
     return parameters[name]?.firstOrNull().orEmpty()
 }
@@ -0,0 +1,148 @@
+package com.tudorc.mediabus.server
+
+import android.content.Context
+import android.graphics.Bitmap
+import android.graphics.BitmapFactory
+import android.graphics.Matrix
+import android.media.ExifInterface
+import android.media.MediaMetadataRetriever
+import android.net.Uri
+import com.tudorc.mediabus.util.ServerLogger
+import java.io.File
+import java.security.MessageDigest
+import java.util.concurrent.Semaphore
+
+/**
+ * Scales images and video frames down to small JPEGs and keeps them in the app cache directory,
+ * keyed by the source file's validator so edits on the host produce a fresh thumbnail.
+ */
+class ThumbnailCache(private val context: Context) {
+    private val directory = File(context.cacheDir, CACHE_DIR)
+
+    // Decoding full-size photos is memory hungry; a grid of cold thumbnails must not decode them all at once.
+    private val decodeSlots = Semaphore(MAX_CONCURRENT_DECODES)
+
+    fun thumbnailFor(
+        uri: Uri,
+        mimeType: String,
+        validator: String,
+        maxEdge: Int,
+    ): File? {
+        val target = File(directory, "${cacheKey(uri, validator, maxEdge)}.jpg")
+        if (target.isFile && target.length() > 0L) {
+            target.setLastModified(System.currentTimeMillis())
+            return target
+        }
+        decodeSlots.acquire()
+        val bitmap = runCatching {
+            when {
+                mimeType.startsWith("image/") -> decodeImage(uri, maxEdge)
+                mimeType.startsWith("video/") -> decodeVideoFrame(uri, maxEdge)
+                else -> null
+            }
+        }.onFailure { throwable ->
+            ServerLogger.w(LOG_COMPONENT, "thumbnail failed uri=$uri message=${throwable.message}")
+        }.getOrNull()
+        decodeSlots.release()
+        if (bitmap == null) {
+            return null
+        }
+
+        directory.mkdirs()
+        // Write to a temporary file first so concurrent requests never serve a half-written JPEG.
+        val temp = File(directory, "${target.name}.${Thread.currentThread().id}.tmp")
+        try {
+            temp.outputStream().use { output ->
+                bitmap.compress(Bitmap.CompressFormat.JPEG, JPEG_QUALITY, output)
+            }
+            if (!temp.renameTo(target)) {
+                temp.delete()
+            }
+        } finally {
+            bitmap.recycle()
+        }
+        trim()
+        return target.takeIf { it.isFile }
+    }
+
+    private fun decodeImage(uri: Uri, maxEdge: Int): Bitmap? {
+        val resolver = context.contentResolver
+        val bounds = BitmapFactory.Options().apply { inJustDecodeBounds = true }
+        resolver.openInputStream(uri)?.use { BitmapFactory.decodeStream(it, null, bounds) } ?: return null
+        if (bounds.outWidth <= 0 || bounds.outHeight <= 0) {
+            return null
+        }
+        var sampleSize = 1
+        while (maxOf(bounds.outWidth, bounds.outHeight) / (sampleSize * 2) >= maxEdge) {
+            sampleSize *= 2
+        }
+        val options = BitmapFactory.Options().apply { inSampleSize = sampleSize }
+        val decoded = resolver.openInputStream(uri)?.use { BitmapFactory.decodeStream(it, null, options) } ?: return null
+        val rotation = runCatching {
+            resolver.openInputStream(uri)?.use { input ->
+                when (ExifInterface(input).getAttributeInt(ExifInterface.TAG_ORIENTATION, ExifInterface.ORIENTATION_NORMAL)) {
+                    ExifInterface.ORIENTATION_ROTATE_90 -> 90f
+                    ExifInterface.ORIENTATION_ROTATE_180 -> 180f
+                    ExifInterface.ORIENTATION_ROTATE_270 -> 270f
+                    else -> 0f
+                }
+            }
+        }.getOrNull() ?: 0f
+        return scaleDown(decoded, maxEdge, rotation)
+    }
+
+    private fun decodeVideoFrame(uri: Uri, maxEdge: Int): Bitmap? {
+        val retriever = MediaMetadataRetriever()
+        return try {
+            retriever.setDataSource(context, uri)
+            val frame = retriever.getFrameAtTime(VIDEO_FRAME_TIME_US, MediaMetadataRetriever.OPTION_CLOSEST_SYNC)
+                ?: retriever.frameAtTime
+                ?: return null
+            scaleDown(frame, maxEdge, 0f)
+        } finally {
+            runCatching { retriever.release() }
+        }
+    }
+
+    private fun scaleDown(source: Bitmap, maxEdge: Int, rotation: Float): Bitmap {
+        val longestEdge = maxOf(source.width, source.height)
+        val scale = if (longestEdge > maxEdge) maxEdge.toFloat() / longestEdge else 1f
+        if (scale == 1f && rotation == 0f) {
+            return source
+        }
+        val matrix = Matrix().apply {
+            postScale(scale, scale)
+            postRotate(rotation)
+        }
+        val scaled = Bitmap.createBitmap(source, 0, 0, source.width, source.height, matrix, true)
+        if (scaled != source) {
+            source.recycle()
+        }
+        return scaled
+    }
+
+    private fun trim() {
+        val files = directory.listFiles { file -> file.name.endsWith(".jpg") } ?: return
+        if (files.size <= MAX_CACHED_THUMBNAILS) {
+            return
+        }
+        files.sortedBy { it.lastModified() }
+            .take(files.size - MAX_CACHED_THUMBNAILS)
+            .forEach { it.delete() }
+    }
+
+    private fun cacheKey(uri: Uri, validator: String, maxEdge: Int): String {
+        val digest = MessageDigest.getInstance("SHA-1")
+            .digest("$uri|$validator|$maxEdge".toByteArray(Charsets.UTF_8))
+        return digest.joinToString("") { byte -> "%02x".format(byte.toInt() and 0xff) }
+    }
+
+    private companion object {
+        private const val LOG_COMPONENT = "Thumbnails"
+        private const val CACHE_DIR = "thumbnails"
+        private const val JPEG_QUALITY = 80
+        private const val MAX_CACHED_THUMBNAILS = 2000
+        private const val VIDEO_FRAME_TIME_US = 1_000_000L
+        private const val MAX_CONCURRENT_DECODES = 2
+    }
+}
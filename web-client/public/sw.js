@@ -27,12 +27,104 @@ self.addEventListener('activate', (event) => {
   )
 })
 
+const STREAM_DOWNLOAD_PATH = '/stream-download/'
+const STREAM_PROGRESS_INTERVAL_MS = 80
+const pendingDownloads = new Map()
+
+self.addEventListener('message', (event) => {
+  const data = event.data || {}
+  if (data.type !== 'mediabus-stream-download') return
+  const port = event.ports && event.ports[0]
+  if (!port || !data.id || !data.href) return
+  const controller = new AbortController()
+  port.onmessage = (message) => {
+    if (message.data && message.data.type === 'cancel') {
+      controller.abort()
+      if (pendingDownloads.delete(data.id)) port.postMessage({ type: 'cancelled' })
+    }
+  }
+  pendingDownloads.set(data.id, {
+    href: data.href,
+    fileName: data.fileName || 'download',
+    port,
+    controller,
+  })
+  port.postMessage({ type: 'ready' })
+})
+
+function streamDownloadResponse(download) {
+  const { href, fileName, port, controller } = download
+  return fetch(href, { credentials: 'include', cache: 'no-store', signal: controller.signal })
+    .then(async (response) => {
+      if (!response.ok || !response.body) {
+        const text = await response.text().catch(() => '')
+        let message = text || `HTTP ${response.status}`
+        try {
+          const parsed = text ? JSON.parse(text) : null
+          if (parsed && parsed.error) message = parsed.error
+        } catch (_) {
+          // Plain-text error body.
+        }
+        port.postMessage({ type: 'error', message })
+        return new Response(message, { status: response.status || 502 })
+      }
+      const total = Number(response.headers.get('content-length')) || 0
+      let loaded = 0
+      let lastProgressMs = 0
+      const counter = new TransformStream({
+        transform(chunk, streamController) {
+          loaded += chunk.byteLength
+          const now = Date.now()
+          if (now - lastProgressMs >= STREAM_PROGRESS_INTERVAL_MS) {
+            lastProgressMs = now
+            port.postMessage({ type: 'progress', loaded, total })
+          }
+          streamController.enqueue(chunk)
+        },
+        flush() {
+          port.postMessage({ type: 'done', loaded, total })
+        },
+      })
+      response.body.pipeTo(counter.writable).catch(() => {
+        port.postMessage(controller.signal.aborted
+          ? { type: 'cancelled' }
+          : { type: 'error', message: 'Download was interrupted.' })
+      })
+      const headers = new Headers()
+      headers.set('Content-Type', response.headers.get('content-type') || 'application/octet-stream')
+      if (total > 0) headers.set('Content-Length', String(total))
+      headers.set(
+        'Content-Disposition',
+        response.headers.get('content-disposition') ||
+          `attachment; filename="${String(fileName).replace(/"/g, '')}"`,
+      )
+      return new Response(counter.readable, { headers })
+    })
+    .catch(() => {
+      port.postMessage(controller.signal.aborted
+        ? { type: 'cancelled' }
+        : { type: 'error', message: 'Host is unreachable.' })
+      return Response.error()
+    })
+}
+
 self.addEventListener('fetch', (event) => {
   const request = event.request
   if (request.method !== 'GET') return
 
   const url = new URL(request.url)
   if (url.origin !== self.location.origin) return
+  if (url.pathname.startsWith(STREAM_DOWNLOAD_PATH)) {
+    const id = decodeURIComponent(url.pathname.slice(STREAM_DOWNLOAD_PATH.length))
+    const download = pendingDownloads.get(id)
+    if (!download) {
+      event.respondWith(new Response('Download link expired.', { status: 404 }))
+      return
+    }
+    pendingDownloads.delete(id)
+    event.respondWith(streamDownloadResponse(download))
+    return
+  }
   if (url.pathname.startsWith('/api/')) return
 
   if (request.mode === 'navigate') {
@@ -1,4 +1,6 @@
-import { useEffect, useMemo, useRef, useState } from 'react'
+import { useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react'
+import { sha256 } from '@noble/hashes/sha2.js'
+import { bytesToHex } from '@noble/hashes/utils.js'
 
 function friendlyErrorMessage(message) {
   const raw = String(message || '').trim()
@@ -15,6 +17,29 @@ function friendlyErrorMessage(message) {
   return raw || 'Something went wrong.'
 }
 
+const SHA256_HEADER = 'X-MediaBus-Sha256'
+const HASH_READ_BYTES = 4 * 1024 * 1024
+
+function integrityError(message) {
+  const error = new Error(message)
+  error.name = 'IntegrityError'
+  return error
+}
+
+function isIntegrityError(err) {
+  return String(err?.name || '') === 'IntegrityError'
+}
+
+async function hashFileSha256(file, isCancelled) {
+  const hasher = sha256.create()
+  for (let offset = 0; offset < file.size; offset += HASH_READ_BYTES) {
+    if (isCancelled?.()) throw new Error('Upload was cancelled.')
+    const buffer = await file.slice(offset, offset + HASH_READ_BYTES).arrayBuffer()
+    hasher.update(new Uint8Array(buffer))
+  }
+  return bytesToHex(hasher.digest())
+}
+
 function api(path, options = {}) {
   return fetch(path, {
     credentials: 'include',
@@ -34,153 +59,3070 @@ function api(path, options = {}) {
   })
 }
 
-function dirname(path) {
-  const parts = (path || '').split('/').filter(Boolean)
-  parts.pop()
-  return parts.join('/')
+function dirname(path) {
+  const parts = (path || '').split('/').filter(Boolean)
+  parts.pop()
+  return parts.join('/')
+}
+
+function downloadHrefForItem(item) {
+  if (!item) return ''
+  return item.directory
+    ? `/api/files/download-zip?path=${encodeURIComponent(item.path)}`
+    : `/api/files/download?path=${encodeURIComponent(item.path)}`
+}
+
+function basename(path) {
+  const segments = String(path || '').split('/').filter(Boolean)
+  return segments.length ? segments[segments.length - 1] : ''
+}
+
+function defaultDownloadFileName(item, fallbackIndex = 0) {
+  const fallbackBase = item?.name || basename(item?.path) || `item-${fallbackIndex + 1}`
+  if (item?.directory) return `${fallbackBase}.zip`
+  return fallbackBase
+}
+
+function fileNameFromDisposition(headerValue) {
+  const value = String(headerValue || '')
+  const utf8Match = value.match(/filename\*=UTF-8''([^;]+)/i)
+  if (utf8Match?.[1]) {
+    try {
+      return decodeURIComponent(utf8Match[1].trim())
+    } catch (_) {
+    }
+  }
+  const plainMatch = value.match(/filename="?([^"]+)"?/i)
+  return plainMatch?.[1]?.trim() || ''
+}
+
+function parseContentLength(headerValue) {
+  const numeric = Number(headerValue)
+  return Number.isFinite(numeric) && numeric > 0 ? numeric : 0
+}
+
+function saveBlobToDevice(blob, fileName) {
+  const objectUrl = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = objectUrl
+  link.download = fileName || 'download'
+  link.style.display = 'none'
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+  window.setTimeout(() => URL.revokeObjectURL(objectUrl), 15000)
+}
+
+const STREAM_DOWNLOAD_THRESHOLD_BYTES = 64 * 1024 * 1024
+const STREAM_DOWNLOAD_PATH = '/stream-download/'
+
+async function responseError(response) {
+  const text = await response.text()
+  let data = null
+  try {
+    data = text ? JSON.parse(text) : null
+  } catch (_) {
+    data = null
+  }
+  return new Error(friendlyErrorMessage((data && data.error) || text || `HTTP ${response.status}`))
+}
+
+function abortError(message) {
+  const error = new Error(message)
+  error.name = 'AbortError'
+  return error
+}
+
+function canPickSaveFile() {
+  return typeof window !== 'undefined' && typeof window.showSaveFilePicker === 'function'
+}
+
+function canStreamThroughServiceWorker() {
+  return (
+    typeof navigator !== 'undefined' &&
+    !!navigator.serviceWorker?.controller &&
+    typeof MessageChannel !== 'undefined'
+  )
+}
+
+const DOWNLOAD_RETRY_DELAYS_MS = [1000, 2000, 4000, 8000, 15000, 15000]
+const DOWNLOAD_PART_BYTES = 4 * 1024 * 1024
+const DOWNLOAD_RESUME_TTL_MS = 7 * 24 * 60 * 60 * 1000
+const TRANSFER_DB_NAME = 'mediabus-transfers'
+const TRANSFER_DB_VERSION = 2
+const TRANSFER_HISTORY_LIMIT = 500
+const TRANSFER_HISTORY_MAX_PATHS = 50
+
+let transferDbPromise = null
+
+function openTransferDb() {
+  if (transferDbPromise) return transferDbPromise
+  transferDbPromise = new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null)
+      return
+    }
+    const request = indexedDB.open(TRANSFER_DB_NAME, TRANSFER_DB_VERSION)
+    request.onupgradeneeded = () => {
+      const db = request.result
+      if (!db.objectStoreNames.contains('downloads')) {
+        db.createObjectStore('downloads', { keyPath: 'key' })
+      }
+      if (!db.objectStoreNames.contains('downloadParts')) {
+        db.createObjectStore('downloadParts', { keyPath: ['key', 'index'] })
+      }
+      if (!db.objectStoreNames.contains('history')) {
+        db.createObjectStore('history', { keyPath: 'id' }).createIndex('finishedAtMs', 'finishedAtMs')
+      }
+    }
+    request.onsuccess = () => {
+      const db = request.result
+      sweepExpiredDownloadPartials(db).catch(() => {})
+      resolve(db)
+    }
+    request.onerror = () => resolve(null)
+    request.onblocked = () => resolve(null)
+  })
+  return transferDbPromise
+}
+
+function idbResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+function idbDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve()
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
+
+function downloadPartRange(key) {
+  return IDBKeyRange.bound([key, 0], [key, Number.MAX_SAFE_INTEGER])
+}
+
+// Downloads that are never resumed would otherwise keep their parts in storage forever.
+async function sweepExpiredDownloadPartials(db) {
+  const entries = await idbResult(db.transaction('downloads', 'readonly').objectStore('downloads').getAll())
+  const cutoff = Date.now() - DOWNLOAD_RESUME_TTL_MS
+  const expiredKeys = entries.filter((entry) => (entry.updatedAtMs || 0) <= cutoff).map((entry) => entry.key)
+  if (expiredKeys.length === 0) return
+  const transaction = db.transaction(['downloads', 'downloadParts'], 'readwrite')
+  expiredKeys.forEach((key) => {
+    transaction.objectStore('downloads').delete(key)
+    transaction.objectStore('downloadParts').delete(downloadPartRange(key))
+  })
+  await idbDone(transaction)
+}
+
+async function discardDownloadPartial(key) {
+  const db = await openTransferDb()
+  if (!db) return
+  const transaction = db.transaction(['downloads', 'downloadParts'], 'readwrite')
+  transaction.objectStore('downloads').delete(key)
+  transaction.objectStore('downloadParts').delete(downloadPartRange(key))
+  await idbDone(transaction)
+}
+
+// Returns the persisted prefix of an interrupted download, or null when there is nothing usable.
+async function loadDownloadPartial(key) {
+  const db = await openTransferDb()
+  if (!db) return null
+  const transaction = db.transaction(['downloads', 'downloadParts'], 'readonly')
+  const [entry, parts] = await Promise.all([
+    idbResult(transaction.objectStore('downloads').get(key)),
+    idbResult(transaction.objectStore('downloadParts').getAll(downloadPartRange(key))),
+  ])
+  if (!entry) return null
+  const sortedParts = parts.sort((a, b) => a.index - b.index).map((part) => part.blob)
+  const storedBytes = sortedParts.reduce((sum, blob) => sum + blob.size, 0)
+  const expired = Date.now() - (entry.updatedAtMs || 0) >= DOWNLOAD_RESUME_TTL_MS
+  if (expired || !entry.etag || storedBytes !== entry.receivedBytes) {
+    await discardDownloadPartial(key).catch(() => {})
+    return null
+  }
+  return { etag: entry.etag, receivedBytes: storedBytes, parts: sortedParts }
+}
+
+async function saveDownloadPart(key, index, blob, etag, receivedBytes) {
+  const db = await openTransferDb()
+  if (!db) return
+  const transaction = db.transaction(['downloads', 'downloadParts'], 'readwrite')
+  transaction.objectStore('downloadParts').put({ key, index, blob })
+  transaction.objectStore('downloads').put({ key, etag, receivedBytes, updatedAtMs: Date.now() })
+  await idbDone(transaction)
+}
+
+async function addTransferHistory(record) {
+  const db = await openTransferDb()
+  if (!db) return
+  const transaction = db.transaction('history', 'readwrite')
+  const store = transaction.objectStore('history')
+  try {
+    store.put(record)
+  } catch (_) {
+    // Retry arguments that cannot be cloned only cost the retry button, not the entry.
+    store.put({ ...record, retry: null })
+  }
+  const overflow = await idbResult(store.count()) - TRANSFER_HISTORY_LIMIT
+  if (overflow > 0) {
+    const oldestKeys = await idbResult(store.index('finishedAtMs').getAllKeys(null, overflow))
+    oldestKeys.forEach((key) => store.delete(key))
+  }
+  await idbDone(transaction)
+}
+
+async function readTransferHistory() {
+  const db = await openTransferDb()
+  if (!db) return []
+  const entries = await idbResult(db.transaction('history', 'readonly').objectStore('history').getAll())
+  return entries.sort((a, b) => b.finishedAtMs - a.finishedAtMs)
+}
+
+async function deleteTransferHistory(ids) {
+  const db = await openTransferDb()
+  if (!db) return
+  const transaction = db.transaction('history', 'readwrite')
+  const store = transaction.objectStore('history')
+  ids.forEach((id) => store.delete(id))
+  await idbDone(transaction)
+}
+
+function parseContentRangeTotal(headerValue) {
+  const match = /\/(\d+)\s*$/.exec(String(headerValue || ''))
+  return match ? Number(match[1]) : 0
+}
+
+function isAbortError(err) {
+  return String(err?.name || '').toLowerCase() === 'aborterror'
+}
+
+// Reads a download from `resumeFrom` onwards, continuing with a Range request after dropped connections.
+// When the host answers a range request with the whole file (it changed), `onRestart` runs and reading starts at zero.
+async function readDownloadWithResume(relativeUrl, options = {}) {
+  const { signal, headers, resumeFrom = 0, validator = '', onData, onRestart, onInterrupted, onProgress } = options
+  let offset = validator ? resumeFrom : 0
+  let etag = validator
+  let failures = 0
+  let totalBytes = 0
+  let response = null
+  const retryOrThrow = async (err) => {
+    if (signal?.aborted || isAbortError(err) || failures >= DOWNLOAD_RETRY_DELAYS_MS.length) throw err
+    // Without a validator there is no safe way to continue a partly read body.
+    if (offset > 0 && !etag) throw err
+    if (typeof onInterrupted === 'function') await onInterrupted()
+    await waitForTransferRetry(DOWNLOAD_RETRY_DELAYS_MS[failures], () => signal?.aborted)
+    failures += 1
+    if (signal?.aborted) throw abortError('Download was cancelled.')
+  }
+  while (true) {
+    const requestHeaders = { 'X-MediaBus-Want-Sha256': '1', ...headers }
+    if (offset > 0) {
+      requestHeaders.Range = `bytes=${offset}-`
+      requestHeaders['If-Range'] = etag
+    }
+    try {
+      response = await fetch(relativeUrl, { credentials: 'include', cache: 'no-store', headers: requestHeaders, signal })
+    } catch (err) {
+      await retryOrThrow(err)
+      continue
+    }
+    if (response.status === 416 && offset > 0) {
+      offset = 0
+      if (typeof onRestart === 'function') await onRestart()
+      continue
+    }
+    if (!response.ok) throw await responseError(response)
+    if (offset > 0 && response.status !== 206) {
+      offset = 0
+      if (typeof onRestart === 'function') await onRestart()
+    }
+    const resumable = response.headers.get('accept-ranges') === 'bytes'
+    etag = resumable ? response.headers.get('etag') || '' : ''
+    totalBytes = response.status === 206
+      ? parseContentRangeTotal(response.headers.get('content-range'))
+      : parseContentLength(response.headers.get('content-length'))
+    if (typeof onProgress === 'function') onProgress(offset, totalBytes)
+    if (!response.body || typeof response.body.getReader !== 'function') {
+      const value = new Uint8Array(await response.arrayBuffer())
+      await onData(value, etag)
+      offset += value.byteLength
+      break
+    }
+    const reader = response.body.getReader()
+    let readError = null
+    while (true) {
+      let chunk
+      try {
+        chunk = await reader.read()
+      } catch (err) {
+        readError = err
+        break
+      }
+      if (chunk.done) break
+      if (!chunk.value) continue
+      await onData(chunk.value, etag)
+      offset += chunk.value.byteLength
+      failures = 0
+      if (typeof onProgress === 'function') onProgress(offset, totalBytes)
+    }
+    if (!readError) break
+    await retryOrThrow(readError)
+  }
+  if (typeof onProgress === 'function') onProgress(offset, totalBytes || offset)
+  return {
+    response,
+    totalBytes: totalBytes || offset,
+    expectedSha256: String(response.headers.get(SHA256_HEADER) || '').trim().toLowerCase(),
+  }
+}
+
+async function pipeDownloadToWritable(relativeUrl, writable, options = {}) {
+  const { signal, onProgress } = options
+  let hasher = sha256.create()
+  try {
+    const { totalBytes, expectedSha256 } = await readDownloadWithResume(relativeUrl, {
+      signal,
+      onProgress,
+      onData: async (value) => {
+        await writable.write(value)
+        hasher.update(value)
+      },
+      onRestart: async () => {
+        await writable.truncate(0)
+        await writable.seek(0)
+        hasher = sha256.create()
+      },
+    })
+    // The picked file only appears on disk once the writable is closed, so a bad hash leaves nothing behind.
+    if (expectedSha256 && bytesToHex(hasher.digest()) !== expectedSha256) {
+      throw integrityError('Integrity check failed: the downloaded data does not match the file on the host. Nothing was saved.')
+    }
+    await writable.close()
+    return { totalBytes }
+  } catch (err) {
+    await writable.abort().catch(() => {})
+    throw err
+  }
+}
+
+function streamDownloadThroughServiceWorker(relativeUrl, options = {}) {
+  const { fileName, signal, onProgress } = options
+  const worker = navigator.serviceWorker.controller
+  const id = createClientId('download')
+  const channel = new MessageChannel()
+  return new Promise((resolve, reject) => {
+    let frame = null
+    const cleanup = () => {
+      channel.port1.close()
+      // Give the browser a moment to hand the response to its download manager.
+      if (frame) window.setTimeout(() => frame.remove(), 30000)
+    }
+    const onAbort = () => channel.port1.postMessage({ type: 'cancel' })
+    signal?.addEventListener('abort', onAbort, { once: true })
+    channel.port1.onmessage = (event) => {
+      const message = event.data || {}
+      if (message.type === 'ready') {
+        // Navigating a hidden frame lets the browser save the attachment natively while the worker streams it.
+        frame = document.createElement('iframe')
+        frame.hidden = true
+        frame.src = `${STREAM_DOWNLOAD_PATH}${encodeURIComponent(id)}`
+        document.body.appendChild(frame)
+        return
+      }
+      if (message.type === 'progress') {
+        if (typeof onProgress === 'function') onProgress(message.loaded || 0, message.total || 0)
+        return
+      }
+      signal?.removeEventListener('abort', onAbort)
+      cleanup()
+      if (message.type === 'done') {
+        const loaded = message.loaded || 0
+        if (typeof onProgress === 'function') onProgress(loaded, message.total || loaded)
+        resolve({ fileName, totalBytes: message.total || loaded })
+      } else if (message.type === 'cancelled') {
+        reject(abortError('Download was cancelled.'))
+      } else {
+        reject(new Error(friendlyErrorMessage(message.message || 'Download failed')))
+      }
+    }
+    worker.postMessage(
+      { type: 'mediabus-stream-download', id, href: relativeUrl, fileName },
+      [channel.port2],
+    )
+  })
+}
+
+function shareCacheKey(descriptor) {
+  const href = String(descriptor?.href || '')
+  const revision = String(descriptor?.revision || '')
+  return `${href}::${revision}`
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`
+  const kb = bytes / 1024
+  if (kb < 1024) return `${kb.toFixed(1)} KB`
+  const mb = kb / 1024
+  if (mb < 1024) return `${mb.toFixed(1)} MB`
+  return `${(mb / 1024).toFixed(2)} GB`
+}
+
+function formatDuration(seconds) {
+  if (!Number.isFinite(seconds) || seconds < 0) return '-'
+  const total = Math.round(seconds)
+  if (total < 60) return `${total}s`
+  const minutes = Math.floor(total / 60)
+  if (minutes < 60) return `${minutes}m ${String(total % 60).padStart(2, '0')}s`
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`
+}
+
+function formatTime(value) {
+  if (!value) return '-'
+  const date = new Date(value)
+  if (Number.isNaN(date.getTime())) return '-'
+  return date.toLocaleString()
+}
+
+function pathCrumbs(path) {
+  const segments = (path || '').split('/').filter(Boolean)
+  const crumbs = [{ label: 'Root', path: '' }]
+  let current = ''
+  for (const segment of segments) {
+    current = current ? `${current}/${segment}` : segment
+    crumbs.push({ label: segment, path: current })
+  }
+  return crumbs
+}
+
+function UiIcon({ name, alt = '' }) {
+  return <img className="action-icon" src={`/ui-icons/${name}.svg`} alt={alt} aria-hidden={alt ? undefined : true} />
+}
+
+// Only the rows around the viewport are mounted; this many extra rows on each side hide blank gaps while scrolling.
+const VIRTUAL_OVERSCAN_ROWS = 6
+const VIRTUAL_DEFAULT_ROW_HEIGHT_PX = 46
+
+function sameListing(previous, next) {
+  if (previous.length !== next.length) return false
+  return previous.every((item, index) => {
+    const other = next[index]
+    return (
+      item.path === other.path &&
+      item.size === other.size &&
+      item.lastModified === other.lastModified &&
+      item.directory === other.directory
+    )
+  })
+}
+
+const VIEW_MODE_STORAGE_KEY = 'mediabus.viewMode'
+const VIEW_MODES = ['list', 'grid']
+const THUMBNAIL_EDGE_PX = 320
+const IMAGE_EXTENSIONS = new Set(['jpg', 'jpeg', 'png', 'gif', 'webp', 'bmp', 'heic', 'heif'])
+const VIDEO_EXTENSIONS = new Set(['mp4', 'm4v', 'mov', 'webm', 'mkv', '3gp', 'avi'])
+
+function readViewMode() {
+  try {
+    const stored = window.localStorage.getItem(VIEW_MODE_STORAGE_KEY)
+    if (VIEW_MODES.includes(stored)) return stored
+  } catch (_) {
+  }
+  return 'list'
+}
+
+function writeViewMode(value) {
+  try {
+    window.localStorage.setItem(VIEW_MODE_STORAGE_KEY, value)
+  } catch (_) {
+  }
+}
+
+function fileExtension(name) {
+  const value = String(name || '')
+  const dot = value.lastIndexOf('.')
+  return dot > 0 ? value.slice(dot + 1).toLowerCase() : ''
+}
+
+function thumbnailKind(item) {
+  if (!item || item.directory) return null
+  const extension = fileExtension(item.name)
+  if (IMAGE_EXTENSIONS.has(extension)) return 'image'
+  if (VIDEO_EXTENSIONS.has(extension)) return 'video'
+  return null
+}
+
+// The size and timestamp in the URL let the browser keep thumbnails cached until the file changes.
+function thumbnailUrl(item, edge = THUMBNAIL_EDGE_PX) {
+  const params = new URLSearchParams({
+    path: item.path,
+    size: String(edge),
+    v: `${item.size || 0}-${item.lastModified || 0}`,
+  })
+  return `/api/files/thumbnail?${params}`
+}
+
+function LazyThumbnail({ item }) {
+  const holderRef = useRef(null)
+  const [visible, setVisible] = useState(false)
+  const [failed, setFailed] = useState(false)
+
+  useEffect(() => {
+    const holder = holderRef.current
+    if (!holder || visible) return undefined
+    if (typeof IntersectionObserver === 'undefined') {
+      setVisible(true)
+      return undefined
+    }
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) {
+        setVisible(true)
+        observer.disconnect()
+      }
+    }, { rootMargin: '200px 0px' })
+    observer.observe(holder)
+    return () => observer.disconnect()
+  }, [visible])
+
+  useEffect(() => {
+    setFailed(false)
+  }, [item.path, item.lastModified, item.size])
+
+  return (
+    <div ref={holderRef} className="grid-thumb-holder">
+      {visible && !failed ? (
+        <img
+          className="grid-thumb-image"
+          src={thumbnailUrl(item)}
+          alt=""
+          decoding="async"
+          draggable={false}
+          onError={() => setFailed(true)}
+        />
+      ) : (
+        <span className="grid-thumb-icon"><UiIcon name="file" /></span>
+      )}
+      {thumbnailKind(item) === 'video' && <span className="grid-thumb-badge" aria-hidden="true">▶</span>}
+    </div>
+  )
+}
+
+const AUDIO_EXTENSIONS = new Set(['mp3', 'm4a', 'aac', 'ogg', 'oga', 'opus', 'wav', 'flac'])
+const TEXT_EXTENSIONS = new Set([
+  'txt', 'md', 'markdown', 'log', 'csv', 'tsv', 'json', 'xml', 'yml', 'yaml', 'toml', 'ini', 'conf', 'cfg',
+  'env', 'properties', 'html', 'htm', 'css', 'js', 'jsx', 'mjs', 'ts', 'tsx', 'py', 'kt', 'kts', 'java', 'c',
+  'h', 'cpp', 'hpp', 'cs', 'go', 'rs', 'rb', 'php', 'sh', 'bash', 'zsh', 'bat', 'ps1', 'sql', 'gradle', 'srt',
+])
+// Browsers other than Safari cannot decode these, so the preview shows the host's large thumbnail instead.
+const HOST_RENDERED_IMAGE_EXTENSIONS = new Set(['heic', 'heif'])
+const PREVIEW_IMAGE_EDGE_PX = 1024
+const PREVIEW_TEXT_MAX_BYTES = 256 * 1024
+const PREVIEW_PDF_MAX_BYTES = 64 * 1024 * 1024
+const PREVIEW_SWIPE_MIN_PX = 50
+
+function previewKind(item) {
+  if (!item || item.directory) return null
+  const extension = fileExtension(item.name)
+  if (IMAGE_EXTENSIONS.has(extension)) return 'image'
+  if (VIDEO_EXTENSIONS.has(extension)) return 'video'
+  if (AUDIO_EXTENSIONS.has(extension)) return 'audio'
+  if (extension === 'pdf') return 'pdf'
+  if (TEXT_EXTENSIONS.has(extension)) return 'text'
+  return null
+}
+
+// The inline variant streams with Range support for seeking and is tracked by the host as one playback, not a download.
+function inlineFileUrl(item) {
+  return `/api/files/download?path=${encodeURIComponent(item.path)}&inline=1`
+}
+
+const EDITOR_MAX_BYTES = 1024 * 1024
+const EDITOR_HIGHLIGHT_MAX_CHARS = 150 * 1024
+const SYNTAX_FAMILIES = {
+  c: ['js', 'jsx', 'mjs', 'ts', 'tsx', 'java', 'kt', 'kts', 'gradle', 'c', 'h', 'cpp', 'hpp', 'cs', 'go', 'rs', 'php', 'json'],
+  hash: ['py', 'sh', 'bash', 'zsh', 'rb', 'yml', 'yaml', 'toml', 'ini', 'conf', 'cfg', 'env', 'properties', 'ps1'],
+  sql: ['sql'],
+  markup: ['html', 'htm', 'xml', 'md', 'markdown'],
+  css: ['css'],
+}
+const CODE_KEYWORDS = new Set([
+  'as', 'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'def', 'default', 'do', 'elif',
+  'else', 'enum', 'export', 'extends', 'false', 'False', 'finally', 'for', 'from', 'fun', 'func', 'function', 'if',
+  'implements', 'import', 'in', 'interface', 'is', 'let', 'nil', 'new', 'null', 'None', 'object', 'of', 'override',
+  'package', 'private', 'protected', 'public', 'raise', 'return', 'self', 'static', 'struct', 'super', 'switch',
+  'this', 'throw', 'true', 'True', 'try', 'type', 'undefined', 'val', 'var', 'void', 'when', 'while', 'with', 'yield',
+  'select', 'where', 'insert', 'update', 'delete', 'join', 'and', 'or', 'not', 'create', 'table', 'into', 'values',
+])
+
+function syntaxFamily(name) {
+  const extension = fileExtension(name)
+  return Object.keys(SYNTAX_FAMILIES).find((family) => SYNTAX_FAMILIES[family].includes(extension)) || ''
+}
+
+function syntaxPattern(family) {
+  const comments = []
+  if (family === 'c' || family === 'css' || family === 'sql') comments.push('\\/\\*[\\s\\S]*?(?:\\*\\/|$)')
+  if (family === 'c') comments.push('\\/\\/[^\\n]*')
+  if (family === 'hash') comments.push('#[^\\n]*')
+  if (family === 'sql') comments.push('--[^\\n]*')
+  if (family === 'markup') comments.push('<!--[\\s\\S]*?(?:-->|$)')
+  const strings = family === 'markup'
+    ? '"[^"\\n]*"'
+    : '"(?:\\\\.|[^"\\\\\\n])*"|\'(?:\\\\.|[^\'\\\\\\n])*\'|`(?:\\\\.|[^`\\\\])*`'
+  const words = family === 'markup' ? '<\\/?[A-Za-z][\\w:-]*|(?<=^|\\n)#{1,6} [^\\n]*' : '[A-Za-z_$][\\w$]*'
+  return new RegExp(`(${comments.join('|') || '(?!)'})|(${strings})|(\\b\\d+(?:\\.\\d+)?\\b)|(${words})`, 'g')
+}
+
+// A deliberately small tokenizer: comments, strings, numbers and keywords are enough to make notes and configs readable.
+function highlightTokens(text, family) {
+  if (!family || text.length > EDITOR_HIGHLIGHT_MAX_CHARS) return [text]
+  const pattern = syntaxPattern(family)
+  const nodes = []
+  let last = 0
+  let match
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[0].length === 0) {
+      pattern.lastIndex += 1
+      continue
+    }
+    let className = ''
+    if (match[1]) className = 'tok-comment'
+    else if (match[2]) className = 'tok-string'
+    else if (match[3]) className = 'tok-number'
+    else if (match[4] && (family === 'markup' || CODE_KEYWORDS.has(family === 'sql' ? match[4].toLowerCase() : match[4]))) {
+      className = 'tok-keyword'
+    }
+    if (!className) continue
+    if (match.index > last) nodes.push(text.slice(last, match.index))
+    nodes.push(<span key={match.index} className={className}>{match[0]}</span>)
+    last = match.index + match[0].length
+  }
+  if (last < text.length) nodes.push(text.slice(last))
+  return nodes
+}
+
+function canEditText(item) {
+  return previewKind(item) === 'text' && (item.size || 0) <= EDITOR_MAX_BYTES
+}
+
+function TextEditor({ item, canSave, onDirtyChange, onSaved, requestConfirm }) {
+  const [state, setState] = useState({ loading: true, error: '', original: '', etag: '', crlf: false })
+  const [value, setValue] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [saveError, setSaveError] = useState('')
+  const [conflict, setConflict] = useState(false)
+  const [reloadSeq, setReloadSeq] = useState(0)
+  const highlightRef = useRef(null)
+  const gutterRef = useRef(null)
+  const dirty = !state.loading && value !== state.original
+  const family = syntaxFamily(item.name)
+  const tokens = useMemo(() => highlightTokens(value, family), [value, family])
+  const lineNumbers = useMemo(() => {
+    const count = value.split('\n').length
+    return Array.from({ length: count }, (_, index) => index + 1).join('\n')
+  }, [value])
+
+  useEffect(() => {
+    const controller = new AbortController()
+    setState({ loading: true, error: '', original: '', etag: '', crlf: false })
+    setSaveError('')
+    setConflict(false)
+    fetch(inlineFileUrl(item), { credentials: 'include', cache: 'no-store', signal: controller.signal })
+      .then(async (response) => {
+        if (!response.ok) throw await responseError(response)
+        const raw = new TextDecoder().decode(await response.arrayBuffer())
+        // Textareas normalise line endings to \n; remember CRLF files so saving does not rewrite every line.
+        const crlf = raw.includes('\r\n')
+        const text = crlf ? raw.replace(/\r\n/g, '\n') : raw
+        setValue(text)
+        setState({ loading: false, error: '', original: text, etag: response.headers.get('ETag') || '', crlf })
+      })
+      .catch((err) => {
+        if (isAbortError(err)) return
+        setState((prev) => ({ ...prev, loading: false, error: friendlyErrorMessage(err.message || 'Failed to open file') }))
+      })
+    return () => controller.abort()
+  }, [item.path, reloadSeq])
+
+  useEffect(() => {
+    onDirtyChange?.(dirty)
+  }, [dirty, onDirtyChange])
+
+  useEffect(() => {
+    if (!dirty) return undefined
+    const onBeforeUnload = (event) => {
+      event.preventDefault()
+      event.returnValue = ''
+    }
+    window.addEventListener('beforeunload', onBeforeUnload)
+    return () => window.removeEventListener('beforeunload', onBeforeUnload)
+  }, [dirty])
+
+  async function save() {
+    if (!dirty || saving || !canSave) return
+    setSaving(true)
+    setSaveError('')
+    setConflict(false)
+    try {
+      const bytes = new TextEncoder().encode(state.crlf ? value.replace(/\n/g, '\r\n') : value)
+      const params = new URLSearchParams({ path: dirname(item.path), name: item.name, conflict: 'overwrite' })
+      const headers = {
+        'Content-Type': 'application/octet-stream',
+        [SHA256_HEADER]: bytesToHex(sha256(bytes)),
+      }
+      if (state.etag) headers['If-Match'] = state.etag
+      const response = await fetch(`/api/files/upload?${params}`, {
+        method: 'PUT',
+        credentials: 'include',
+        headers,
+        body: bytes,
+      })
+      if (response.status === 412) {
+        setConflict(true)
+        throw await responseError(response)
+      }
+      if (!response.ok) throw await responseError(response)
+      const result = await response.json().catch(() => ({}))
+      setState((prev) => ({ ...prev, original: value, etag: result?.etag || '' }))
+      onSaved?.(item)
+    } catch (err) {
+      setSaveError(friendlyErrorMessage(err.message || 'Save failed'))
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  function syncScroll(event) {
+    const { scrollTop, scrollLeft } = event.currentTarget
+    if (highlightRef.current) {
+      highlightRef.current.scrollTop = scrollTop
+      highlightRef.current.scrollLeft = scrollLeft
+    }
+    if (gutterRef.current) gutterRef.current.scrollTop = scrollTop
+  }
+
+  function onKeyDown(event) {
+    if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 's') {
+      event.preventDefault()
+      save()
+      return
+    }
+    if (event.key === 'Tab' && !event.shiftKey) {
+      event.preventDefault()
+      const input = event.currentTarget
+      const { selectionStart, selectionEnd } = input
+      const next = `${value.slice(0, selectionStart)}  ${value.slice(selectionEnd)}`
+      setValue(next)
+      window.requestAnimationFrame(() => {
+        input.selectionStart = selectionStart + 2
+        input.selectionEnd = selectionStart + 2
+      })
+    }
+  }
+
+  if (state.error) return <div className="preview-message">{state.error}</div>
+  if (state.loading) return <div className="preview-message">Loading file...</div>
+
+  return (
+    <div className="text-editor">
+      <div className="text-editor-bar">
+        <span className="text-editor-status">
+          {saving ? 'Saving...' : dirty ? 'Unsaved changes' : 'Saved'}
+          {!canSave && ' · read-only (uploads are disabled by host settings)'}
+        </span>
+        {conflict && (
+          <button
+            className="btn slim"
+            onClick={async () => {
+              const discard = !dirty || await requestConfirm({
+                title: 'Reload from host?',
+                message: 'Your unsaved changes will be replaced by the version on the host.',
+                confirmLabel: 'Discard and reload',
+                danger: true,
+              })
+              if (discard) setReloadSeq((seq) => seq + 1)
+            }}
+          >
+            Reload from host
+          </button>
+        )}
+        <button className="btn btn-primary slim" disabled={!dirty || saving || !canSave} onClick={save}>
+          Save
+        </button>
+      </div>
+      {saveError && <div className="status-log-line text-editor-error">{saveError}</div>}
+      <div className="code-editor">
+        <pre ref={gutterRef} className="code-gutter" aria-hidden="true">{lineNumbers}</pre>
+        <div className="code-area">
+          <pre ref={highlightRef} className="code-highlight" aria-hidden="true">{tokens}{'\n'}</pre>
+          <textarea
+            className="code-input"
+            aria-label={`Contents of ${item.name}`}
+            value={value}
+            readOnly={!canSave}
+            spellCheck={false}
+            autoCapitalize="off"
+            autoComplete="off"
+            autoCorrect="off"
+            wrap="off"
+            onChange={(event) => setValue(event.currentTarget.value)}
+            onScroll={syncScroll}
+            onKeyDown={onKeyDown}
+          />
+        </div>
+      </div>
+    </div>
+  )
+}
+
+function PreviewContent({ item, canSave, onDirtyChange, onSaved, requestConfirm }) {
+  const kind = previewKind(item)
+  const editable = canEditText(item)
+  const [state, setState] = useState({ loading: false, error: '', text: '', truncated: false, objectUrl: '' })
+
+  useEffect(() => {
+    setState({ loading: false, error: '', text: '', truncated: false, objectUrl: '' })
+    if ((kind !== 'text' && kind !== 'pdf') || editable) return undefined
+    if (kind === 'pdf' && (item.size || 0) > PREVIEW_PDF_MAX_BYTES) {
+      setState((prev) => ({ ...prev, error: `PDFs over ${formatBytes(PREVIEW_PDF_MAX_BYTES)} are not previewed. Download the file instead.` }))
+      return undefined
+    }
+    const controller = new AbortController()
+    let objectUrl = ''
+    setState((prev) => ({ ...prev, loading: true }))
+    const headers = kind === 'text' ? { Range: `bytes=0-${PREVIEW_TEXT_MAX_BYTES - 1}` } : {}
+    fetch(inlineFileUrl(item), { credentials: 'include', cache: 'no-store', headers, signal: controller.signal })
+      .then(async (response) => {
+        if (!response.ok) throw await responseError(response)
+        if (kind === 'text') {
+          const text = new TextDecoder().decode(await response.arrayBuffer())
+          setState({ loading: false, error: '', text, truncated: (item.size || 0) > PREVIEW_TEXT_MAX_BYTES, objectUrl: '' })
+          return
+        }
+        const blob = await response.blob()
+        objectUrl = URL.createObjectURL(new Blob([blob], { type: 'application/pdf' }))
+        setState({ loading: false, error: '', text: '', truncated: false, objectUrl })
+      })
+      .catch((err) => {
+        if (isAbortError(err)) return
+        setState((prev) => ({ ...prev, loading: false, error: friendlyErrorMessage(err.message || 'Preview failed') }))
+      })
+    return () => {
+      controller.abort()
+      if (objectUrl) URL.revokeObjectURL(objectUrl)
+    }
+  }, [item.path, item.lastModified, item.size, kind, editable])
+
+  if (editable) {
+    return (
+      <TextEditor
+        key={item.path}
+        item={item}
+        canSave={canSave}
+        onDirtyChange={onDirtyChange}
+        onSaved={onSaved}
+        requestConfirm={requestConfirm}
+      />
+    )
+  }
+  if (state.error) return <div className="preview-message">{state.error}</div>
+  if (state.loading) return <div className="preview-message">Loading preview...</div>
+
+  if (kind === 'image') {
+    const hostRendered = HOST_RENDERED_IMAGE_EXTENSIONS.has(fileExtension(item.name))
+    return (
+      <img
+        className="preview-image"
+        src={hostRendered ? thumbnailUrl(item, PREVIEW_IMAGE_EDGE_PX) : inlineFileUrl(item)}
+        alt={item.name}
+        draggable={false}
+        onError={() => setState((prev) => ({ ...prev, error: 'This image cannot be displayed.' }))}
+      />
+    )
+  }
+  if (kind === 'video') {
+    return (
+      <video
+        key={item.path}
+        className="preview-video"
+        src={inlineFileUrl(item)}
+        controls
+        playsInline
+        preload="metadata"
+        onError={() => setState((prev) => ({ ...prev, error: 'This browser cannot play this video.' }))}
+      />
+    )
+  }
+  if (kind === 'audio') {
+    return (
+      <div className="preview-audio">
+        <span className="grid-thumb-icon"><UiIcon name="file" /></span>
+        <audio
+          key={item.path}
+          src={inlineFileUrl(item)}
+          controls
+          preload="metadata"
+          onError={() => setState((prev) => ({ ...prev, error: 'This browser cannot play this audio file.' }))}
+        />
+      </div>
+    )
+  }
+  if (kind === 'pdf') {
+    return state.objectUrl ? <iframe className="preview-pdf" src={state.objectUrl} title={item.name} /> : null
+  }
+  if (kind === 'text') {
+    return (
+      <div className="preview-text-wrap">
+        <pre className="preview-text">{state.text}</pre>
+        {state.truncated && (
+          <div className="preview-message">Showing the first {formatBytes(PREVIEW_TEXT_MAX_BYTES)}. Download the file to see the rest.</div>
+        )}
+      </div>
+    )
+  }
+  return (
+    <div className="preview-message">
+      No preview for this file type. {formatBytes(item.size)}, modified {formatTime(item.lastModified)}.
+    </div>
+  )
+}
+
+function PreviewLightbox({
+  items,
+  index,
+  busy,
+  permissions,
+  shareArmed,
+  onNavigate,
+  onClose,
+  onDownload,
+  onShare,
+  onDelete,
+  onSaved,
+  requestConfirm,
+}) {
+  const item = items[index]
+  const touchRef = useRef(null)
+  const [editorDirty, setEditorDirty] = useState(false)
+  const hasPrevious = index > 0
+  const hasNext = index < items.length - 1
+
+  async function leaveFile(action) {
+    if (editorDirty) {
+      const discard = await requestConfirm({
+        title: 'Discard changes?',
+        message: `You have unsaved changes in ${item.name}.`,
+        confirmLabel: 'Discard',
+        danger: true,
+      })
+      if (!discard) return
+    }
+    setEditorDirty(false)
+    action()
+  }
+  const goTo = (nextIndex) => leaveFile(() => onNavigate(nextIndex))
+  const close = () => leaveFile(onClose)
+
+  useEffect(() => {
+    const onKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        close()
+        return
+      }
+      if (event.target instanceof Element && event.target.closest('input, textarea, select')) return
+      if (event.key === 'ArrowLeft' && hasPrevious) {
+        event.preventDefault()
+        goTo(index - 1)
+      } else if (event.key === 'ArrowRight' && hasNext) {
+        event.preventDefault()
+        goTo(index + 1)
+      }
+    }
+    document.addEventListener('keydown', onKeyDown)
+    return () => document.removeEventListener('keydown', onKeyDown)
+  })
+
+  if (!item) return null
+
+  // Horizontal swipes page through files; mostly-vertical drags are left alone so text and PDFs still scroll.
+  const swipeHandlers = {
+    onTouchStart: (event) => {
+      const touch = event.touches?.[0]
+      const inEditor = event.target instanceof Element && !!event.target.closest('.text-editor')
+      touchRef.current = touch && !inEditor ? { x: touch.clientX, y: touch.clientY } : null
+    },
+    onTouchEnd: (event) => {
+      const start = touchRef.current
+      const touch = event.changedTouches?.[0]
+      touchRef.current = null
+      if (!start || !touch) return
+      const dx = touch.clientX - start.x
+      const dy = touch.clientY - start.y
+      if (Math.abs(dx) < PREVIEW_SWIPE_MIN_PX || Math.abs(dx) < Math.abs(dy) * 1.5) return
+      if (dx < 0 && hasNext) goTo(index + 1)
+      if (dx > 0 && hasPrevious) goTo(index - 1)
+    },
+  }
+
+  return (
+    <div className="preview-backdrop" role="dialog" aria-modal="true" aria-label={`Preview of ${item.name}`}>
+      <header className="preview-header">
+        <div className="preview-title">
+          <strong title={item.name}>{item.name}</strong>
+          <span>{index + 1} / {items.length} · {formatBytes(item.size)}</span>
+        </div>
+        <div className="preview-actions">
+          <button
+            className="btn slim icon-btn"
+            title="Download"
+            aria-label="Download"
+            disabled={busy || !permissions.allowDownload}
+            onClick={() => onDownload(item)}
+          >
+            <span className="icon-symbol"><UiIcon name="download" /></span>
+          </button>
+          <button
+            className={`btn slim icon-btn ${shareArmed ? 'share-armed' : ''}`}
+            title="Share"
+            aria-label="Share"
+            disabled={busy || !permissions.allowDownload}
+            onClick={() => onShare(item)}
+          >
+            <span className="icon-symbol"><UiIcon name="share" /></span>
+          </button>
+          <button
+            className="btn slim btn-danger icon-btn"
+            title="Delete"
+            aria-label="Delete"
+            disabled={busy || !permissions.allowDelete}
+            onClick={() => onDelete(item)}
+          >
+            <span className="icon-symbol"><UiIcon name="delete" /></span>
+          </button>
+          <button className="btn slim" title="Close" aria-label="Close preview" onClick={close}>✕</button>
+        </div>
+      </header>
+      <div className="preview-stage" {...swipeHandlers}>
+        <button
+          className="preview-nav previous"
+          aria-label="Previous file"
+          disabled={!hasPrevious}
+          onClick={() => goTo(index - 1)}
+        >
+          ‹
+        </button>
+        <div className="preview-body">
+          {permissions.allowDownload
+            ? (
+              <PreviewContent
+                item={item}
+                canSave={permissions.allowUpload}
+                onDirtyChange={setEditorDirty}
+                onSaved={onSaved}
+                requestConfirm={requestConfirm}
+              />
+            )
+            : <div className="preview-message">Previews need downloads, which are disabled by host settings.</div>}
+        </div>
+        <button
+          className="preview-nav next"
+          aria-label="Next file"
+          disabled={!hasNext}
+          onClick={() => goTo(index + 1)}
+        >
+          ›
+        </button>
+      </div>
+    </div>
+  )
+}
+
+const UPLOAD_CHUNK_BYTES = 8 * 1024 * 1024
+const UPLOAD_RESUME_STORAGE_KEY = 'mediabus.uploadResume'
+const UPLOAD_RESUME_TTL_MS = 7 * 24 * 60 * 60 * 1000
+const UPLOAD_RETRY_DELAYS_MS = [1000, 2000, 4000, 8000, 15000, 15000]
+const UPLOAD_CONCURRENCY_STORAGE_KEY = 'mediabus.uploadConcurrency'
+const UPLOAD_CONCURRENCY_OPTIONS = [1, 2, 3, 4, 5, 6]
+const DEFAULT_UPLOAD_CONCURRENCY = 3
+
+function readUploadConcurrency() {
+  try {
+    const stored = Number(window.localStorage.getItem(UPLOAD_CONCURRENCY_STORAGE_KEY))
+    if (UPLOAD_CONCURRENCY_OPTIONS.includes(stored)) return stored
+  } catch (_) {
+  }
+  return DEFAULT_UPLOAD_CONCURRENCY
+}
+
+function writeUploadConcurrency(value) {
+  try {
+    window.localStorage.setItem(UPLOAD_CONCURRENCY_STORAGE_KEY, String(value))
+  } catch (_) {
+  }
+}
+
+function createClientId(prefix) {
+  return (typeof crypto !== 'undefined' && crypto.randomUUID)
+    ? crypto.randomUUID()
+    : `${prefix}-${Date.now()}-${Math.random().toString(16).slice(2)}`
+}
+
+function readUploadResumeEntries() {
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(UPLOAD_RESUME_STORAGE_KEY) || '{}')
+    return parsed && typeof parsed === 'object' ? parsed : {}
+  } catch (_) {
+    return {}
+  }
+}
+
+function writeUploadResumeEntries(entries) {
+  try {
+    window.localStorage.setItem(UPLOAD_RESUME_STORAGE_KEY, JSON.stringify(entries))
+  } catch (_) {
+  }
+}
+
+function pendingUploadResumeCount() {
+  const now = Date.now()
+  return Object.values(readUploadResumeEntries())
+    .filter((entry) => entry && now - (entry.updatedAtMs || 0) < UPLOAD_RESUME_TTL_MS)
+    .length
+}
+
+function uploadResumeKey(targetPath, file) {
+  return [targetPath, file.name, file.size, file.lastModified].join('::')
+}
+
+// Resume keys with an upload running in this tab. The same file dropped twice at once gets a
+// second, unremembered id instead of writing into the first one's part file.
+const activeUploadResumeKeys = new Set()
+
+function recallUploadId(key) {
+  const now = Date.now()
+  const entries = readUploadResumeEntries()
+  let pruned = false
+  for (const [entryKey, entry] of Object.entries(entries)) {
+    if (!entry || now - (entry.updatedAtMs || 0) >= UPLOAD_RESUME_TTL_MS) {
+      delete entries[entryKey]
+      pruned = true
+    }
+  }
+  if (pruned) writeUploadResumeEntries(entries)
+  return entries[key]?.id || ''
+}
+
+function rememberUploadId(key, id) {
+  const entries = readUploadResumeEntries()
+  entries[key] = { id, updatedAtMs: Date.now() }
+  writeUploadResumeEntries(entries)
+}
+
+function forgetUploadId(key) {
+  const entries = readUploadResumeEntries()
+  if (!entries[key]) return
+  delete entries[key]
+  writeUploadResumeEntries(entries)
+}
+
+function uploadError(message, extra = {}) {
+  return Object.assign(new Error(message), extra)
+}
+
+function waitForTransferRetry(delayMs, isCancelled) {
+  return new Promise((resolve) => {
+    const startedAtMs = Date.now()
+    const tick = () => {
+      if (isCancelled?.()) {
+        resolve()
+        return
+      }
+      // Stay parked while the browser reports no network; resume as soon as it returns.
+      const offline = typeof navigator !== 'undefined' && navigator.onLine === false
+      if (!offline && Date.now() - startedAtMs >= delayMs) {
+        resolve()
+        return
+      }
+      window.setTimeout(tick, 250)
+    }
+    tick()
+  })
+}
+
+async function queryUploadOffset(uploadId, targetPath) {
+  const params = new URLSearchParams({ id: uploadId, path: targetPath })
+  const status = await api(`/api/files/upload-status?${params.toString()}`)
+  return Math.max(0, Number(status?.receivedBytes) || 0)
+}
+
+function discardUpload(uploadId, targetPath) {
+  const params = new URLSearchParams({ id: uploadId, path: targetPath })
+  return api(`/api/files/upload-chunk?${params.toString()}`, { method: 'DELETE' }).catch(() => null)
+}
+
+function sendUploadChunk({ file, uploadId, targetPath, offset, conflictPolicy, sha256Hex, batch, onProgress, onRequestCreated }) {
+  const end = Math.min(offset + UPLOAD_CHUNK_BYTES, file.size)
+  const finalChunk = end >= file.size
+  const params = new URLSearchParams({
+    id: uploadId,
+    path: targetPath,
+    name: file.name,
+    offset: String(offset),
+    total: String(file.size),
+    conflict: conflictPolicy || 'rename',
+  })
+  return new Promise((resolve, reject) => {
+    const request = new XMLHttpRequest()
+    request.open('PUT', `/api/files/upload-chunk?${params.toString()}`, true)
+    request.withCredentials = true
+    // The host re-reads the whole file to verify the hash before answering the final chunk.
+    request.timeout = finalChunk && sha256Hex
+      ? 120000 + Math.ceil(file.size / (20 * 1024 * 1024)) * 1000
+      : 120000
+    if (typeof onRequestCreated === 'function') onRequestCreated(request)
+    request.setRequestHeader('Content-Type', 'application/octet-stream')
+    request.setRequestHeader('X-File-Name', file.name)
+    if (finalChunk && sha256Hex) request.setRequestHeader(SHA256_HEADER, sha256Hex)
+    if (batch?.id) request.setRequestHeader('X-MediaBus-Batch-Id', batch.id)
+    if (batch?.totalFiles) request.setRequestHeader('X-MediaBus-Batch-Total', String(batch.totalFiles))
+    if (batch?.totalBytes) request.setRequestHeader('X-MediaBus-Batch-Bytes', String(batch.totalBytes))
+    request.upload.onprogress = (event) => {
+      if (!event.lengthComputable || typeof onProgress !== 'function') return
+      onProgress(offset + event.loaded, file.size)
+    }
+    request.onerror = () => reject(uploadError('Network error. Upload failed.', { retryable: true }))
+    request.onabort = () => reject(uploadError('Upload was cancelled.'))
+    request.ontimeout = () => reject(uploadError('Upload timed out. Check network and try again.', { retryable: true }))
+    request.onload = () => {
+      let data = null
+      try {
+        data = request.responseText ? JSON.parse(request.responseText) : null
+      } catch (_) {
+        data = null
+      }
+      if (request.status >= 200 && request.status < 300 && data) {
+        resolve({
+          receivedBytes: data.skipped ? file.size : Math.max(0, Number(data.receivedBytes) || 0),
+          complete: !!data.complete,
+          skipped: !!data.skipped,
+          name: data.name || file.name,
+        })
+        return
+      }
+      if (data?.integrity === 'mismatch') {
+        reject(integrityError(data.error || `Integrity check failed for ${file.name}.`))
+        return
+      }
+      if (request.status === 409 && typeof data?.receivedBytes === 'number') {
+        reject(uploadError('Upload offset mismatch', { retryable: true, receivedBytes: data.receivedBytes }))
+        return
+      }
+      reject(uploadError(
+        friendlyErrorMessage((data && data.error) || request.responseText || `Upload failed: ${file.name}`),
+        // 204 means the host saw the connection drop mid-chunk; server errors may be transient too.
+        { retryable: request.status === 204 || request.status >= 500 },
+      ))
+    }
+    request.send(file.slice(offset, end))
+  })
+}
+
+async function uploadOne(file, mergedPath, batch, onProgress, onRequestCreated, options = {}) {
+  const { isCancelled, onResume, conflictPolicy = 'rename' } = options
+  const resumeKey = uploadResumeKey(mergedPath, file)
+  const ownsResumeKey = !activeUploadResumeKeys.has(resumeKey)
+  const storedId = ownsResumeKey ? recallUploadId(resumeKey) : ''
+  const uploadId = storedId || createClientId('upload')
+  if (ownsResumeKey) {
+    activeUploadResumeKeys.add(resumeKey)
+    rememberUploadId(resumeKey, uploadId)
+  }
+  const report = (loaded) => {
+    if (typeof onProgress === 'function') onProgress(Math.min(loaded, file.size), file.size)
+  }
+
+  let confirmed = 0
+  if (storedId) {
+    confirmed = Math.min(await queryUploadOffset(uploadId, mergedPath).catch(() => 0), file.size)
+    if (confirmed > 0 && typeof onResume === 'function') onResume(confirmed)
+  }
+  report(confirmed)
+
+  // Hash locally alongside the network transfer; only the final chunk has to wait for it.
+  const hashPromise = hashFileSha256(file, isCancelled)
+  hashPromise.catch(() => {})
+  let failures = 0
+  let skipped = false
+  try {
+    while (true) {
+      if (isCancelled?.()) throw uploadError('Upload was cancelled.')
+      const sha256Hex = confirmed + UPLOAD_CHUNK_BYTES >= file.size ? await hashPromise : ''
+      try {
+        const result = await sendUploadChunk({
+          file,
+          uploadId,
+          targetPath: mergedPath,
+          offset: confirmed,
+          conflictPolicy,
+          sha256Hex,
+          batch,
+          onProgress,
+          onRequestCreated,
+        })
+        failures = 0
+        confirmed = result.receivedBytes
+        report(confirmed)
+        if (result.complete) {
+          skipped = result.skipped
+          break
+        }
+      } catch (err) {
+        if (!err.retryable) throw err
+        if (failures >= UPLOAD_RETRY_DELAYS_MS.length) {
+          throw uploadError(`Connection lost while uploading ${file.name}. Upload the same file again to resume where it stopped.`)
+        }
+        await waitForTransferRetry(UPLOAD_RETRY_DELAYS_MS[failures], isCancelled)
+        failures += 1
+        if (isCancelled?.()) throw uploadError('Upload was cancelled.')
+        confirmed = typeof err.receivedBytes === 'number'
+          ? err.receivedBytes
+          : await queryUploadOffset(uploadId, mergedPath).catch(() => confirmed)
+        confirmed = Math.min(confirmed, file.size)
+        report(confirmed)
+      }
+    }
+    if (ownsResumeKey) forgetUploadId(resumeKey)
+    return { skipped }
+  } catch (err) {
+    if (String(err?.message || '').toLowerCase().includes('cancel')) {
+      if (ownsResumeKey) forgetUploadId(resumeKey)
+      await discardUpload(uploadId, mergedPath)
+    }
+    throw err
+  } finally {
+    if (ownsResumeKey) activeUploadResumeKeys.delete(resumeKey)
+  }
+}
+
+function joinPath(...parts) {
+  return parts.filter(Boolean).join('/')
+}
+
+async function listFolderEntries(folderPath) {
+  try {
+    const data = await api(`/api/files/list?path=${encodeURIComponent(folderPath)}`)
+    return new Map((data?.items || []).map((item) => [item.name, item]))
+  } catch (err) {
+    if (String(err?.message || '').toLowerCase().includes('not found')) return null
+    throw err
+  }
+}
+
+async function findUploadConflicts(sources, targetPath, currentPath, currentItems) {
+  const folders = Array.from(new Set(sources.map((source) => joinPath(targetPath, source.relativeFolder))))
+    .sort((left, right) => left.split('/').length - right.split('/').length)
+  const listings = new Map()
+  for (const folder of folders) {
+    const parent = dirname(folder)
+    if (folder && listings.has(parent)) {
+      // A folder that does not exist yet cannot hold conflicting files; skip the round-trip.
+      const parentListing = listings.get(parent)
+      if (!parentListing || !parentListing.get(basename(folder))?.directory) {
+        listings.set(folder, null)
+        continue
+      }
+    }
+    listings.set(
+      folder,
+      folder === currentPath
+        ? new Map(currentItems.map((item) => [item.name, item]))
+        : await listFolderEntries(folder),
+    )
+  }
+  return sources
+    .map((source, index) => {
+      const folder = joinPath(targetPath, source.relativeFolder)
+      const existing = listings.get(folder)?.get(source.file.name)
+      return existing ? { index, file: source.file, folder, existing } : null
+    })
+    .filter(Boolean)
+}
+
+const EMPTY_SEARCH_CRITERIA = {
+  query: '',
+  ext: '',
+  minSizeMb: '',
+  maxSizeMb: '',
+  modifiedFrom: '',
+  modifiedTo: '',
+}
+const SEARCH_FLUSH_MS = 120
+
+function hasSearchCriteria(criteria) {
+  return !!criteria && Object.keys(EMPTY_SEARCH_CRITERIA).some((key) => String(criteria[key] || '').trim() !== '')
+}
+
+// The address bar mirrors the view: the folder, the search fields and an open preview. It all lives in
+// the query string because the host serves the client shell only at "/".
+const ROUTE_SEARCH_PARAMS = {
+  query: 'q',
+  ext: 'ext',
+  minSizeMb: 'minMb',
+  maxSizeMb: 'maxMb',
+  modifiedFrom: 'from',
+  modifiedTo: 'to',
+}
+
+function trimRoutePath(value) {
+  return String(value || '').replace(/^\/+|\/+$/g, '')
+}
+
+function readRoute() {
+  const params = new URLSearchParams(window.location.search)
+  const criteria = { ...EMPTY_SEARCH_CRITERIA }
+  for (const [key, param] of Object.entries(ROUTE_SEARCH_PARAMS)) {
+    criteria[key] = params.get(param) || ''
+  }
+  return {
+    path: trimRoutePath(params.get('path')),
+    criteria: hasSearchCriteria(criteria) ? criteria : null,
+    preview: trimRoutePath(params.get('file')),
+  }
+}
+
+function routeUrl({ path = '', criteria = null, preview = '' }) {
+  const params = new URLSearchParams()
+  if (path) params.set('path', path)
+  if (criteria) {
+    for (const [key, param] of Object.entries(ROUTE_SEARCH_PARAMS)) {
+      const value = String(criteria[key] || '').trim()
+      if (value) params.set(param, value)
+    }
+  }
+  if (preview) params.set('file', preview)
+  // Slashes are legal in a query value; leaving them unescaped keeps shared links readable.
+  const query = params.toString().replace(/%2F/gi, '/')
+  return query ? `/?${query}` : '/'
+}
+
+function buildSearchParams(criteria, scopePath) {
+  const params = new URLSearchParams({ path: scopePath || '' })
+  const query = criteria.query.trim()
+  if (query) params.set('q', query)
+  if (criteria.ext.trim()) params.set('ext', criteria.ext.trim())
+  const megabytes = (value) => Math.round(Number(value) * 1024 * 1024)
+  if (criteria.minSizeMb !== '' && Number.isFinite(Number(criteria.minSizeMb))) {
+    params.set('minSize', String(megabytes(criteria.minSizeMb)))
+  }
+  if (criteria.maxSizeMb !== '' && Number.isFinite(Number(criteria.maxSizeMb))) {
+    params.set('maxSize', String(megabytes(criteria.maxSizeMb)))
+  }
+  // Date inputs are local calendar days: "from" starts at local midnight, "to" includes the whole day.
+  if (criteria.modifiedFrom) {
+    params.set('modifiedAfter', String(new Date(`${criteria.modifiedFrom}T00:00:00`).getTime()))
+  }
+  if (criteria.modifiedTo) {
+    params.set('modifiedBefore', String(new Date(`${criteria.modifiedTo}T23:59:59.999`).getTime()))
+  }
+  return params
+}
+
+// Reads a newline-delimited JSON response and hands over each object as soon as its line is complete.
+async function streamJsonLines(relativeUrl, { signal, onEvent }) {
+  const response = await fetch(relativeUrl, { credentials: 'include', cache: 'no-store', signal })
+  if (!response.ok) throw await responseError(response)
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffered = ''
+  while (true) {
+    const { done, value } = await reader.read()
+    buffered += decoder.decode(value || new Uint8Array(), { stream: !done })
+    const lines = buffered.split('\n')
+    buffered = lines.pop() || ''
+    lines.filter((line) => line.trim()).forEach((line) => onEvent(JSON.parse(line)))
+    if (done) break
+  }
+  if (buffered.trim()) onEvent(JSON.parse(buffered))
+}
+
+function isFileDrag(event) {
+  return Array.from(event.dataTransfer?.types || []).includes('Files')
+}
+
+// Rows dragged within the page carry their paths under this type, which keeps them apart from OS file drops.
+const ITEM_DRAG_TYPE = 'application/x-mediabus-items'
+
+function isItemDrag(event) {
+  return Array.from(event.dataTransfer?.types || []).includes(ITEM_DRAG_TYPE)
+}
+
+function readDroppedEntryFile(entry) {
+  return new Promise((resolve, reject) => entry.file(resolve, reject))
+}
+
+function readDroppedDirectoryBatch(reader) {
+  return new Promise((resolve, reject) => reader.readEntries(resolve, reject))
+}
+
+async function collectDroppedFiles(dataTransfer) {
+  // Entries must be captured synchronously: the DataTransfer is emptied once the drop handler returns.
+  const entries = Array.from(dataTransfer?.items || [])
+    .filter((item) => item.kind === 'file')
+    .map((item) => (typeof item.webkitGetAsEntry === 'function' ? item.webkitGetAsEntry() : null))
+    .filter(Boolean)
+  const plainFiles = Array.from(dataTransfer?.files || [])
+  if (entries.length === 0) {
+    return plainFiles.map((file) => ({ file, relativeFolder: '' }))
+  }
+  const results = []
+  const walk = async (entry, parentFolder) => {
+    if (entry.isFile) {
+      results.push({ file: await readDroppedEntryFile(entry), relativeFolder: parentFolder })
+      return
+    }
+    if (!entry.isDirectory) return
+    const folder = parentFolder ? `${parentFolder}/${entry.name}` : entry.name
+    const reader = entry.createReader()
+    // readEntries returns at most ~100 entries per call; keep reading until it comes back empty.
+    while (true) {
+      const children = await readDroppedDirectoryBatch(reader)
+      if (!children.length) break
+      for (const child of children) {
+        await walk(child, folder)
+      }
+    }
+  }
+  for (const entry of entries) {
+    await walk(entry, '')
+  }
+  return results
+}
+
+const UPLOAD_CONFLICT_CHOICES = [
+  { value: 'skip', label: 'Skip' },
+  { value: 'overwrite', label: 'Overwrite' },
+  { value: 'rename', label: 'Keep both' },
+]
+
+const DIALOG_FOCUSABLE_SELECTOR = [
+  'button:not([disabled])',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  'a[href]',
+  '[tabindex]:not([tabindex="-1"])',
+].join(', ')
+const RESERVED_NAME_PREFIXES = ['.mediabus-upload-', '.mediabus-rename-', '.mediabus-replace-', '.mediabus-trash']
+const ITEM_NAME_MAX_BYTES = 255
+
+function hasControlCharacter(value) {
+  for (let index = 0; index < value.length; index += 1) {
+    const code = value.charCodeAt(index)
+    if (code < 0x20 || code === 0x7f) return true
+  }
+  return false
+}
+
+// Mirrors the host's sanitizeNewName and the names it keeps for itself, so a bad name is caught while typing.
+function validateItemName(value, { existingNames = [], currentName = '', showHidden = false } = {}) {
+  const name = value.trim()
+  if (!name) return 'Enter a name.'
+  if (name === '.' || name === '..') return `"${name}" cannot be used as a name.`
+  if (/[\\/]/.test(name)) return 'Names cannot contain / or \\.'
+  if (hasControlCharacter(name)) return 'Names cannot contain control characters.'
+  if (new TextEncoder().encode(name).length > ITEM_NAME_MAX_BYTES) return 'This name is too long.'
+  const lower = name.toLowerCase()
+  if (RESERVED_NAME_PREFIXES.some((prefix) => lower.startsWith(prefix))) return 'This name is reserved by MediaBus.'
+  if (!showHidden && name.startsWith('.')) return 'Names starting with a dot are hidden, and the host does not allow them.'
+  if (lower !== currentName.toLowerCase() && existingNames.some((existing) => existing.toLowerCase() === lower)) {
+    return `"${name}" already exists in this folder.`
+  }
+  return ''
+}
+
+// Shared shell for in-app dialogs. Keeps Tab inside the card, closes on Escape, returns focus to
+// where it was, and stops keys from reaching the page shortcuts underneath. Small screens get a bottom sheet.
+function ModalDialog({ titleId, title, className = '', closeOnBackdrop = true, onCancel, children }) {
+  const cardRef = useRef(null)
+
+  useEffect(() => {
+    const previous = document.activeElement
+    const card = cardRef.current
+    const initial = card?.querySelector('[data-autofocus]') || card?.querySelector(DIALOG_FOCUSABLE_SELECTOR)
+    initial?.focus()
+    return () => {
+      if (previous instanceof HTMLElement && previous.isConnected) previous.focus()
+    }
+  }, [])
+
+  function onKeyDown(event) {
+    event.stopPropagation()
+    if (event.key === 'Escape') {
+      event.preventDefault()
+      onCancel()
+      return
+    }
+    if (event.key !== 'Tab') return
+    const focusable = [...cardRef.current.querySelectorAll(DIALOG_FOCUSABLE_SELECTOR)]
+    if (focusable.length === 0) return
+    const first = focusable[0]
+    const last = focusable[focusable.length - 1]
+    if (event.shiftKey && (document.activeElement === first || !cardRef.current.contains(document.activeElement))) {
+      event.preventDefault()
+      last.focus()
+    } else if (!event.shiftKey && document.activeElement === last) {
+      event.preventDefault()
+      first.focus()
+    }
+  }
+
+  return (
+    <div
+      className="modal-backdrop sheet-backdrop"
+      onKeyDown={onKeyDown}
+      onMouseDown={(event) => { if (closeOnBackdrop && event.target === event.currentTarget) onCancel() }}
+    >
+      <section
+        ref={cardRef}
+        className={`modal-card glass-card sheet-card ${className}`}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={titleId}
+      >
+        <h2 id={titleId}>{title}</h2>
+        {children}
+      </section>
+    </div>
+  )
+}
+
+function ConfirmDialog({ request, onResolve }) {
+  return (
+    <ModalDialog titleId="confirm-dialog-title" title={request.title} onCancel={() => onResolve(false)}>
+      <form
+        className="dialog-form"
+        onSubmit={(event) => {
+          event.preventDefault()
+          onResolve(true)
+        }}
+      >
+        {request.message && <p className="modal-text">{request.message}</p>}
+        <footer className="modal-actions">
+          <button type="button" className="btn" onClick={() => onResolve(false)}>Cancel</button>
+          <button type="submit" className={`btn ${request.danger ? 'btn-danger' : 'btn-primary'}`} data-autofocus="">
+            {request.confirmLabel || 'OK'}
+          </button>
+        </footer>
+      </form>
+    </ModalDialog>
+  )
+}
+
+function TextInputDialog({ request, onResolve }) {
+  const inputRef = useRef(null)
+  const [value, setValue] = useState(request.initialValue || '')
+  const [edited, setEdited] = useState(false)
+  const error = request.validate ? request.validate(value) : ''
+  const unchanged = !!request.initialValue && value.trim() === request.initialValue
+
+  // For renames, select the name without its extension so typing replaces just that part.
+  useEffect(() => {
+    const input = inputRef.current
+    if (!input || !request.selectStem) return
+    const dot = input.value.lastIndexOf('.')
+    input.setSelectionRange(0, dot > 0 ? dot : input.value.length)
+  }, [request.selectStem])
+
+  return (
+    <ModalDialog titleId="text-dialog-title" title={request.title} onCancel={() => onResolve(null)}>
+      <form
+        className="dialog-form"
+        noValidate
+        onSubmit={(event) => {
+          event.preventDefault()
+          if (request.readOnly) {
+            onResolve(value)
+            return
+          }
+          setEdited(true)
+          if (!error && !unchanged) onResolve(value.trim())
+        }}
+      >
+        {request.message && <p className="modal-text">{request.message}</p>}
+        <label className="dialog-field">
+          <span>{request.label}</span>
+          <input
+            ref={inputRef}
+            value={value}
+            readOnly={request.readOnly}
+            data-autofocus=""
+            autoComplete="off"
+            autoCapitalize="off"
+            spellCheck={false}
+            aria-invalid={edited && !!error}
+            aria-describedby="text-dialog-error"
+            onFocus={(event) => { if (request.readOnly) event.currentTarget.select() }}
+            onChange={(event) => {
+              setValue(event.currentTarget.value)
+              setEdited(true)
+            }}
+          />
+        </label>
+        <p id="text-dialog-error" className="dialog-error" aria-live="polite">{edited ? error : ''}</p>
+        <footer className="modal-actions">
+          {!request.readOnly && <button type="button" className="btn" onClick={() => onResolve(null)}>Cancel</button>}
+          <button type="submit" className="btn btn-primary" disabled={!request.readOnly && (!!error || unchanged)}>
+            {request.confirmLabel || 'OK'}
+          </button>
+        </footer>
+      </form>
+    </ModalDialog>
+  )
+}
+
+function UploadConflictDialog({ conflicts, onResolve }) {
+  const [choices, setChoices] = useState(() => conflicts.map(() => 'rename'))
+
+  function applyToAll(value) {
+    setChoices(conflicts.map((conflict) => (
+      value === 'overwrite' && conflict.existing.directory ? 'rename' : value
+    )))
+  }
+
+  return (
+    <ModalDialog
+      titleId="upload-conflict-title"
+      title={conflicts.length === 1 ? '1 item already exists' : `${conflicts.length} items already exist`}
+      className="upload-conflict-card"
+      onCancel={() => onResolve(null)}
+      closeOnBackdrop={false}
+    >
+      <p className="modal-text">Choose what to do with each file that has the same name as an existing item.</p>
+      <div className="conflict-apply-all">
+        <span>Apply to all</span>
+        {UPLOAD_CONFLICT_CHOICES.map((choice) => (
+          <button key={choice.value} className="btn slim" onClick={() => applyToAll(choice.value)}>
+            {choice.label}
+          </button>
+        ))}
+      </div>
+      <div className="conflict-list">
+        {conflicts.map((conflict, position) => (
+          <div className="conflict-row" key={`${conflict.folder}/${conflict.file.name}:${conflict.index}`}>
+            <div className="conflict-name">
+              <strong>{conflict.file.name}</strong>
+              <span>
+                in {conflict.folder || 'Root'}
+                {' · '}
+                {conflict.existing.directory
+                  ? 'a folder with this name exists'
+                  : `existing ${formatBytes(conflict.existing.size || 0)}, ${formatTime(conflict.existing.lastModified)}`}
+                {' · '}
+                new {formatBytes(conflict.file.size || 0)}, {formatTime(conflict.file.lastModified)}
+              </span>
+            </div>
+            <select
+              value={choices[position]}
+              aria-label={`Action for ${conflict.file.name}`}
+              onChange={(event) => {
+                const value = event.currentTarget.value
+                setChoices((prev) => prev.map((choice, index) => (index === position ? value : choice)))
+              }}
+            >
+              {UPLOAD_CONFLICT_CHOICES.map((choice) => (
+                <option
+                  key={choice.value}
+                  value={choice.value}
+                  disabled={choice.value === 'overwrite' && conflict.existing.directory}
+                >
+                  {choice.label}
+                </option>
+              ))}
+            </select>
+          </div>
+        ))}
+      </div>
+      <footer className="modal-actions">
+        <button className="btn" onClick={() => onResolve(null)}>Cancel upload</button>
+        <button className="btn btn-primary" data-autofocus="" onClick={() => onResolve(choices)}>Continue</button>
+      </footer>
+    </ModalDialog>
+  )
+}
+
+const MAX_FINISHED_TRANSFERS = 8
+const TRANSFER_UI_INTERVAL_MS = 80
+const THROUGHPUT_WINDOW_MS = 5000
+const THROUGHPUT_MIN_SPAN_MS = 400
+const SPARKLINE_BUCKET_MS = 1000
+const SPARKLINE_MAX_POINTS = 120
+const TRANSFER_KINDS = {
+  upload: { icon: '↑', active: 'Uploading' },
+  download: { icon: '↓', active: 'Downloading' },
+  share: { icon: '⇪', active: 'Caching for share' },
+}
+const TRANSFER_STATE_LABELS = {
+  done: 'Complete',
+  failed: 'Failed',
+  cancelled: 'Cancelled',
+  'integrity-failed': 'Hash mismatch',
+}
+
+// Tracks bytes that actually crossed the network. Resumed offsets are skipped and rewinds after a
+// retry are absorbed, so neither shows up as a burst or a dip in speed.
+function createThroughputMeter() {
+  const samples = []
+  let history = []
+  let bucketMs = SPARKLINE_BUCKET_MS
+  let bucketStartMs = 0
+  let firstSample = null
+  let lastLoadedBytes = null
+  let skippedBytes = 0
+
+  function currentBps() {
+    if (samples.length < 2) return 0
+    const first = samples[0]
+    const last = samples[samples.length - 1]
+    const spanMs = last.atMs - first.atMs
+    return spanMs >= THROUGHPUT_MIN_SPAN_MS ? ((last.bytes - first.bytes) * 1000) / spanMs : 0
+  }
+
+  return {
+    skip(bytes) {
+      skippedBytes += Math.max(0, bytes)
+    },
+    record(loadedBytes, atMs = Date.now()) {
+      if (lastLoadedBytes != null && loadedBytes < lastLoadedBytes) {
+        skippedBytes -= lastLoadedBytes - loadedBytes
+      }
+      lastLoadedBytes = loadedBytes
+      const sample = { atMs, bytes: loadedBytes - skippedBytes }
+      if (!firstSample) {
+        firstSample = sample
+        bucketStartMs = atMs
+      }
+      samples.push(sample)
+      // Keep one sample older than the window as the anchor so the span always covers the full window.
+      while (samples.length > 2 && samples[1].atMs <= atMs - THROUGHPUT_WINDOW_MS) samples.shift()
+      if (atMs - bucketStartMs >= bucketMs) {
+        bucketStartMs = atMs
+        history.push(currentBps())
+        if (history.length > SPARKLINE_MAX_POINTS) {
+          // Halve the resolution instead of dropping the start, so the line always spans the whole transfer.
+          const merged = []
+          for (let index = 0; index < history.length; index += 2) {
+            const pair = history.slice(index, index + 2)
+            merged.push(pair.reduce((sum, value) => sum + value, 0) / pair.length)
+          }
+          history = merged
+          bucketMs *= 2
+        }
+      }
+    },
+    snapshot(loadedBytes, totalBytes) {
+      const speedBps = currentBps()
+      const last = samples[samples.length - 1]
+      const elapsedMs = firstSample && last ? last.atMs - firstSample.atMs : 0
+      const averageBps = elapsedMs >= THROUGHPUT_MIN_SPAN_MS ? ((last.bytes - firstSample.bytes) * 1000) / elapsedMs : 0
+      const rate = speedBps > 0 ? speedBps : averageBps
+      return {
+        speedBps,
+        averageBps,
+        etaSeconds: rate > 0 && totalBytes > loadedBytes ? (totalBytes - loadedBytes) / rate : null,
+        speedHistory: history.slice(),
+      }
+    },
+  }
+}
+
+function SpeedSparkline({ points }) {
+  if (!points || points.length < 2) return null
+  const width = 120
+  const height = 22
+  const peak = Math.max(...points, 1)
+  const step = width / (points.length - 1)
+  const coordinates = points
+    .map((value, index) => `${(index * step).toFixed(1)},${(height - 1 - (value / peak) * (height - 2)).toFixed(1)}`)
+    .join(' ')
+  return (
+    <svg
+      className="speed-sparkline"
+      viewBox={`0 0 ${width} ${height}`}
+      width={width}
+      height={height}
+      role="img"
+      aria-label={`Speed over time, peak ${formatBytes(peak)}/s`}
+    >
+      <title>{`Peak ${formatBytes(peak)}/s`}</title>
+      <polyline points={`0,${height} ${coordinates} ${width},${height}`} className="speed-sparkline-area" />
+      <polyline points={coordinates} className="speed-sparkline-line" />
+    </svg>
+  )
+}
+
+function TransferPanel({
+  transfers,
+  uploadConcurrency,
+  onUploadConcurrencyChange,
+  onCancelTransfer,
+  onCancelAllTransfers,
+  onRetryTransfer,
+  onDismissTransfer,
+  onClearFinishedTransfers,
+  onOpenHistory,
+}) {
+  const activeCount = transfers.filter((entry) => entry.state === 'active').length
+  const finishedCount = transfers.length - activeCount
+
+  return (
+    <section className={`transfer-panel ${activeCount > 0 ? 'active' : ''}`} aria-label="Transfers">
+      <div className="transfer-progress-head">
+        <span className="transfer-label">
+          {activeCount > 0 ? `${activeCount} active transfer(s)` : 'No transfer in progress'}
+        </span>
+        <div className="transfer-head-actions">
+          <label className="transfer-concurrency" title="Files uploaded at the same time">
+            <span>Parallel uploads</span>
+            <select
+              value={uploadConcurrency}
+              onChange={(event) => onUploadConcurrencyChange(Number(event.currentTarget.value))}
+            >
+              {UPLOAD_CONCURRENCY_OPTIONS.map((option) => (
+                <option key={option} value={option}>{option}</option>
+              ))}
+            </select>
+          </label>
+          {activeCount > 1 && (
+            <button className="btn slim btn-danger" onClick={onCancelAllTransfers}>Cancel all</button>
+          )}
+          {finishedCount > 0 && (
+            <button className="btn slim" onClick={onClearFinishedTransfers}>Clear finished</button>
+          )}
+          <button className="btn slim" onClick={onOpenHistory}>History</button>
+        </div>
+      </div>
+      {transfers.length > 0 && (
+        <ul className="transfer-list">
+          {transfers.map((entry) => {
+            const kind = TRANSFER_KINDS[entry.kind] || TRANSFER_KINDS.download
+            const active = entry.state === 'active'
+            const stateLabel = active ? kind.active : TRANSFER_STATE_LABELS[entry.state] || ''
+            return (
+              <li
+                key={entry.id}
+                className={`transfer-progress transfer-row ${active ? 'active' : ''} ${entry.state}`}
+              >
+                <div className="transfer-progress-head">
+                  <span className="transfer-label">
+                    <span className="transfer-kind" aria-hidden="true">{kind.icon}</span>
+                    {entry.state === 'integrity-failed'
+                      ? <span className="integrity-badge">Hash mismatch</span>
+                      : <span className="transfer-state">{stateLabel}</span>}
+                    <span className="transfer-name">{entry.label}</span>
+                  </span>
+                  <div className="transfer-head-actions">
+                    <span className="transfer-meta">{active ? `${Math.round(entry.progress * 100)}%` : ''}</span>
+                    {active && (
+                      <button
+                        className="btn slim btn-danger icon-btn"
+                        title="Cancel transfer"
+                        aria-label={`Cancel ${entry.label}`}
+                        onClick={() => onCancelTransfer(entry.id)}
+                      >
+                        <span className="icon-symbol">✕</span>
+                      </button>
+                    )}
+                    {!active && entry.state !== 'done' && entry.retryable && (
+                      <button
+                        className="btn slim icon-btn"
+                        title="Retry transfer"
+                        aria-label={`Retry ${entry.label}`}
+                        onClick={() => onRetryTransfer(entry.id)}
+                      >
+                        <span className="icon-symbol">↻</span>
+                      </button>
+                    )}
+                    {!active && (
+                      <button
+                        className="btn slim icon-btn"
+                        title="Dismiss"
+                        aria-label={`Dismiss ${entry.label}`}
+                        onClick={() => onDismissTransfer(entry.id)}
+                      >
+                        <span className="icon-symbol">✕</span>
+                      </button>
+                    )}
+                  </div>
+                </div>
+                <div className="transfer-track">
+                  <div className="transfer-fill" style={{ width: `${Math.round((entry.progress || 0) * 100)}%` }} />
+                </div>
+                <div className="transfer-meta-row">
+                  <span>
+                    {entry.detail || ''}
+                    {entry.totalFiles > 1 ? `${entry.detail ? ' · ' : ''}${entry.doneFiles}/${entry.totalFiles} files` : ''}
+                    {entry.activeFiles > 1 ? ` · ${entry.activeFiles} active` : ''}
+                    {entry.failedFiles > 0 ? ` · ${entry.failedFiles} failed` : ''}
+                  </span>
+                  <span>{formatBytes(entry.loadedBytes)} / {formatBytes(entry.totalBytes)}</span>
+                </div>
+                {(entry.averageBps > 0 || entry.speedHistory?.length > 1) && (
+                  <div className="transfer-speed-row">
+                    <span className="transfer-speed">
+                      {active ? `${formatBytes(entry.speedBps)}/s now · ` : ''}
+                      {`avg ${formatBytes(entry.averageBps)}/s`}
+                      {active && entry.etaSeconds != null ? ` · ${formatDuration(entry.etaSeconds)} left` : ''}
+                    </span>
+                    <SpeedSparkline points={entry.speedHistory} />
+                  </div>
+                )}
+              </li>
+            )
+          })}
+        </ul>
+      )}
+    </section>
+  )
+}
+
+const HISTORY_RESULT_FILTERS = [
+  { value: 'all', label: 'All results' },
+  { value: 'complete', label: 'Complete' },
+  { value: 'failed', label: 'Failed' },
+  { value: 'cancelled', label: 'Cancelled' },
+]
+const HISTORY_KIND_FILTERS = [
+  { value: 'all', label: 'All directions' },
+  { value: 'upload', label: 'Uploads' },
+  { value: 'download', label: 'Downloads' },
+  { value: 'share', label: 'Shares' },
+]
+
+function TransferHistoryDialog({ revision, canRetry, onRetry, onClose }) {
+  const [entries, setEntries] = useState(null)
+  const [resultFilter, setResultFilter] = useState('all')
+  const [kindFilter, setKindFilter] = useState('all')
+  const [query, setQuery] = useState('')
+
+  useEffect(() => {
+    let cancelled = false
+    readTransferHistory()
+      .catch(() => [])
+      .then((loaded) => {
+        if (!cancelled) setEntries(loaded)
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [revision])
+
+  const needle = query.trim().toLowerCase()
+  const filtered = (entries || []).filter((entry) => (
+    (resultFilter === 'all' || entry.result === resultFilter) &&
+    (kindFilter === 'all' || entry.kind === kindFilter) &&
+    (!needle || [entry.label, entry.host, entry.error, ...(entry.paths || [])]
+      .some((value) => String(value || '').toLowerCase().includes(needle)))
+  ))
+  const filtering = resultFilter !== 'all' || kindFilter !== 'all' || !!needle
+
+  async function clearShown() {
+    await deleteTransferHistory(filtered.map((entry) => entry.id)).catch(() => {})
+    const shown = new Set(filtered.map((entry) => entry.id))
+    setEntries((prev) => (prev || []).filter((entry) => !shown.has(entry.id)))
+  }
+
+  return (
+    <ModalDialog
+      titleId="transfer-history-title"
+      title="Transfer history"
+      className="history-card"
+      onCancel={onClose}
+    >
+      <div className="history-filters">
+        <select value={resultFilter} aria-label="Filter by result" onChange={(event) => setResultFilter(event.currentTarget.value)}>
+          {HISTORY_RESULT_FILTERS.map((option) => <option key={option.value} value={option.value}>{option.label}</option>)}
+        </select>
+        <select value={kindFilter} aria-label="Filter by direction" onChange={(event) => setKindFilter(event.currentTarget.value)}>
+          {HISTORY_KIND_FILTERS.map((option) => <option key={option.value} value={option.value}>{option.label}</option>)}
+        </select>
+        <input
+          type="search"
+          value={query}
+          placeholder="Search names, paths, errors"
+          aria-label="Search history"
+          onChange={(event) => setQuery(event.currentTarget.value)}
+        />
+      </div>
+      <div className="history-list">
+        {entries === null && <p className="modal-text">Loading history...</p>}
+        {entries !== null && filtered.length === 0 && (
+          <p className="modal-text">{filtering ? 'No transfers match these filters.' : 'No transfers recorded yet.'}</p>
+        )}
+        {filtered.map((entry) => {
+          const kind = TRANSFER_KINDS[entry.kind] || TRANSFER_KINDS.download
+          const retryable = canRetry(entry)
+          const extraPaths = (entry.pathCount || 0) - (entry.paths || []).slice(0, 3).length
+          return (
+            <div key={entry.id} className={`history-row ${entry.result}`}>
+              <div className="history-row-head">
+                <span className="transfer-kind" aria-hidden="true">{kind.icon}</span>
+                <strong className="transfer-name">{entry.label}</strong>
+                <span className={`history-result ${entry.result}`}>
+                  {entry.integrityFailed ? 'Hash mismatch' : entry.result}
+                </span>
+                {entry.result !== 'complete' && (
+                  <button
+                    className="btn slim"
+                    disabled={!retryable}
+                    title={retryable ? 'Run this transfer again' : 'Pick the files again to retry this upload'}
+                    onClick={() => onRetry(entry)}
+                  >
+                    Retry
+                  </button>
+                )}
+              </div>
+              <div className="history-meta">
+                {formatTime(entry.finishedAtMs)}
+                {` · ${formatBytes(entry.loadedBytes)} / ${formatBytes(entry.totalBytes)}`}
+                {` · ${formatDuration(entry.durationMs / 1000)}`}
+                {entry.averageBps > 0 ? ` · avg ${formatBytes(entry.averageBps)}/s` : ''}
+                {entry.host ? ` · ${entry.host}` : ''}
+              </div>
+              {(entry.paths || []).length > 0 && (
+                <div className="history-paths" title={(entry.paths || []).join('\n')}>
+                  {(entry.paths || []).slice(0, 3).join(', ')}
+                  {extraPaths > 0 ? ` +${extraPaths} more` : ''}
+                </div>
+              )}
+              {entry.error && <div className="history-error">{entry.error}</div>}
+            </div>
+          )
+        })}
+      </div>
+      <footer className="modal-actions">
+        <button className="btn btn-danger" disabled={filtered.length === 0} onClick={clearShown}>
+          {filtering ? 'Clear shown' : 'Clear history'}
+        </button>
+        <button className="btn btn-primary" onClick={onClose}>Close</button>
+      </footer>
+    </ModalDialog>
+  )
+}
+
+function PairingView({ boot }) {
+  const pairQrSrc = useMemo(() => {
+    if (!boot?.pairQrPayload) return ''
+    return `/api/qr?value=${encodeURIComponent(boot.pairQrPayload)}`
+  }, [boot])
+
+  return (
+    <section className="pair-view">
+      <div className="pair-card glass-card">
+        <div className="pair-head">
+          <h2>Pair This Browser</h2>
+          <p>Scan this QR code with the MediaBus host app, or enter the pairing code manually.</p>
+        </div>
+        <div className="pair-code">{boot.pairCode}</div>
+        <div className="pair-meta">Token refreshes automatically until approved.</div>
+      </div>
+      <div className="pair-qr-shell glass-card">
+        <img className="pair-qr" src={pairQrSrc} alt="Pairing QR" />
+      </div>
+    </section>
+  )
+}
+
+const KEYBOARD_SHORTCUTS = [
+  ['↑ ↓', 'Move between items (← → as well in grid view)'],
+  ['Shift + arrows', 'Extend the selection from the last item'],
+  ['Shift + click', 'Select everything between the last item and this one'],
+  ['Ctrl/⌘ + click', 'Add or remove one item'],
+  ['Drag on empty space', 'Draw a box to select the rows it crosses'],
+  ['Enter', 'Open folder or preview file'],
+  ['Space', 'Select or deselect the current item'],
+  ['Ctrl/⌘ + A', 'Select all'],
+  ['Esc', 'Clear selection'],
+  ['Backspace, Alt + ↑', 'Go to the parent folder'],
+  ['Delete', 'Delete the selection, or the current item'],
+  ['F2', 'Rename the current item, or the selection with a pattern'],
+  ['Ctrl/⌘ + X, C', 'Cut or copy the selection'],
+  ['Ctrl/⌘ + V', 'Move or copy cut/copied items into this folder'],
+  ['Ctrl/⌘ + Z', 'Undo the last delete, rename, move, copy or new folder'],
+  ['?', 'Show this list'],
+]
+
+function KeyboardShortcutsDialog({ onClose }) {
+  return (
+    <ModalDialog
+      titleId="shortcuts-title"
+      title="Keyboard shortcuts"
+      className="shortcuts-card"
+      onCancel={onClose}
+    >
+      <dl className="shortcut-list">
+        {KEYBOARD_SHORTCUTS.map(([keys, description]) => (
+          <div key={keys} className="shortcut-row">
+            <dt><kbd>{keys}</kbd></dt>
+            <dd>{description}</dd>
+          </div>
+        ))}
+      </dl>
+      <div className="modal-actions">
+        <button className="btn btn-primary" data-autofocus="" onClick={onClose}>Close</button>
+      </div>
+    </ModalDialog>
+  )
+}
+
+function isTextEntryTarget(target) {
+  return target instanceof Element && !!target.closest('input, textarea, select, [contenteditable="true"]')
+}
+
+function SearchBar({ search, onSearch }) {
+  const [draft, setDraft] = useState(EMPTY_SEARCH_CRITERIA)
+  const [filtersOpen, setFiltersOpen] = useState(false)
+  const debounceRef = useRef(null)
+
+  // Follows searches started from outside the bar too, such as one restored from the address bar.
+  useEffect(() => {
+    setDraft(search ? search.criteria : EMPTY_SEARCH_CRITERIA)
+  }, [search?.criteria])
+
+  useEffect(() => () => clearTimeout(debounceRef.current), [])
+
+  function submit(next) {
+    clearTimeout(debounceRef.current)
+    onSearch(hasSearchCriteria(next) ? next : null)
+  }
+
+  function update(key, value, { debounce = false } = {}) {
+    const next = { ...draft, [key]: value }
+    setDraft(next)
+    clearTimeout(debounceRef.current)
+    if (debounce) {
+      debounceRef.current = setTimeout(() => submit(next), 350)
+    }
+  }
+
+  const filterCount = Object.keys(EMPTY_SEARCH_CRITERIA)
+    .filter((key) => key !== 'query' && String(draft[key] || '').trim() !== '')
+    .length
+
+  return (
+    <form
+      className="search-bar"
+      onSubmit={(event) => {
+        event.preventDefault()
+        submit(draft)
+      }}
+    >
+      <div className="search-row">
+        <input
+          className="search-input"
+          type="search"
+          placeholder="Search this folder and below (name or *.glob)"
+          aria-label="Search files"
+          value={draft.query}
+          onChange={(event) => update('query', event.currentTarget.value, { debounce: true })}
+          onKeyDown={(event) => {
+            if (event.key === 'Escape' && search) submit(EMPTY_SEARCH_CRITERIA)
+          }}
+        />
+        <button
+          type="button"
+          className={`btn slim ${filtersOpen || filterCount > 0 ? 'btn-primary' : ''}`}
+          aria-expanded={filtersOpen}
+          onClick={() => setFiltersOpen((open) => !open)}
+        >
+          Filters{filterCount > 0 ? ` (${filterCount})` : ''}
+        </button>
+        {search && (
+          <button type="button" className="btn slim" title="Clear search" aria-label="Clear search" onClick={() => submit(EMPTY_SEARCH_CRITERIA)}>
+            ✕
+          </button>
+        )}
+      </div>
+      {filtersOpen && (
+        <div className="search-filters">
+          <label>
+            <span>Extensions</span>
+            <input
+              type="text"
+              placeholder="jpg, png"
+              value={draft.ext}
+              onChange={(event) => update('ext', event.currentTarget.value)}
+            />
+          </label>
+          <label>
+            <span>Min size (MB)</span>
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={draft.minSizeMb}
+              onChange={(event) => update('minSizeMb', event.currentTarget.value)}
+            />
+          </label>
+          <label>
+            <span>Max size (MB)</span>
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={draft.maxSizeMb}
+              onChange={(event) => update('maxSizeMb', event.currentTarget.value)}
+            />
+          </label>
+          <label>
+            <span>Modified from</span>
+            <input
+              type="date"
+              value={draft.modifiedFrom}
+              onChange={(event) => update('modifiedFrom', event.currentTarget.value)}
+            />
+          </label>
+          <label>
+            <span>Modified to</span>
+            <input
+              type="date"
+              value={draft.modifiedTo}
+              onChange={(event) => update('modifiedTo', event.currentTarget.value)}
+            />
+          </label>
+          <button type="submit" className="btn btn-primary slim">Search</button>
+        </div>
+      )}
+    </form>
+  )
+}
+
+function SearchResultParent({ parent, onOpen }) {
+  return (
+    <button className="search-parent" title="Open containing folder" onClick={() => onOpen(parent || '')}>
+      in /{parent || ''}
+    </button>
+  )
+}
+
+function searchStatusLabel(search) {
+  if (search.error) return 'Search failed'
+  const count = `${search.results.length}${search.truncated ? '+' : ''} ${search.results.length === 1 ? 'match' : 'matches'}`
+  return search.running ? `Searching... ${count}` : count
+}
+
+const FOLDER_TREE_STORAGE_KEY = 'mediabus.folderTree'
+
+function readFolderTreeOpen() {
+  try {
+    return window.localStorage.getItem(FOLDER_TREE_STORAGE_KEY) === '1'
+  } catch (_) {
+  }
+  return false
+}
+
+function writeFolderTreeOpen(value) {
+  try {
+    window.localStorage.setItem(FOLDER_TREE_STORAGE_KEY, value ? '1' : '0')
+  } catch (_) {
+  }
+}
+
+function folderEntries(items) {
+  const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' })
+  return items
+    .filter((item) => item.directory)
+    .map((item) => ({ name: item.name, path: item.path }))
+    .sort((left, right) => collator.compare(left.name || '', right.name || ''))
+}
+
+function folderAncestors(path) {
+  const parts = (path || '').split('/').filter(Boolean)
+  return ['', ...parts.map((_, index) => parts.slice(0, index + 1).join('/'))]
+}
+
+// Subfolders load on first expand. `listedFolders` is the open folder's own (already polled) listing,
+// so the branch being browsed stays current without extra requests.
+function FolderTree({ path, listedFolders, dropTarget, dropHandlers, drawer, onOpenFolder }) {
+  const [nodes, setNodes] = useState({})
+  const [expanded, setExpanded] = useState(() => new Set(folderAncestors(path)))
+  const nodesRef = useRef(nodes)
+  nodesRef.current = nodes
+
+  async function loadFolder(folderPath) {
+    setNodes((prev) => ({ ...prev, [folderPath]: { folders: null, ...prev[folderPath], loading: true, error: '' } }))
+    try {
+      const data = await api(`/api/files/list?path=${encodeURIComponent(folderPath)}`)
+      setNodes((prev) => ({ ...prev, [folderPath]: { folders: folderEntries(data?.items || []), loading: false, error: '' } }))
+    } catch (err) {
+      const error = friendlyErrorMessage(err.message || 'Failed to load folders')
+      setNodes((prev) => ({ ...prev, [folderPath]: { folders: null, ...prev[folderPath], loading: false, error } }))
+    }
+  }
+
+  useEffect(() => {
+    if (!listedFolders) return
+    setNodes((prev) => ({ ...prev, [path]: { folders: listedFolders, loading: false, error: '' } }))
+  }, [path, listedFolders])
+
+  useEffect(() => {
+    setExpanded((prev) => {
+      const missing = folderAncestors(path).filter((folderPath) => !prev.has(folderPath))
+      return missing.length === 0 ? prev : new Set([...prev, ...missing])
+    })
+  }, [path])
+
+  useEffect(() => {
+    for (const folderPath of expanded) {
+      if (nodesRef.current[folderPath]) continue
+      if (folderPath === path && listedFolders) continue
+      loadFolder(folderPath)
+    }
+  }, [expanded])
+
+  function toggle(folderPath) {
+    const next = new Set(expanded)
+    if (next.has(folderPath)) {
+      next.delete(folderPath)
+    } else {
+      next.add(folderPath)
+      // Re-expanding picks up folders created or removed since the branch was last loaded.
+      if (nodesRef.current[folderPath] && folderPath !== path) loadFolder(folderPath)
+    }
+    setExpanded(next)
+  }
+
+  const renderNode = (node, depth) => {
+    const entry = nodes[node.path]
+    const isOpen = expanded.has(node.path)
+    const isLeaf = !!entry?.folders && entry.folders.length === 0
+    return (
+      <li key={node.path || 'root'} role="treeitem" aria-expanded={isLeaf ? undefined : isOpen}>
+        <div
+          className={[
+            'tree-row',
+            node.path === path ? 'current' : '',
+            dropTarget?.zone === 'tree' && dropTarget.path === node.path ? 'drop-target' : '',
+          ].filter(Boolean).join(' ')}
+          style={{ paddingLeft: `${depth * 14}px` }}
+          data-drop-folder={node.path}
+        >
+          <button
+            className="tree-toggle"
+            aria-label={isOpen ? `Collapse ${node.name}` : `Expand ${node.name}`}
+            disabled={isLeaf}
+            onClick={() => toggle(node.path)}
+          >
+            {isLeaf ? '' : isOpen ? '▾' : '▸'}
+          </button>
+          <button className="tree-name" title={node.path || node.name} onClick={() => onOpenFolder(node.path)}>
+            <span className="folder-icon"><UiIcon name="folder" /></span>
+            <span className="tree-label">{node.name}</span>
+          </button>
+        </div>
+        {isOpen && !isLeaf && (
+          <ul role="group">
+            {entry?.loading && !entry.folders && (
+              <li className="tree-note" style={{ paddingLeft: `${(depth + 1) * 14 + 26}px` }}>Loading...</li>
+            )}
+            {entry?.error && (
+              <li className="tree-note" style={{ paddingLeft: `${(depth + 1) * 14 + 26}px` }}>{entry.error}</li>
+            )}
+            {(entry?.folders || []).map((child) => renderNode(child, depth + 1))}
+          </ul>
+        )}
+      </li>
+    )
+  }
+
+  return (
+    <nav className={`folder-tree glass-card ${drawer ? 'drawer' : ''}`} aria-label="Folders" {...dropHandlers}>
+      <ul className="tree-list" role="tree">
+        {renderNode({ name: 'Root', path: '' }, 0)}
+      </ul>
+    </nav>
+  )
+}
+
+const MOVE_CONFLICT_CHOICES = [
+  ['rename', 'Keep both'],
+  ['overwrite', 'Replace'],
+  ['skip', 'Skip'],
+]
+
+function isInsidePath(candidate, parentPath) {
+  return candidate === parentPath || candidate.startsWith(`${parentPath}/`)
+}
+
+function FolderPickerDialog({ title, confirmLabel, initialPath, sourcePaths, onConfirm, onClose }) {
+  const [browsePath, setBrowsePath] = useState(initialPath || '')
+  const [listing, setListing] = useState({ loading: true, error: '', folders: [] })
+  const [conflict, setConflict] = useState('rename')
+
+  useEffect(() => {
+    let cancelled = false
+    setListing({ loading: true, error: '', folders: [] })
+    api(`/api/files/list?path=${encodeURIComponent(browsePath)}`)
+      .then((data) => {
+        if (!cancelled) setListing({ loading: false, error: '', folders: folderEntries(data?.items || []) })
+      })
+      .catch((err) => {
+        if (cancelled) return
+        setListing({ loading: false, error: friendlyErrorMessage(err.message || 'Failed to load folders'), folders: [] })
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [browsePath])
+
+  // A folder cannot be moved or copied into itself or anything inside it.
+  const isBlocked = (folderPath) => sourcePaths.some((sourcePath) => isInsidePath(folderPath, sourcePath))
+
+  return (
+    <ModalDialog
+      titleId="folder-picker-title"
+      title={title}
+      className="folder-picker-card"
+      onCancel={onClose}
+    >
+      <div className="breadcrumbs">
+        <button
+          className="crumb-up"
+          title="Up"
+          aria-label="Up"
+          disabled={!browsePath}
+          onClick={() => setBrowsePath(dirname(browsePath))}
+        >
+          <UiIcon name="up" />
+        </button>
+        {pathCrumbs(browsePath).map((crumb, index, crumbs) => (
+          <button key={crumb.path || 'root'} className="crumb" onClick={() => setBrowsePath(crumb.path)}>
+            {crumb.label}
+            {index < crumbs.length - 1 ? <span className="sep">/</span> : null}
+          </button>
+        ))}
+      </div>
+      <ul className="folder-picker-list">
+        {listing.loading && <li className="tree-note">Loading...</li>}
+        {listing.error && <li className="tree-note">{listing.error}</li>}
+        {!listing.loading && !listing.error && listing.folders.length === 0 && <li className="tree-note">No subfolders.</li>}
+        {listing.folders.map((folder) => (
+          <li key={folder.path}>
+            <button className="tree-name" disabled={isBlocked(folder.path)} onClick={() => setBrowsePath(folder.path)}>
+              <span className="folder-icon"><UiIcon name="folder" /></span>
+              <span className="tree-label">{folder.name}</span>
+            </button>
+          </li>
+        ))}
+      </ul>
+      <label className="folder-picker-conflict">
+        <span>If the name is taken</span>
+        <select value={conflict} onChange={(event) => setConflict(event.currentTarget.value)}>
+          {MOVE_CONFLICT_CHOICES.map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </label>
+      <footer className="modal-actions">
+        <button className="btn" onClick={onClose}>Cancel</button>
+        <button
+          className="btn btn-primary"
+          disabled={listing.loading || !!listing.error || isBlocked(browsePath)}
+          onClick={() => onConfirm(browsePath, conflict)}
+        >
+          {confirmLabel} to {browsePath ? basename(browsePath) : 'Root'}
+        </button>
+      </footer>
+    </ModalDialog>
+  )
+}
+
+const RENAME_CASES = [
+  ['keep', 'Keep case'],
+  ['lower', 'lowercase'],
+  ['upper', 'UPPERCASE'],
+  ['title', 'Title Case'],
+]
+const DEFAULT_RENAME_RULES = {
+  find: '',
+  replace: '',
+  useRegex: false,
+  matchCase: false,
+  template: '{name}',
+  start: '1',
+  padding: '3',
+  textCase: 'keep',
+  keepExtension: true,
 }
+const RENAME_PREVIEW_MAX_ROWS = 300
 
-function downloadHrefForItem(item) {
-  if (!item) return ''
-  return item.directory
-    ? `/api/files/download-zip?path=${encodeURIComponent(item.path)}`
-    : `/api/files/download?path=${encodeURIComponent(item.path)}`
+function splitExtension(name) {
+  const dot = name.lastIndexOf('.')
+  return dot > 0 ? [name.slice(0, dot), name.slice(dot + 1)] : [name, '']
 }
 
-function basename(path) {
-  const segments = String(path || '').split('/').filter(Boolean)
-  return segments.length ? segments[segments.length - 1] : ''
+// Throws a SyntaxError for an invalid regular expression so the dialog can show it.
+function renameMatcher(rules) {
+  if (!rules.find) return null
+  const source = rules.useRegex ? rules.find : rules.find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  return new RegExp(source, rules.matchCase ? 'g' : 'gi')
 }
 
-function defaultDownloadFileName(item, fallbackIndex = 0) {
-  const fallbackBase = item?.name || basename(item?.path) || `item-${fallbackIndex + 1}`
-  if (item?.directory) return `${fallbackBase}.zip`
-  return fallbackBase
+// Find/replace runs on the name first, then the template places it (`{name}`) among numbering and date tokens.
+function applyRenameRules(item, index, rules, matcher) {
+  const [stem, extension] = rules.keepExtension && !item.directory ? splitExtension(item.name) : [item.name, '']
+  const two = (value) => String(value).padStart(2, '0')
+  const modified = new Date(item.lastModified || 0)
+  const padding = Math.min(Math.max(Number.parseInt(rules.padding, 10) || 0, 0), 12)
+  const tokens = {
+    name: matcher ? stem.replace(matcher, rules.replace) : stem,
+    n: String((Number.parseInt(rules.start, 10) || 0) + index).padStart(padding, '0'),
+    yyyy: String(modified.getFullYear()),
+    mm: two(modified.getMonth() + 1),
+    dd: two(modified.getDate()),
+    date: `${modified.getFullYear()}-${two(modified.getMonth() + 1)}-${two(modified.getDate())}`,
+    time: `${two(modified.getHours())}${two(modified.getMinutes())}${two(modified.getSeconds())}`,
+  }
+  let result = (rules.template || '{name}').replace(/\{(name|n|yyyy|mm|dd|date|time)\}/g, (_, token) => tokens[token])
+  if (rules.textCase === 'lower') result = result.toLowerCase()
+  else if (rules.textCase === 'upper') result = result.toUpperCase()
+  else if (rules.textCase === 'title') {
+    result = result.toLowerCase().replace(/(^|[\s_\-.])(\p{L})/gu, (_, separator, letter) => separator + letter.toUpperCase())
+  }
+  return extension ? `${result}.${extension}` : result
 }
 
-function fileNameFromDisposition(headerValue) {
-  const value = String(headerValue || '')
-  const utf8Match = value.match(/filename\*=UTF-8''([^;]+)/i)
-  if (utf8Match?.[1]) {
-    try {
-      return decodeURIComponent(utf8Match[1].trim())
-    } catch (_) {
+// Names are compared case-insensitively because shared storage on the host usually is.
+function buildRenamePreview(items, rules, listingPath, listing, showHidden) {
+  let matcher = null
+  try {
+    matcher = renameMatcher(rules)
+  } catch (err) {
+    return { rows: [], error: `Invalid pattern: ${err.message}` }
+  }
+  const selected = new Set(items.map((item) => item.path))
+  const listingNames = new Set(
+    listing.filter((item) => !selected.has(item.path)).map((item) => item.name.toLowerCase()),
+  )
+  const rows = items.map((item, index) => ({ item, name: applyRenameRules(item, index, rules, matcher) }))
+  const targetCounts = new Map()
+  for (const row of rows) {
+    const key = `${dirname(row.item.path)}/${row.name.toLowerCase()}`
+    targetCounts.set(key, (targetCounts.get(key) || 0) + 1)
+  }
+  for (const row of rows) {
+    const { name } = row
+    const problem = name === row.item.name ? '' : validateItemName(name, { currentName: row.item.name, showHidden })
+    if (problem || name !== name.trim()) {
+      row.status = 'invalid'
+      row.problem = problem || 'Names cannot start or end with spaces.'
+    } else if (targetCounts.get(`${dirname(row.item.path)}/${name.toLowerCase()}`) > 1) {
+      row.status = 'duplicate'
+    } else if (dirname(row.item.path) === listingPath && listingNames.has(name.toLowerCase())) {
+      row.status = 'exists'
+    } else {
+      row.status = name === row.item.name ? 'same' : 'ok'
     }
   }
-  const plainMatch = value.match(/filename="?([^"]+)"?/i)
-  return plainMatch?.[1]?.trim() || ''
+  return { rows, error: '' }
 }
 
-function parseContentLength(headerValue) {
-  const numeric = Number(headerValue)
-  return Number.isFinite(numeric) && numeric > 0 ? numeric : 0
+const RENAME_STATUS_LABELS = {
+  same: 'Unchanged',
+  ok: '',
+  invalid: 'Invalid name',
+  duplicate: 'Same as another',
+  exists: 'Name taken',
 }
 
-function saveBlobToDevice(blob, fileName) {
-  const objectUrl = URL.createObjectURL(blob)
-  const link = document.createElement('a')
-  link.href = objectUrl
-  link.download = fileName || 'download'
-  link.style.display = 'none'
-  document.body.appendChild(link)
-  link.click()
-  document.body.removeChild(link)
-  window.setTimeout(() => URL.revokeObjectURL(objectUrl), 15000)
-}
+function BatchRenameDialog({ items, listingPath, listing, showHidden, onApply, onClose }) {
+  const [rules, setRules] = useState(DEFAULT_RENAME_RULES)
+  const [applying, setApplying] = useState(false)
+  const [applyError, setApplyError] = useState('')
+  const preview = useMemo(
+    () => buildRenamePreview(items, rules, listingPath, listing, showHidden),
+    [items, rules, listingPath, listing, showHidden],
+  )
+  const problems = preview.rows.filter((row) => !['ok', 'same'].includes(row.status)).length
+  const changes = preview.rows.filter((row) => row.status === 'ok')
 
-function shareCacheKey(descriptor) {
-  const href = String(descriptor?.href || '')
-  const revision = String(descriptor?.revision || '')
-  return `${href}::${revision}`
-}
+  const update = (key, value) => setRules((prev) => ({ ...prev, [key]: value }))
 
-function formatBytes(bytes) {
-  if (bytes < 1024) return `${bytes} B`
-  const kb = bytes / 1024
-  if (kb < 1024) return `${kb.toFixed(1)} KB`
-  const mb = kb / 1024
-  if (mb < 1024) return `${mb.toFixed(1)} MB`
-  return `${(mb / 1024).toFixed(2)} GB`
-}
+  async function apply() {
+    setApplying(true)
+    setApplyError('')
+    try {
+      await onApply(changes.map((row) => ({ path: row.item.path, name: row.name })))
+    } catch (err) {
+      setApplyError(friendlyErrorMessage(err.message || 'Rename failed'))
+      setApplying(false)
+    }
+  }
 
-function formatTime(value) {
-  if (!value) return '-'
-  const date = new Date(value)
-  if (Number.isNaN(date.getTime())) return '-'
-  return date.toLocaleString()
+  return (
+    <ModalDialog
+      titleId="batch-rename-title"
+      title={`Rename ${items.length} item(s)`}
+      className="batch-rename-card"
+      onCancel={() => { if (!applying) onClose() }}
+      closeOnBackdrop={false}
+    >
+      <div className="rename-rules">
+        <label>
+          <span>Find</span>
+          <input value={rules.find} onChange={(event) => update('find', event.currentTarget.value)} />
+        </label>
+        <label>
+          <span>Replace with</span>
+          <input
+            value={rules.replace}
+            placeholder={rules.useRegex ? '$1 refers to groups' : ''}
+            onChange={(event) => update('replace', event.currentTarget.value)}
+          />
+        </label>
+        <div className="rename-flags">
+          <label>
+            <input
+              type="checkbox"
+              checked={rules.useRegex}
+              onChange={(event) => update('useRegex', event.currentTarget.checked)}
+            />
+            Regular expression
+          </label>
+          <label>
+            <input
+              type="checkbox"
+              checked={rules.matchCase}
+              onChange={(event) => update('matchCase', event.currentTarget.checked)}
+            />
+            Match case
+          </label>
+        </div>
+        <label className="rename-template">
+          <span>New name</span>
+          <input value={rules.template} onChange={(event) => update('template', event.currentTarget.value)} />
+          <small>
+            Tokens: {'{name}'} (after find/replace), {'{n}'} number, {'{date}'}, {'{time}'}, {'{yyyy}'}, {'{mm}'}, {'{dd}'} from the modified time
+          </small>
+        </label>
+        <label>
+          <span>Start at</span>
+          <input
+            type="number"
+            value={rules.start}
+            onChange={(event) => update('start', event.currentTarget.value)}
+          />
+        </label>
+        <label>
+          <span>Digits</span>
+          <input
+            type="number"
+            min="0"
+            max="12"
+            value={rules.padding}
+            onChange={(event) => update('padding', event.currentTarget.value)}
+          />
+        </label>
+        <label>
+          <span>Case</span>
+          <select value={rules.textCase} onChange={(event) => update('textCase', event.currentTarget.value)}>
+            {RENAME_CASES.map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <div className="rename-flags">
+          <label>
+            <input
+              type="checkbox"
+              checked={rules.keepExtension}
+              onChange={(event) => update('keepExtension', event.currentTarget.checked)}
+            />
+            Keep file extensions
+          </label>
+        </div>
+      </div>
+      {preview.error && <p className="modal-text rename-error">{preview.error}</p>}
+      <div className="rename-preview">
+        <table>
+          <thead>
+            <tr>
+              <th>Before</th>
+              <th>After</th>
+              <th aria-label="Status" />
+            </tr>
+          </thead>
+          <tbody>
+            {preview.rows.slice(0, RENAME_PREVIEW_MAX_ROWS).map((row) => (
+              <tr key={row.item.path} className={`rename-${row.status}`}>
+                <td title={row.item.path}>{row.item.name}</td>
+                <td>{row.name}</td>
+                <td>{row.problem || RENAME_STATUS_LABELS[row.status]}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {preview.rows.length > RENAME_PREVIEW_MAX_ROWS && (
+          <p className="modal-text">...and {preview.rows.length - RENAME_PREVIEW_MAX_ROWS} more</p>
+        )}
+      </div>
+      {applyError && <p className="modal-text rename-error">{applyError}</p>}
+      <footer className="modal-actions">
+        <span className="modal-text">
+          {problems > 0 ? `${problems} name(s) need fixing` : `${changes.length} item(s) will be renamed`}
+        </span>
+        <button className="btn" disabled={applying} onClick={onClose}>Cancel</button>
+        <button
+          className="btn btn-primary"
+          disabled={applying || !!preview.error || problems > 0 || changes.length === 0}
+          onClick={apply}
+        >
+          {applying ? 'Renaming...' : 'Rename'}
+        </button>
+      </footer>
+    </ModalDialog>
+  )
 }
 
-function pathCrumbs(path) {
-  const segments = (path || '').split('/').filter(Boolean)
-  const crumbs = [{ label: 'Root', path: '' }]
-  let current = ''
-  for (const segment of segments) {
-    current = current ? `${current}/${segment}` : segment
-    crumbs.push({ label: segment, path: current })
+function TrashDialog({ onRestored, onClose, requestConfirm }) {
+  const [entries, setEntries] = useState(null)
+  const [retentionDays, setRetentionDays] = useState(0)
+  const [error, setError] = useState('')
+  const [note, setNote] = useState('')
+  const [working, setWorking] = useState(false)
+  const [conflict, setConflict] = useState('rename')
+
+  useEffect(() => {
+    let cancelled = false
+    api('/api/trash/list')
+      .then((data) => {
+        if (cancelled) return
+        setEntries(data?.items || [])
+        setRetentionDays(data?.retentionDays || 0)
+      })
+      .catch((err) => {
+        if (cancelled) return
+        setEntries([])
+        setError(friendlyErrorMessage(err.message || 'Failed to load the trash'))
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  async function run(action) {
+    setWorking(true)
+    setError('')
+    setNote('')
+    try {
+      await action()
+    } catch (err) {
+      setError(friendlyErrorMessage(err.message || 'Trash action failed'))
+    } finally {
+      setWorking(false)
+    }
   }
-  return crumbs
-}
 
-function UiIcon({ name, alt = '' }) {
-  return <img className="action-icon" src={`/ui-icons/${name}.svg`} alt={alt} aria-hidden={alt ? undefined : true} />
-}
+  const drop = (ids) => setEntries((prev) => (prev || []).filter((entry) => !ids.includes(entry.id)))
 
-async function uploadOne(file, currentPath, folderUpload, batch, onProgress, onRequestCreated) {
-  const relativeFolder = folderUpload && file.webkitRelativePath
-    ? dirname(file.webkitRelativePath)
-    : ''
-  const mergedPath = [currentPath, relativeFolder].filter(Boolean).join('/')
-  const url = `/api/files/upload?path=${encodeURIComponent(mergedPath)}&name=${encodeURIComponent(file.name)}`
-  await new Promise((resolve, reject) => {
-    const request = new XMLHttpRequest()
-    request.open('PUT', url, true)
-    request.withCredentials = true
-    request.timeout = 120000
-    if (typeof onRequestCreated === 'function') onRequestCreated(request)
-    request.setRequestHeader('Content-Type', 'application/octet-stream')
-    request.setRequestHeader('X-File-Name', file.name)
-    if (batch?.id) request.setRequestHeader('X-MediaBus-Batch-Id', batch.id)
-    if (batch?.totalFiles) request.setRequestHeader('X-MediaBus-Batch-Total', String(batch.totalFiles))
-    if (batch?.totalBytes) request.setRequestHeader('X-MediaBus-Batch-Bytes', String(batch.totalBytes))
-    request.upload.onprogress = (event) => {
-      if (!event.lengthComputable || typeof onProgress !== 'function') return
-      onProgress(event.loaded, event.total)
+  const restore = (entry) => run(async () => {
+    const result = await api(
+      `/api/trash/restore?id=${encodeURIComponent(entry.id)}&conflict=${conflict}`,
+      { method: 'POST' },
+    )
+    if (result?.skipped) {
+      setNote(`${entry.name} was left in the trash because ${entry.originalPath} already exists.`)
+      return
     }
-    request.onerror = () => reject(new Error('Network error. Upload failed.'))
-    request.onabort = () => reject(new Error('Upload was cancelled.'))
-    request.ontimeout = () => reject(new Error('Upload timed out. Check network and try again.'))
-    request.onload = () => {
-      if (request.status >= 200 && request.status < 300) {
-        if (typeof onProgress === 'function') onProgress(file.size, file.size)
-        resolve()
-        return
-      }
-      reject(new Error(friendlyErrorMessage(request.responseText || `Upload failed: ${file.name}`)))
+    if (result?.replacedTrashId) {
+      // The item the restore replaced went to the trash in its place.
+      const data = await api('/api/trash/list')
+      setEntries(data?.items || [])
+    } else {
+      drop([entry.id])
     }
-    request.send(file)
+    onRestored(entry, result?.path || entry.originalPath)
   })
-}
 
-function PairingView({ boot }) {
-  const pairQrSrc = useMemo(() => {
-    if (!boot?.pairQrPayload) return ''
-    return `/api/qr?value=${encodeURIComponent(boot.pairQrPayload)}`
-  }, [boot])
+  const purge = (entry) => run(async () => {
+    const confirmed = await requestConfirm({
+      title: 'Delete permanently?',
+      message: `"${entry.name}" will be removed for good. This cannot be undone.`,
+      confirmLabel: 'Delete forever',
+      danger: true,
+    })
+    if (!confirmed) return
+    await api(`/api/trash/purge?id=${encodeURIComponent(entry.id)}`, { method: 'DELETE' })
+    drop([entry.id])
+  })
+
+  const emptyTrash = () => run(async () => {
+    const confirmed = await requestConfirm({
+      title: 'Empty the trash?',
+      message: `All ${entries.length} item(s) in the trash will be removed for good. This cannot be undone.`,
+      confirmLabel: 'Empty trash',
+      danger: true,
+    })
+    if (!confirmed) return
+    await api('/api/trash/empty', { method: 'DELETE' })
+    setEntries([])
+  })
 
   return (
-    <section className="pair-view">
-      <div className="pair-card glass-card">
-        <div className="pair-head">
-          <h2>Pair This Browser</h2>
-          <p>Scan this QR code with the MediaBus host app, or enter the pairing code manually.</p>
-        </div>
-        <div className="pair-code">{boot.pairCode}</div>
-        <div className="pair-meta">Token refreshes automatically until approved.</div>
+    <ModalDialog
+      titleId="trash-title"
+      title="Trash"
+      className="history-card"
+      onCancel={onClose}
+    >
+      <p className="modal-text">
+        Deleted items are kept here{retentionDays > 0 ? ` for ${retentionDays} days` : ''} and can be restored to where they were.
+      </p>
+      <div className="history-list">
+        {entries === null && <p className="modal-text">Loading trash...</p>}
+        {entries !== null && entries.length === 0 && !error && <p className="modal-text">The trash is empty.</p>}
+        {(entries || []).map((entry) => (
+          <div key={entry.id} className="history-row trash-row">
+            <div className="history-row-head">
+              <span className={entry.directory ? 'folder-icon' : 'file-icon'} aria-hidden="true">
+                <UiIcon name={entry.directory ? 'folder' : 'file'} />
+              </span>
+              <strong className="transfer-name">{entry.name}</strong>
+              <button className="btn slim" disabled={working} onClick={() => restore(entry)}>Restore</button>
+              <button className="btn slim btn-danger" disabled={working} onClick={() => purge(entry)}>
+                Delete forever
+              </button>
+            </div>
+            <div className="history-meta">
+              {`Deleted ${formatTime(entry.deletedAt)}`}
+              {` · ${formatBytes(entry.size)}`}
+              {entry.deletedBy ? ` · by ${entry.deletedBy}` : ''}
+              {entry.expiresAt ? ` · removed after ${formatTime(entry.expiresAt)}` : ''}
+            </div>
+            <div className="history-paths" title={entry.originalPath}>From /{dirname(entry.originalPath)}</div>
+          </div>
+        ))}
       </div>
-      <div className="pair-qr-shell glass-card">
-        <img className="pair-qr" src={pairQrSrc} alt="Pairing QR" />
+      {note && <p className="modal-text">{note}</p>}
+      {error && <p className="modal-text rename-error">{error}</p>}
+      <label className="folder-picker-conflict">
+        <span>If the original name is taken</span>
+        <select value={conflict} onChange={(event) => setConflict(event.currentTarget.value)}>
+          {MOVE_CONFLICT_CHOICES.map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </label>
+      <footer className="modal-actions">
+        <button className="btn btn-danger" disabled={working || !entries?.length} onClick={emptyTrash}>
+          Empty trash
+        </button>
+        <button className="btn btn-primary" data-autofocus="" onClick={onClose}>Close</button>
+      </footer>
+    </ModalDialog>
+  )
+}
+
+const OPERATION_JOURNAL_LIMIT = 30
+const UNDO_TOAST_MS = 8000
+const OPERATION_STATUS_LABELS = {
+  done: '',
+  undone: 'Undone',
+  failed: 'Cannot undo',
+}
+
+// Each step puts one item back. The requests use `conflict=skip` or rely on the host's own
+// not-found/name-taken checks, so an item that changed since is left alone instead of overwritten.
+async function runUndoStep(step) {
+  if (step.type === 'restore') {
+    const result = await api(
+      `/api/trash/restore?id=${encodeURIComponent(step.trashId)}&conflict=skip`,
+      { method: 'POST' },
+    )
+    if (result?.skipped) throw new Error(`Something named ${basename(step.path)} already exists in /${dirname(step.path)}`)
+  } else if (step.type === 'rename') {
+    await api(
+      `/api/files/rename?path=${encodeURIComponent(step.path)}&name=${encodeURIComponent(step.name)}`,
+      { method: 'POST' },
+    )
+  } else if (step.type === 'rename-batch') {
+    await api('/api/files/rename-batch', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ items: step.items }),
+    })
+  } else if (step.type === 'move') {
+    const result = await api(
+      `/api/files/move?path=${encodeURIComponent(step.path)}&to=${encodeURIComponent(step.to)}&conflict=skip`,
+      { method: 'POST' },
+    )
+    if (result?.skipped) throw new Error(`Something named ${basename(step.path)} already exists in /${step.to}`)
+  } else if (step.type === 'remove') {
+    if (step.emptyFolder) {
+      const listing = await api(`/api/files/list?path=${encodeURIComponent(step.path)}`)
+      if ((listing?.items || []).length > 0) throw new Error(`${basename(step.path)} is no longer empty`)
+    }
+    await api(`/api/files/delete?path=${encodeURIComponent(step.path)}`, { method: 'DELETE' })
+  }
+}
+
+function UndoToast({ operation, busy, onUndo, onOpenHistory, onDismiss }) {
+  return (
+    <div className="undo-toast glass-card" role="status">
+      <span className="undo-toast-label">{operation.label}</span>
+      <button className="btn slim btn-primary" disabled={busy} onClick={() => onUndo(operation.id)}>Undo</button>
+      <button className="btn slim" onClick={onOpenHistory}>History</button>
+      <button className="btn slim" aria-label="Dismiss" onClick={onDismiss}>✕</button>
+    </div>
+  )
+}
+
+function OperationsDialog({ operations, busy, onUndo, onClear, onClose }) {
+  // Changes are undone newest first; an older one waits until everything after it is undone.
+  const next = operations.find((operation) => operation.status === 'done')
+
+  return (
+    <ModalDialog
+      titleId="operations-title"
+      title="Recent changes"
+      className="history-card"
+      onCancel={onClose}
+    >
+      <div className="history-list">
+        {operations.length === 0 && <p className="modal-text">Nothing changed in this session yet.</p>}
+        {operations.map((operation) => (
+          <div key={operation.id} className={`history-row operation-${operation.status}`}>
+            <div className="history-row-head">
+              <strong className="transfer-name">{operation.label}</strong>
+              {OPERATION_STATUS_LABELS[operation.status] && (
+                <span className={`history-result ${operation.status === 'failed' ? 'failed' : 'complete'}`}>
+                  {OPERATION_STATUS_LABELS[operation.status]}
+                </span>
+              )}
+              {operation.status === 'done' && (
+                <button
+                  className="btn slim"
+                  disabled={busy || operation !== next}
+                  title={operation === next ? 'Undo this change' : 'Undo the newer changes first'}
+                  onClick={() => onUndo(operation.id)}
+                >
+                  Undo
+                </button>
+              )}
+            </div>
+            <div className="history-meta">{formatTime(operation.at)}</div>
+            {operation.error && <div className="history-error">{operation.error}</div>}
+          </div>
+        ))}
       </div>
-    </section>
+      <footer className="modal-actions">
+        <button className="btn" disabled={operations.length === 0} onClick={onClear}>Clear list</button>
+        <button className="btn btn-primary" data-autofocus="" onClick={onClose}>Close</button>
+      </footer>
+    </ModalDialog>
   )
 }
 
@@ -192,18 +3134,23 @@ function DriveView({
   items,
   selectedPaths,
   log,
-  transfer,
+  resumableUploadCount,
+  uploadConcurrency,
+  onUploadConcurrencyChange,
+  transfers,
   permissions,
   onUp,
   onLoadPath,
   onUploadFiles,
   onUploadFolder,
+  onDropUpload,
   onDeleteItem,
   onCreateFolder,
   onRenameItem,
   onToggleSelectPath,
   onToggleSelectByLongPress,
   onToggleSelectAll,
+  onSelectPaths,
   shareArmedItemPath,
   shareArmedBatchKey,
   onDownloadItem,
@@ -211,7 +3158,26 @@ function DriveView({
   onBatchShare,
   onBatchDelete,
   onCancelTransfer,
+  onCancelAllTransfers,
+  onRetryTransfer,
+  onDismissTransfer,
+  onClearFinishedTransfers,
+  onOpenTransferHistory,
   onShareItem,
+  search,
+  onSearch,
+  onFileSaved,
+  previewPath,
+  onPreviewPathChange,
+  onPickDestination,
+  onTransferItems,
+  onBatchRename,
+  onOpenTrash,
+  onUndo,
+  canUndo,
+  onOpenOperations,
+  requestConfirm,
+  onError,
 }) {
   const crumbs = pathCrumbs(path)
   const [isMobile, setIsMobile] = useState(() => {
@@ -222,8 +3188,30 @@ function DriveView({
   const [mobileMenuExtraSpace, setMobileMenuExtraSpace] = useState(0)
   const [sortBy, setSortBy] = useState('name')
   const [sortDirection, setSortDirection] = useState('down')
+  const [dropTarget, setDropTarget] = useState(null)
+  const [treeOpen, setTreeOpen] = useState(() => readFolderTreeOpen())
+  const [clipboard, setClipboard] = useState(null)
+  const canMoveItems = permissions.allowUpload && permissions.allowDelete
+  const draggedPathsRef = useRef([])
+  const [treeDrawerOpen, setTreeDrawerOpen] = useState(false)
+  const [viewMode, setViewMode] = useState(() => readViewMode())
+  const [cursorPath, setCursorPath] = useState('')
+  const [shortcutsOpen, setShortcutsOpen] = useState(false)
+  const previewIndexRef = useRef(null)
+  const selectionAnchorRef = useRef('')
+  const fileGridRef = useRef(null)
+  const shortcutHandlerRef = useRef(null)
+  const marqueeRef = useRef(null)
+  const listBodyRef = useRef(null)
+  const scrollAnchorRef = useRef(null)
+  const virtualUpdateRef = useRef(null)
+  const [rowStride, setRowStride] = useState(VIRTUAL_DEFAULT_ROW_HEIGHT_PX)
+  const [virtualRows, setVirtualRows] = useState({ first: 0, last: 0, columns: 1 })
+  const suppressClickRef = useRef(false)
+  const [marqueeRect, setMarqueeRect] = useState(null)
   const selectAllRef = useRef(null)
   const tableWrapRef = useRef(null)
+  const dragDepthRef = useRef(0)
   const longPressRef = useRef({
     timer: null,
     triggered: false,
@@ -273,6 +3261,7 @@ function DriveView({
   }, [openMenuPath])
 
   const selectedSet = useMemo(() => new Set(selectedPaths || []), [selectedPaths])
+  const cutSet = useMemo(() => new Set(clipboard && !clipboard.copy ? clipboard.paths : []), [clipboard])
   const selectedCount = selectedSet.size
   const selectionMode = selectedCount > 0
   const batchShareKey = (selectedPaths || []).join('\n')
@@ -296,12 +3285,373 @@ function DriveView({
         result = leftSize - rightSize
         if (result === 0) result = compareName(left, right)
       } else {
-        result = compareName(left, right)
+        result = compareName(left, right)
+      }
+      return sortDirection === 'down' ? result : -result
+    })
+    return list
+  }, [items, sortBy, sortDirection])
+  const previewItems = useMemo(() => sortedItems.filter((item) => !item.directory), [sortedItems])
+  const listedFolders = useMemo(() => (search || pathLoading ? null : folderEntries(items)), [items, search, pathLoading])
+  const listKey = `${viewMode}|${path}|${search ? 'search' : 'folder'}|${sortBy}|${sortDirection}`
+  const previewIndex = previewPath ? previewItems.findIndex((item) => item.path === previewPath) : -1
+  if (previewIndex >= 0) previewIndexRef.current = { path: previewPath, index: previewIndex }
+
+  // When the previewed file disappears (deleted, renamed, refreshed away), stay at the same position.
+  // A preview opened from a link to a file that no longer exists has no position to keep, so it just closes.
+  useEffect(() => {
+    if (!previewPath || previewIndex >= 0 || pathLoading || search?.running) return
+    const last = previewIndexRef.current
+    if (previewItems.length === 0 || last?.path !== previewPath) {
+      onPreviewPathChange('')
+      return
+    }
+    onPreviewPathChange(previewItems[Math.min(last.index, previewItems.length - 1)].path)
+  }, [previewPath, previewIndex, previewItems, pathLoading, search?.running])
+
+  useEffect(() => {
+    setCursorPath('')
+    selectionAnchorRef.current = ''
+  }, [path, search])
+
+  function gridColumnCount() {
+    if (viewMode !== 'grid' || !fileGridRef.current) return 1
+    const columns = window.getComputedStyle(fileGridRef.current).gridTemplateColumns
+    return Math.max(1, columns.split(' ').filter(Boolean).length)
+  }
+
+  // Row 0 sits at the top of this element whether or not it is mounted; the spacers stand in for the rest.
+  function itemsContainer() {
+    return viewMode === 'grid' ? fileGridRef.current : listBodyRef.current
+  }
+
+  function updateVirtualRows() {
+    const container = itemsContainer()
+    if (!container) return
+    const top = container.getBoundingClientRect().top
+    const columns = gridColumnCount()
+    const totalRows = Math.ceil(sortedItems.length / columns)
+    const firstVisibleRow = Math.max(0, Math.floor(-top / rowStride))
+    const first = Math.max(0, firstVisibleRow - VIRTUAL_OVERSCAN_ROWS)
+    const last = Math.min(totalRows, Math.ceil((window.innerHeight - top) / rowStride) + VIRTUAL_OVERSCAN_ROWS)
+    setVirtualRows((prev) => (
+      prev.first === first && prev.last === last && prev.columns === columns ? prev : { first, last: Math.max(first, last), columns }
+    ))
+    scrollAnchorRef.current = top < 0
+      ? { key: listKey, path: sortedItems[firstVisibleRow * columns]?.path || '', row: firstVisibleRow }
+      : null
+  }
+  virtualUpdateRef.current = updateVirtualRows
+
+  function scrollIndexIntoView(index) {
+    const container = itemsContainer()
+    if (!container || index < 0) return
+    const rowTop = container.getBoundingClientRect().top + Math.floor(index / gridColumnCount()) * rowStride
+    if (rowTop < 0) {
+      window.scrollBy(0, rowTop)
+    } else if (rowTop + rowStride > window.innerHeight) {
+      window.scrollBy(0, rowTop + rowStride - window.innerHeight)
+    }
+  }
+
+  useEffect(() => {
+    if (!cursorPath) return
+    scrollIndexIntoView(sortedItems.findIndex((item) => item.path === cursorPath))
+  }, [cursorPath])
+
+  useEffect(() => {
+    let frame = 0
+    const schedule = () => {
+      cancelAnimationFrame(frame)
+      frame = requestAnimationFrame(() => virtualUpdateRef.current?.())
+    }
+    window.addEventListener('scroll', schedule, { passive: true })
+    window.addEventListener('resize', schedule)
+    return () => {
+      cancelAnimationFrame(frame)
+      window.removeEventListener('scroll', schedule)
+      window.removeEventListener('resize', schedule)
+    }
+  }, [])
+
+  // A silent refresh that adds or removes entries above the viewport would otherwise shift the rows being read,
+  // so scroll by the same number of rows to keep the first visible item in place.
+  useLayoutEffect(() => {
+    const anchor = scrollAnchorRef.current
+    if (anchor && anchor.key === listKey && anchor.path) {
+      const index = sortedItems.findIndex((item) => item.path === anchor.path)
+      const row = index >= 0 ? Math.floor(index / gridColumnCount()) : anchor.row
+      if (row !== anchor.row) window.scrollBy(0, (row - anchor.row) * rowStride)
+    }
+    updateVirtualRows()
+  }, [sortedItems, listKey, rowStride, isMobile, treeOpen])
+
+  // Rows have a fixed height, so measuring one mounted row is enough to place all the others.
+  useLayoutEffect(() => {
+    const container = itemsContainer()
+    const sample = container?.querySelector('[data-item-path]')
+    if (!sample) return
+    const rowGap = viewMode === 'grid' ? parseFloat(window.getComputedStyle(container).rowGap) || 0 : 0
+    const measured = sample.getBoundingClientRect().height + rowGap
+    if (measured > 0 && Math.abs(measured - rowStride) > 0.5) setRowStride(measured)
+  })
+
+  function moveCursor(nextIndex, extendSelection) {
+    const target = sortedItems[Math.max(0, Math.min(sortedItems.length - 1, nextIndex))]
+    if (!target) return
+    setCursorPath(target.path)
+    if (!extendSelection) {
+      selectionAnchorRef.current = target.path
+      return
+    }
+    const anchorPath = selectionAnchorRef.current || cursorPath || target.path
+    selectionAnchorRef.current = anchorPath
+    const anchorIndex = Math.max(0, sortedItems.findIndex((item) => item.path === anchorPath))
+    const targetIndex = sortedItems.indexOf(target)
+    const from = Math.min(anchorIndex, targetIndex)
+    const to = Math.max(anchorIndex, targetIndex)
+    onSelectPaths(sortedItems.slice(from, to + 1).map((item) => item.path))
+  }
+
+  function pathsBetween(fromPath, toPath) {
+    const fromIndex = Math.max(0, sortedItems.findIndex((item) => item.path === fromPath))
+    const toIndex = sortedItems.findIndex((item) => item.path === toPath)
+    if (toIndex < 0) return []
+    return sortedItems
+      .slice(Math.min(fromIndex, toIndex), Math.max(fromIndex, toIndex) + 1)
+      .map((item) => item.path)
+  }
+
+  // Shift selects from the anchor (the last plainly clicked or toggled item) in the current sort order;
+  // with Ctrl/Cmd held as well the range is added to the existing selection instead of replacing it.
+  function selectRangeTo(itemPath, additive) {
+    const range = pathsBetween(selectionAnchorRef.current || itemPath, itemPath)
+    onSelectPaths(additive ? [...new Set([...(selectedPaths || []), ...range])] : range)
+    setCursorPath(itemPath)
+  }
+
+  function onRowCheckboxChange(itemPath, event) {
+    const { checked } = event.currentTarget
+    if (event.nativeEvent?.shiftKey && selectionAnchorRef.current) {
+      const range = new Set(pathsBetween(selectionAnchorRef.current, itemPath))
+      const kept = (selectedPaths || []).filter((selectedPath) => !range.has(selectedPath))
+      onSelectPaths(checked ? [...kept, ...range] : kept)
+    } else {
+      onToggleSelectPath(itemPath, checked)
+    }
+    selectionAnchorRef.current = itemPath
+    setCursorPath(itemPath)
+  }
+
+  function beginMarquee(event) {
+    if (isMobile || busy || event.pointerType !== 'mouse' || event.button !== 0) return
+    if (!(event.target instanceof Element)) return
+    if (event.target.closest('button, a, input, label, [draggable="true"], .mobile-menu-shell')) return
+    const additive = event.shiftKey || event.ctrlKey || event.metaKey
+    marqueeRef.current = {
+      startX: event.clientX + window.scrollX,
+      startY: event.clientY + window.scrollY,
+      base: additive ? [...(selectedPaths || [])] : [],
+      active: false,
+      frame: 0,
+    }
+
+    const update = (clientX, clientY) => {
+      const state = marqueeRef.current
+      if (!state) return
+      const pageX = clientX + window.scrollX
+      const pageY = clientY + window.scrollY
+      if (!state.active) {
+        if (Math.abs(pageX - state.startX) < 6 && Math.abs(pageY - state.startY) < 6) return
+        state.active = true
+        clearLongPressTimer()
+        window.getSelection?.()?.removeAllRanges()
+      }
+      const rect = {
+        left: Math.min(state.startX, pageX),
+        top: Math.min(state.startY, pageY),
+        right: Math.max(state.startX, pageX),
+        bottom: Math.max(state.startY, pageY),
+      }
+      setMarqueeRect(rect)
+      // Hit-test by position rather than by DOM node: rows scrolled out of the window are not mounted.
+      const container = itemsContainer()
+      if (!container) return
+      const box = container.getBoundingClientRect()
+      const originX = box.left + window.scrollX
+      const originY = box.top + window.scrollY
+      const columns = gridColumnCount()
+      const firstRow = Math.max(0, Math.floor((rect.top - originY) / rowStride))
+      const lastRow = Math.min(Math.ceil(sortedItems.length / columns) - 1, Math.floor((rect.bottom - originY) / rowStride))
+      // List rows span the table, so only the vertical extent matters there.
+      let firstColumn = 0
+      let lastColumn = columns - 1
+      if (viewMode === 'grid') {
+        const columnGap = parseFloat(window.getComputedStyle(container).columnGap) || 0
+        const columnStride = (box.width + columnGap) / columns
+        firstColumn = Math.max(0, Math.floor((rect.left - originX) / columnStride))
+        lastColumn = Math.min(columns - 1, Math.floor((rect.right - originX) / columnStride))
+      }
+      const hits = []
+      for (let row = firstRow; row <= lastRow; row += 1) {
+        for (let column = firstColumn; column <= lastColumn; column += 1) {
+          const item = sortedItems[row * columns + column]
+          if (item) hits.push(item.path)
+        }
+      }
+      onSelectPaths([...new Set([...state.base, ...hits])])
+    }
+
+    const onMove = (moveEvent) => {
+      const state = marqueeRef.current
+      if (!state) return
+      if (state.active) moveEvent.preventDefault()
+      if (moveEvent.clientY < 40) window.scrollBy(0, -24)
+      else if (moveEvent.clientY > window.innerHeight - 40) window.scrollBy(0, 24)
+      cancelAnimationFrame(state.frame)
+      state.frame = requestAnimationFrame(() => update(moveEvent.clientX, moveEvent.clientY))
+    }
+    const onUp = () => {
+      const state = marqueeRef.current
+      marqueeRef.current = null
+      document.removeEventListener('pointermove', onMove)
+      document.removeEventListener('pointerup', onUp)
+      document.removeEventListener('pointercancel', onUp)
+      if (!state) return
+      cancelAnimationFrame(state.frame)
+      setMarqueeRect(null)
+      // The click that ends a drag must not also open or toggle the row under the pointer.
+      if (state.active) {
+        suppressClickRef.current = true
+        window.setTimeout(() => {
+          suppressClickRef.current = false
+        }, 0)
+      }
+    }
+    document.addEventListener('pointermove', onMove)
+    document.addEventListener('pointerup', onUp)
+    document.addEventListener('pointercancel', onUp)
+  }
+
+  // Shortcuts listen on the document so they work without first clicking into the list,
+  // but stay out of the way of text fields, the preview and any open dialog.
+  shortcutHandlerRef.current = (event) => {
+    if (event.defaultPrevented || isTextEntryTarget(event.target)) return
+    if (shortcutsOpen) {
+      if (event.key === 'Escape' || event.key === '?') {
+        event.preventDefault()
+        setShortcutsOpen(false)
+      }
+      return
+    }
+    if (previewPath || openMenuPath || document.querySelector('.modal-backdrop')) return
+    const { key } = event
+    const withModifier = event.ctrlKey || event.metaKey
+    if (key === '?') {
+      event.preventDefault()
+      setShortcutsOpen(true)
+      return
+    }
+    if (withModifier && !event.shiftKey && key.toLowerCase() === 'z') {
+      if (busy || !canUndo) return
+      event.preventDefault()
+      onUndo()
+      return
+    }
+    if (withModifier && ['x', 'c', 'v'].includes(key.toLowerCase())) {
+      // Leave the browser's own copy alone while the user has page text selected.
+      if (String(window.getSelection?.() || '')) return
+      if (busy || !permissions.allowUpload) return
+      const lower = key.toLowerCase()
+      if (lower === 'v') {
+        if (!clipboard || (!clipboard.copy && !canMoveItems)) return
+        event.preventDefault()
+        pasteClipboard()
+        return
+      }
+      if (lower === 'x' && !canMoveItems) return
+      const paths = selectedCount > 0 ? [...selectedSet] : (cursorPath ? [cursorPath] : [])
+      if (paths.length === 0) return
+      event.preventDefault()
+      setClipboard({ paths, copy: lower === 'c' })
+      return
+    }
+    if (withModifier && key.toLowerCase() === 'a') {
+      if (busy || sortedItems.length === 0) return
+      event.preventDefault()
+      onToggleSelectAll(true)
+      return
+    }
+    if (event.altKey && key === 'ArrowUp') {
+      event.preventDefault()
+      if (canGoUp && !busy) onUp()
+      return
+    }
+    if (withModifier || event.altKey) return
+
+    const index = sortedItems.findIndex((item) => item.path === cursorPath)
+    const current = index >= 0 ? sortedItems[index] : null
+    const columns = gridColumnCount()
+    const steps = {
+      ArrowDown: columns,
+      ArrowUp: -columns,
+      ArrowRight: viewMode === 'grid' ? 1 : 0,
+      ArrowLeft: viewMode === 'grid' ? -1 : 0,
+    }
+    if (steps[key]) {
+      event.preventDefault()
+      moveCursor(index < 0 ? 0 : index + steps[key], event.shiftKey)
+      return
+    }
+    if (key === 'Home' || key === 'End') {
+      event.preventDefault()
+      moveCursor(key === 'Home' ? 0 : sortedItems.length - 1, event.shiftKey)
+      return
+    }
+    if (key === 'Backspace') {
+      event.preventDefault()
+      if (canGoUp && !busy) onUp()
+      return
+    }
+    if (key === 'Escape') {
+      if (selectedCount > 0) onToggleSelectAll(false)
+      return
+    }
+    if (key === 'Delete') {
+      if (busy || !permissions.allowDelete) return
+      event.preventDefault()
+      if (selectedCount > 0) onBatchDelete()
+      else if (current) onDeleteItem(current)
+      return
+    }
+    if (!current) return
+    if (key === 'Enter') {
+      if (isInteractivePressTarget(event.target)) return
+      event.preventDefault()
+      if (current.directory) onLoadPath(current.path)
+      else onPreviewPathChange(current.path)
+    } else if (key === ' ') {
+      if (isInteractivePressTarget(event.target)) return
+      event.preventDefault()
+      if (busy) return
+      selectionAnchorRef.current = current.path
+      onToggleSelectPath(current.path, !selectedSet.has(current.path))
+    } else if (key === 'F2') {
+      event.preventDefault()
+      if (busy || !permissions.allowUpload) return
+      if (selectedCount > 1 && selectedSet.has(current.path)) {
+        onBatchRename(sortedItems.filter((item) => selectedSet.has(item.path)))
+      } else {
+        onRenameItem(current)
       }
-      return sortDirection === 'down' ? result : -result
-    })
-    return list
-  }, [items, sortBy, sortDirection])
+    }
+  }
+
+  useEffect(() => {
+    const onKeyDown = (event) => shortcutHandlerRef.current?.(event)
+    document.addEventListener('keydown', onKeyDown)
+    return () => document.removeEventListener('keydown', onKeyDown)
+  }, [])
 
   useEffect(() => {
     if (!selectAllRef.current) return
@@ -344,6 +3694,12 @@ function DriveView({
     }
   }, [isMobile])
 
+  function changeViewMode(nextMode) {
+    setOpenMenuPath('')
+    setViewMode(nextMode)
+    writeViewMode(nextMode)
+  }
+
   function onSortHeaderTap(nextSortBy) {
     if (nextSortBy === sortBy) {
       setSortDirection((prev) => (prev === 'down' ? 'up' : 'down'))
@@ -403,9 +3759,35 @@ function DriveView({
     return {
       onPointerDown: (event) => {
         if (event.pointerType === 'mouse' && event.button !== 0) return
+        setCursorPath(itemPath)
+        if (!event.shiftKey) selectionAnchorRef.current = itemPath
         if (isInteractivePressTarget(event.target)) return
         beginLongPress(itemPath, event.clientX, event.clientY)
       },
+      onMouseDown: (event) => {
+        // Keeps shift-click from selecting page text across the rows.
+        if (event.shiftKey) event.preventDefault()
+      },
+      onClickCapture: (event) => {
+        if (suppressClickRef.current) {
+          suppressClickRef.current = false
+          event.preventDefault()
+          event.stopPropagation()
+          return
+        }
+        const withModifier = event.ctrlKey || event.metaKey
+        if (!event.shiftKey && !withModifier) return
+        if (event.target instanceof Element && event.target.closest('.row-select, .mobile-menu-shell, .actions-cell')) return
+        event.preventDefault()
+        event.stopPropagation()
+        if (busy) return
+        if (event.shiftKey) {
+          selectRangeTo(itemPath, withModifier)
+        } else {
+          onToggleSelectPath(itemPath, !selectedSet.has(itemPath))
+          selectionAnchorRef.current = itemPath
+        }
+      },
       onPointerMove: (event) => {
         moveLongPress(event.clientX, event.clientY)
       },
@@ -427,6 +3809,112 @@ function DriveView({
     }
   }
 
+  const canDropUpload = !busy && permissions.allowUpload
+
+  // A cut stays on the clipboard until its items are moved, so a failed paste can be retried.
+  async function pasteClipboard() {
+    if (!clipboard) return
+    const handled = await onTransferItems(clipboard.paths, path, { copy: clipboard.copy })
+    if (clipboard.copy) return
+    const remaining = clipboard.paths.filter((itemPath) => !handled.includes(itemPath))
+    setClipboard(remaining.length > 0 ? { ...clipboard, paths: remaining } : null)
+  }
+
+  // Files from the OS and rows dragged within the page share these drop zones. In the listing, a file drop
+  // outside any folder row lands in the open folder; everywhere else the drop has to hit a folder.
+  function dropFolderFromEvent(event, zone) {
+    const itemDrag = isItemDrag(event)
+    const node = event.target instanceof Element ? event.target.closest('[data-drop-folder]') : null
+    if (!node) {
+      if (zone !== 'list' || itemDrag) return null
+      return { path, label: path ? basename(path) : 'Root', row: false, zone, items: false }
+    }
+    const folderPath = node.getAttribute('data-drop-folder') || ''
+    if (itemDrag) {
+      const dragged = draggedPathsRef.current
+      if (dragged.some((draggedPath) => isInsidePath(folderPath, draggedPath))) return null
+      if (dragged.every((draggedPath) => dirname(draggedPath) === folderPath)) return null
+    }
+    const label = folderPath ? basename(folderPath) : 'Root'
+    return { path: folderPath, label, row: zone === 'list', zone, items: itemDrag }
+  }
+
+  function dropZoneHandlersFor(zone) {
+    const accepts = (event) => isFileDrag(event) || isItemDrag(event)
+    return {
+      onDragEnter: (event) => {
+        if (!accepts(event)) return
+        event.preventDefault()
+        dragDepthRef.current += 1
+        setDropTarget(dropFolderFromEvent(event, zone))
+      },
+      onDragOver: (event) => {
+        if (!accepts(event)) return
+        event.preventDefault()
+        const next = dropFolderFromEvent(event, zone)
+        const copying = event.ctrlKey || event.altKey
+        if (!next || !canDropUpload || (next.items && !copying && !canMoveItems)) {
+          event.dataTransfer.dropEffect = 'none'
+        } else if (next.items) {
+          event.dataTransfer.dropEffect = copying ? 'copy' : 'move'
+        } else {
+          event.dataTransfer.dropEffect = 'copy'
+        }
+        setDropTarget((prev) => (
+          prev && next && prev.path === next.path && prev.row === next.row && prev.zone === next.zone ? prev : next
+        ))
+      },
+      onDragLeave: (event) => {
+        if (!accepts(event)) return
+        dragDepthRef.current = Math.max(0, dragDepthRef.current - 1)
+        if (dragDepthRef.current === 0) setDropTarget(null)
+      },
+      onDrop: (event) => {
+        if (!accepts(event)) return
+        event.preventDefault()
+        dragDepthRef.current = 0
+        setDropTarget(null)
+        if (!canDropUpload) return
+        const target = dropFolderFromEvent(event, zone)
+        if (!target) return
+        if (target.items) {
+          // Holding Ctrl (or Option on a Mac) copies instead of moving, as in desktop file managers.
+          const copy = event.ctrlKey || event.altKey
+          if (copy || canMoveItems) onTransferItems(draggedPathsRef.current, target.path, { copy })
+          return
+        }
+        collectDroppedFiles(event.dataTransfer)
+          .then((sources) => {
+            if (sources.length > 0) onDropUpload(sources, target.path)
+          })
+          .catch((err) => onError(friendlyErrorMessage(err.message || 'Could not read the dropped files')))
+      },
+    }
+  }
+
+  function dragBindings(item) {
+    if (isMobile || busy || !permissions.allowUpload) return {}
+    return {
+      draggable: true,
+      onDragStart: (event) => {
+        const paths = selectedSet.has(item.path) ? [...selectedSet] : [item.path]
+        draggedPathsRef.current = paths
+        event.dataTransfer.effectAllowed = canMoveItems ? 'copyMove' : 'copy'
+        event.dataTransfer.setData(ITEM_DRAG_TYPE, JSON.stringify(paths))
+        event.dataTransfer.setData('text/plain', paths.map(basename).join('\n'))
+      },
+      onDragEnd: () => {
+        draggedPathsRef.current = []
+        dragDepthRef.current = 0
+        setDropTarget(null)
+      },
+    }
+  }
+
+  const dropZoneHandlers = dropZoneHandlersFor('list')
+  const treeDropHandlers = dropZoneHandlersFor('tree')
+  const crumbDropHandlers = dropZoneHandlersFor('crumbs')
+
   function MobileMenu({ item }) {
     const isOpen = openMenuPath === item.path
     const [openUpward, setOpenUpward] = useState(false)
@@ -518,6 +4006,26 @@ function DriveView({
             >
               Rename
             </button>
+            <button
+              className="mobile-menu-item"
+              disabled={busy || !canMoveItems}
+              onClick={() => {
+                setOpenMenuPath('')
+                onPickDestination([item.path], false)
+              }}
+            >
+              Move to...
+            </button>
+            <button
+              className="mobile-menu-item"
+              disabled={busy || !permissions.allowUpload}
+              onClick={() => {
+                setOpenMenuPath('')
+                onPickDestination([item.path], true)
+              }}
+            >
+              Copy to...
+            </button>
             <button
               className="mobile-menu-item danger"
               disabled={busy || !permissions.allowDelete}
@@ -539,27 +4047,102 @@ function DriveView({
   }
 
   const visibleColumnCount = isMobile ? 2 : 5
+  const virtualColumns = virtualRows.columns
+  const totalRows = Math.ceil(sortedItems.length / virtualColumns)
+  const lastWindowRow = Math.min(virtualRows.last, totalRows)
+  const windowStart = Math.min(sortedItems.length, virtualRows.first * virtualColumns)
+  const windowItems = sortedItems.slice(windowStart, lastWindowRow * virtualColumns)
+  const spacerAbove = virtualRows.first * rowStride
+  const spacerBelow = Math.max(0, totalRows - Math.max(lastWindowRow, virtualRows.first)) * rowStride
+  let emptyListMessage = ''
+  if (sortedItems.length === 0) {
+    if (search) {
+      emptyListMessage = search.running ? 'Searching...' : 'No matches.'
+    } else {
+      emptyListMessage = pathLoading ? 'Loading...' : 'This folder is empty.'
+    }
+  }
+
+  const treeVisible = isMobile ? treeDrawerOpen : treeOpen
+
+  function toggleTree() {
+    if (isMobile) {
+      setTreeDrawerOpen((open) => !open)
+      return
+    }
+    writeFolderTreeOpen(!treeOpen)
+    setTreeOpen(!treeOpen)
+  }
 
   return (
-    <section className="drive-layout">
+    <section className={`drive-layout ${treeVisible && !isMobile ? 'with-tree' : ''}`}>
+      {treeVisible && isMobile && <div className="folder-tree-backdrop" onClick={() => setTreeDrawerOpen(false)} />}
+      {treeVisible && (
+        <FolderTree
+          path={path}
+          listedFolders={listedFolders}
+          dropTarget={dropTarget}
+          dropHandlers={treeDropHandlers}
+          drawer={isMobile}
+          onOpenFolder={(folderPath) => {
+            setTreeDrawerOpen(false)
+            onLoadPath(folderPath)
+          }}
+        />
+      )}
       <div className="drive-main glass-card">
         <header className="drive-header">
-          <div className="breadcrumbs">
+          <div className="breadcrumbs" {...crumbDropHandlers}>
+            <button
+              className={`crumb-up tree-button ${treeVisible ? 'active' : ''}`}
+              title={treeVisible ? 'Hide folder tree' : 'Show folder tree'}
+              aria-label={treeVisible ? 'Hide folder tree' : 'Show folder tree'}
+              aria-expanded={treeVisible}
+              onClick={toggleTree}
+            >
+              <UiIcon name="folder" />
+            </button>
             <button className="crumb-up" title="Up" aria-label="Up" disabled={!canGoUp || busy} onClick={onUp}>
               <UiIcon name="up" />
             </button>
             {crumbs.map((crumb, index) => (
-              <button key={crumb.path || 'root'} className="crumb" onClick={() => onLoadPath(crumb.path)}>
+              <button
+                key={crumb.path || 'root'}
+                className={`crumb ${dropTarget?.zone === 'crumbs' && dropTarget.path === crumb.path ? 'drop-target' : ''}`}
+                data-drop-folder={crumb.path}
+                onClick={() => onLoadPath(crumb.path)}
+              >
                 {crumb.label}
                 {index < crumbs.length - 1 ? <span className="sep">/</span> : null}
               </button>
             ))}
           </div>
           <div className="header-right">
-            <span className="chip">{items.length} items</span>
+            <span className="chip">{search ? searchStatusLabel(search) : `${items.length} items`}</span>
+            {!isMobile && (
+              <button
+                className="btn slim"
+                title="Keyboard shortcuts (?)"
+                aria-label="Keyboard shortcuts"
+                onClick={() => setShortcutsOpen(true)}
+              >
+                ⌨
+              </button>
+            )}
+            <button
+              className="btn slim view-toggle"
+              title={viewMode === 'grid' ? 'Show as list' : 'Show as grid'}
+              aria-label={viewMode === 'grid' ? 'Show as list' : 'Show as grid'}
+              onClick={() => changeViewMode(viewMode === 'grid' ? 'list' : 'grid')}
+            >
+              {viewMode === 'grid' ? '☰ List' : '⊞ Grid'}
+            </button>
           </div>
         </header>
 
+        <SearchBar search={search} onSearch={onSearch} />
+        {search?.error && <div className="status-log-line">{search.error}</div>}
+
         <div className="toolbar modern-toolbar">
           <button
             className="btn icon-btn control-btn"
@@ -593,6 +4176,36 @@ function DriveView({
                 <span className="icon-symbol"><UiIcon name="share" /></span>
                 <span className="control-label">Share ({selectedCount})</span>
               </button>
+              <button
+                className="btn icon-btn control-btn"
+                title="Move selected to another folder"
+                aria-label="Move selected to another folder"
+                disabled={busy || !canMoveItems}
+                onClick={() => onPickDestination([...selectedSet], false)}
+              >
+                <span className="icon-symbol"><UiIcon name="move" /></span>
+                <span className="control-label">Move ({selectedCount})</span>
+              </button>
+              <button
+                className="btn icon-btn control-btn"
+                title="Rename selected with a pattern"
+                aria-label="Rename selected with a pattern"
+                disabled={busy || !permissions.allowUpload}
+                onClick={() => onBatchRename(sortedItems.filter((item) => selectedSet.has(item.path)))}
+              >
+                <span className="icon-symbol"><UiIcon name="rename" /></span>
+                <span className="control-label">Rename ({selectedCount})</span>
+              </button>
+              <button
+                className="btn icon-btn control-btn"
+                title="Copy selected to another folder"
+                aria-label="Copy selected to another folder"
+                disabled={busy || !permissions.allowUpload}
+                onClick={() => onPickDestination([...selectedSet], true)}
+              >
+                <span className="icon-symbol"><UiIcon name="copy" /></span>
+                <span className="control-label">Copy ({selectedCount})</span>
+              </button>
               <button
                 className="btn btn-danger icon-btn control-btn"
                 title="Delete selected"
@@ -654,260 +4267,501 @@ function DriveView({
                 <span className="icon-symbol"><UiIcon name="new_folder" /></span>
                 <span className="control-label">New Folder</span>
               </button>
+              <button
+                className="btn icon-btn control-btn"
+                title="Trash"
+                aria-label="Trash"
+                disabled={!permissions.allowDelete}
+                onClick={onOpenTrash}
+              >
+                <span className="icon-symbol"><UiIcon name="delete" /></span>
+                <span className="control-label">Trash</span>
+              </button>
             </>
           )}
         </div>
 
-        {log && <div className="status-log-line">{log}</div>}
-        <div className={`transfer-progress ${transfer.active ? 'active' : ''}`}>
-          <div className="transfer-progress-head">
-            <span className="transfer-label">{transfer.label || 'No transfer in progress'}</span>
-            <div className="transfer-head-actions">
-              <span className="transfer-meta">
-                {transfer.active ? `${Math.round(transfer.progress * 100)}%` : ''}
-              </span>
-              {transfer.active && (
-                <button className="btn slim btn-danger icon-btn" title="Cancel transfer" aria-label="Cancel transfer" onClick={onCancelTransfer}>
-                  <span className="icon-symbol">✕</span>
-                </button>
-              )}
-            </div>
+        {log && (
+          <div className="status-log-line clipboard-line">
+            <span>{log}</span>
+            {canUndo && <button className="btn slim" onClick={onOpenOperations}>Recent changes</button>}
           </div>
-          <div className="transfer-track">
-            <div
-              className="transfer-fill"
-              style={{ width: `${Math.round((transfer.progress || 0) * 100)}%` }}
-            />
+        )}
+        {clipboard && (
+          <div className="status-log-line clipboard-line">
+            <span>
+              {clipboard.paths.length} item(s) {clipboard.copy ? 'copied' : 'cut'}. Open a folder and press Ctrl/⌘ + V, or
+            </span>
+            <button
+              className="btn slim"
+              disabled={busy || !(clipboard.copy ? permissions.allowUpload : canMoveItems)}
+              onClick={pasteClipboard}
+            >
+              {clipboard.copy ? 'Paste copy here' : 'Move here'}
+            </button>
+            <button className="btn slim" aria-label="Clear clipboard" onClick={() => setClipboard(null)}>✕</button>
           </div>
-          {transfer.active && (
-            <div className="transfer-meta-row">
-              {transfer.totalFiles > 1 ? <span>{transfer.doneFiles}/{transfer.totalFiles} files</span> : <span />}
-              <span>{formatBytes(transfer.loadedBytes)} / {formatBytes(transfer.totalBytes)}</span>
-            </div>
-          )}
-        </div>
+        )}
+        {resumableUploadCount > 0 && !transfers.some((entry) => entry.kind === 'upload' && entry.state === 'active') && (
+          <div className="status-log-line resume-hint">
+            {resumableUploadCount} interrupted upload(s) can be resumed. Upload the same files to the same folder to continue.
+          </div>
+        )}
+        <TransferPanel
+          transfers={transfers}
+          uploadConcurrency={uploadConcurrency}
+          onUploadConcurrencyChange={onUploadConcurrencyChange}
+          onCancelTransfer={onCancelTransfer}
+          onCancelAllTransfers={onCancelAllTransfers}
+          onRetryTransfer={onRetryTransfer}
+          onDismissTransfer={onDismissTransfer}
+          onClearFinishedTransfers={onClearFinishedTransfers}
+          onOpenHistory={onOpenTransferHistory}
+        />
 
         <div
           ref={tableWrapRef}
-          className={`table-wrap modern-table-wrap ${mobileMenuExtraSpace > 0 ? 'menu-expanded' : ''}`}
+          className={`table-wrap modern-table-wrap ${mobileMenuExtraSpace > 0 ? 'menu-expanded' : ''} ${dropTarget?.zone === 'list' ? 'drop-active' : ''}`}
           style={isMobile ? { paddingBottom: `${mobileMenuExtraSpace}px` } : undefined}
+          {...dropZoneHandlers}
+          onPointerDown={beginMarquee}
         >
-          <table className={`modern-table ${isMobile ? 'mobile' : ''}`}>
-            <thead>
-              <tr>
-                <th className="name-col">
-                  <button className="sort-head" onClick={() => onSortHeaderTap('name')}>
-                    Name
-                    {sortBy === 'name' ? <span className="sort-arrow">{sortDirection === 'down' ? '↓' : '↑'}</span> : null}
+          {dropTarget?.zone === 'list' && (
+            <div className={`drop-overlay ${canDropUpload ? '' : 'blocked'} ${dropTarget.row ? 'row-target' : ''}`}>
+              <span>
+                {!canDropUpload
+                  ? (permissions.allowUpload ? 'Wait for the current operation to finish' : 'Uploads are disabled by host settings')
+                  : dropTarget.items
+                    ? `Drop to move into ${dropTarget.label} (hold Ctrl to copy)`
+                    : `Drop to upload into ${dropTarget.label}`}
+              </span>
+            </div>
+          )}
+          {viewMode === 'grid' ? (
+            <div className="file-grid-wrap">
+              <div className="grid-sortbar">
+                {[['name', 'Name'], ['modified', 'Modified'], ['size', 'Size']].map(([key, label]) => (
+                  <button
+                    key={key}
+                    className={`sort-head ${sortBy === key ? 'active' : ''}`}
+                    onClick={() => onSortHeaderTap(key)}
+                  >
+                    {label}
+                    {sortBy === key ? <span className="sort-arrow">{sortDirection === 'down' ? '↓' : '↑'}</span> : null}
                   </button>
-                </th>
-                {!isMobile && (
-                  <th>
-                    <button className="sort-head" onClick={() => onSortHeaderTap('modified')}>
-                      Modified
-                      {sortBy === 'modified' ? <span className="sort-arrow">{sortDirection === 'down' ? '↓' : '↑'}</span> : null}
-                    </button>
-                  </th>
-                )}
-                {!isMobile && (
-                  <th className="size-col">
-                    <button className="sort-head" onClick={() => onSortHeaderTap('size')}>
-                      Size
-                      {sortBy === 'size' ? <span className="sort-arrow">{sortDirection === 'down' ? '↓' : '↑'}</span> : null}
-                    </button>
-                  </th>
-                )}
+                ))}
                 {!isMobile && (
-                  <th className="select-col">
+                  <label className="grid-select-all">
                     <input
-                      ref={selectAllRef}
                       className="row-select"
                       type="checkbox"
-                      aria-label="Select all"
                       checked={allSelected}
                       disabled={busy || items.length === 0}
                       onChange={(event) => onToggleSelectAll(event.currentTarget.checked)}
                     />
-                  </th>
+                    Select all
+                  </label>
                 )}
-                <th className="actions-col">{isMobile ? null : 'Actions'}</th>
-              </tr>
-            </thead>
-            <tbody>
-              {pathLoading && items.length === 0 && (
-                Array.from({ length: 6 }).map((_, index) => (
-                  <tr key={`loading-row-${index}`} className="loading-row">
-                    <td colSpan={visibleColumnCount}>
-                      <div className="row-loading-skeleton" />
-                    </td>
-                  </tr>
-                ))
-              )}
-              {!pathLoading && sortedItems.length === 0 && (
-                <tr className="loading-row">
-                  <td colSpan={visibleColumnCount}>This folder is empty.</td>
-                </tr>
-              )}
-              {sortedItems.map((item) => (
-                item.directory ? (
-                  <tr className={selectedSet.has(item.path) ? 'selected-row' : ''} key={item.path} {...longPressBindRow(item.path)}>
-                    <td className="name-cell">
-                      <button
-                        className={`row-name ${selectionMode ? 'row-name-disabled' : ''}`}
-                        onClick={() => {
-                          if (selectionMode) return
-                          if (consumeLongPress()) return
-                          onLoadPath(item.path)
-                        }}
-                      >
-                        <span className="folder-icon"><UiIcon name="folder" /></span>
-                        {item.name}
-                      </button>
-                    </td>
-                    {!isMobile && <td className="muted-cell">{formatTime(item.lastModified)}</td>}
-                    {!isMobile && (
-                      <td className="size-cell">
-                        <span className="size-value">-</span>
-                      </td>
-                    )}
-                    {!isMobile && (
-                      <td className="select-cell">
+              </div>
+              {emptyListMessage && <div className="grid-empty">{emptyListMessage}</div>}
+              <div
+                ref={fileGridRef}
+                className="file-grid"
+                style={{ paddingTop: `${spacerAbove}px`, paddingBottom: `${spacerBelow}px` }}
+              >
+                {windowItems.map((item) => {
+                  const pressBindings = longPressBindRow(item.path)
+                  const openItem = () => {
+                    if (item.directory) {
+                      onLoadPath(item.path)
+                    } else {
+                      onPreviewPathChange(item.path)
+                    }
+                  }
+                  return (
+                    <div
+                      key={item.path}
+                      className={[
+                        'grid-card',
+                        selectedSet.has(item.path) ? 'selected' : '',
+                        cutSet.has(item.path) ? 'cut-item' : '',
+                        cursorPath === item.path ? 'cursor' : '',
+                        dropTarget?.row && dropTarget.path === item.path ? 'drop-target' : '',
+                      ].filter(Boolean).join(' ')}
+                      data-drop-folder={item.directory ? item.path : undefined}
+                      data-item-path={item.path}
+                      tabIndex={-1}
+                      {...pressBindings}
+                      {...dragBindings(item)}
+                      onClick={(event) => {
+                        pressBindings.onClick(event)
+                        if (selectionMode || isInteractivePressTarget(event.target)) return
+                        if (consumeLongPress()) return
+                        openItem()
+                      }}
+                    >
+                      <div className="grid-thumb">
+                        {item.directory ? (
+                          <span className="grid-thumb-icon"><UiIcon name="folder" /></span>
+                        ) : thumbnailKind(item) && permissions.allowDownload ? (
+                          <LazyThumbnail item={item} />
+                        ) : (
+                          <span className="grid-thumb-icon"><UiIcon name="file" /></span>
+                        )}
+                      </div>
+                      {!isMobile && (
                         <input
-                          className="row-select"
+                          className="row-select grid-select"
                           type="checkbox"
                           aria-label={`Select ${item.name}`}
                           checked={selectedSet.has(item.path)}
                           disabled={busy}
-                          onChange={(event) => onToggleSelectPath(item.path, event.currentTarget.checked)}
+                          onChange={(event) => onRowCheckboxChange(item.path, event)}
                         />
-                      </td>
-                    )}
-                    <td className="actions-cell">
-                      {isMobile ? (
-                        <div className="actions-row">
-                          <MobileMenu item={item} />
-                        </div>
-                      ) : (
-                        <div className="actions-row">
-                          <button
-                            className="btn slim icon-btn"
-                            title="Download folder"
-                            aria-label="Download folder"
-                            disabled={busy || !permissions.allowDownload}
-                            onClick={() => onDownloadItem(item)}
-                          >
-                            <span className="icon-symbol"><UiIcon name="download" /></span>
-                          </button>
-                          <button
-                            className={`btn slim icon-btn ${shareArmedItemPath === item.path ? 'share-armed' : ''}`}
-                            title="Share"
-                            aria-label="Share"
-                            disabled={busy || !permissions.allowDownload}
-                            onClick={() => onShareItem(item)}
-                          >
-                            <span className="icon-symbol"><UiIcon name="share" /></span>
-                          </button>
-                          <button
-                            className="btn slim icon-btn"
-                            title="Rename"
-                            aria-label="Rename"
-                            disabled={busy || !permissions.allowUpload}
-                            onClick={() => onRenameItem(item)}
-                          >
-                            <span className="icon-symbol"><UiIcon name="rename" /></span>
-                          </button>
-                          <button
-                            className="btn slim btn-danger icon-btn"
-                            title="Delete"
-                            aria-label="Delete"
-                            disabled={busy || !permissions.allowDelete}
-                            onClick={() => onDeleteItem(item)}
-                          >
-                            <span className="icon-symbol"><UiIcon name="delete" /></span>
-                          </button>
-                        </div>
                       )}
-                    </td>
-                  </tr>
-                ) : (
-                  <tr className={selectedSet.has(item.path) ? 'selected-row' : ''} key={item.path} {...longPressBindRow(item.path)}>
-                    <td className="name-cell">
-                      <div className="row-name static">
-                        <span className="file-icon"><UiIcon name="file" /></span>
-                        {item.name}
+                      <div className="grid-card-footer">
+                        <div className="grid-card-text">
+                          <div className="grid-name" title={item.name}>{item.name}</div>
+                          <div className="grid-meta">
+                            {item.directory ? formatTime(item.lastModified) : formatBytes(item.size)}
+                          </div>
+                          {search && <SearchResultParent parent={item.parent} onOpen={onLoadPath} />}
+                        </div>
+                        <MobileMenu item={item} />
                       </div>
-                    </td>
-                    {!isMobile && <td className="muted-cell">{formatTime(item.lastModified)}</td>}
-                    {!isMobile && (
-                      <td className="size-cell">
-                        <span className="size-value">{formatBytes(item.size)}</span>
+                    </div>
+                  )
+                })}
+              </div>
+            </div>
+          ) : (
+            <table className={`modern-table ${isMobile ? 'mobile' : ''}`}>
+              <thead>
+                <tr>
+                  <th className="name-col">
+                    <button className="sort-head" onClick={() => onSortHeaderTap('name')}>
+                      Name
+                      {sortBy === 'name' ? <span className="sort-arrow">{sortDirection === 'down' ? '↓' : '↑'}</span> : null}
+                    </button>
+                  </th>
+                  {!isMobile && (
+                    <th>
+                      <button className="sort-head" onClick={() => onSortHeaderTap('modified')}>
+                        Modified
+                        {sortBy === 'modified' ? <span className="sort-arrow">{sortDirection === 'down' ? '↓' : '↑'}</span> : null}
+                      </button>
+                    </th>
+                  )}
+                  {!isMobile && (
+                    <th className="size-col">
+                      <button className="sort-head" onClick={() => onSortHeaderTap('size')}>
+                        Size
+                        {sortBy === 'size' ? <span className="sort-arrow">{sortDirection === 'down' ? '↓' : '↑'}</span> : null}
+                      </button>
+                    </th>
+                  )}
+                  {!isMobile && (
+                    <th className="select-col">
+                      <input
+                        ref={selectAllRef}
+                        className="row-select"
+                        type="checkbox"
+                        aria-label="Select all"
+                        checked={allSelected}
+                        disabled={busy || items.length === 0}
+                        onChange={(event) => onToggleSelectAll(event.currentTarget.checked)}
+                      />
+                    </th>
+                  )}
+                  <th className="actions-col">{isMobile ? null : 'Actions'}</th>
+                </tr>
+              </thead>
+              <tbody ref={listBodyRef}>
+                {spacerAbove > 0 && (
+                  <tr className="virtual-spacer" aria-hidden="true">
+                    <td colSpan={visibleColumnCount} style={{ height: `${spacerAbove}px` }} />
+                  </tr>
+                )}
+                {!search && pathLoading && items.length === 0 && (
+                  Array.from({ length: 6 }).map((_, index) => (
+                    <tr key={`loading-row-${index}`} className="loading-row">
+                      <td colSpan={visibleColumnCount}>
+                        <div className="row-loading-skeleton" />
                       </td>
-                    )}
-                    {!isMobile && (
-                      <td className="select-cell">
-                        <input
-                          className="row-select"
-                          type="checkbox"
-                          aria-label={`Select ${item.name}`}
-                          checked={selectedSet.has(item.path)}
-                          disabled={busy}
-                          onChange={(event) => onToggleSelectPath(item.path, event.currentTarget.checked)}
-                        />
+                    </tr>
+                  ))
+                )}
+                {emptyListMessage && !(pathLoading && !search) && (
+                  <tr className="loading-row">
+                    <td colSpan={visibleColumnCount}>{emptyListMessage}</td>
+                  </tr>
+                )}
+                {windowItems.map((item, offset) => (
+                  item.directory ? (
+                    <tr
+                      className={[
+                        'item-row',
+                        (windowStart + offset) % 2 ? 'alt-row' : '',
+                        selectedSet.has(item.path) ? 'selected-row' : '',
+                        cutSet.has(item.path) ? 'cut-item' : '',
+                        cursorPath === item.path ? 'cursor-row' : '',
+                        dropTarget?.row && dropTarget.path === item.path ? 'drop-target-row' : '',
+                      ].filter(Boolean).join(' ')}
+                      key={item.path}
+                      data-drop-folder={item.path}
+                      data-item-path={item.path}
+                      {...longPressBindRow(item.path)}
+                    >
+                      <td className="name-cell" {...dragBindings(item)}>
+                        <button
+                          className={`row-name ${selectionMode ? 'row-name-disabled' : ''}`}
+                          title={item.name}
+                          onClick={() => {
+                            if (selectionMode) return
+                            if (consumeLongPress()) return
+                            onLoadPath(item.path)
+                          }}
+                        >
+                          <span className="folder-icon"><UiIcon name="folder" /></span>
+                          <span className="row-name-text">{item.name}</span>
+                        </button>
+                        {search && <SearchResultParent parent={item.parent} onOpen={onLoadPath} />}
                       </td>
-                    )}
-                    <td className="actions-cell">
-                      {isMobile ? (
-                        <div className="actions-row">
-                          <MobileMenu item={item} />
-                        </div>
-                      ) : (
-                        <div className="actions-row">
-                          <button
-                            className="btn slim icon-btn"
-                            title="Download file"
-                            aria-label="Download file"
-                            disabled={busy || !permissions.allowDownload}
-                            onClick={() => onDownloadItem(item)}
-                          >
-                            <span className="icon-symbol"><UiIcon name="download" /></span>
-                          </button>
-                          <button
-                            className={`btn slim icon-btn ${shareArmedItemPath === item.path ? 'share-armed' : ''}`}
-                            title="Share"
-                            aria-label="Share"
-                            disabled={busy || !permissions.allowDownload}
-                            onClick={() => onShareItem(item)}
-                          >
-                            <span className="icon-symbol"><UiIcon name="share" /></span>
-                          </button>
-                          <button
-                            className="btn slim icon-btn"
-                            title="Rename"
-                            aria-label="Rename"
-                            disabled={busy || !permissions.allowUpload}
-                            onClick={() => onRenameItem(item)}
-                          >
-                            <span className="icon-symbol"><UiIcon name="rename" /></span>
-                          </button>
-                          <button
-                            className="btn slim btn-danger icon-btn"
-                            title="Delete"
-                            aria-label="Delete"
-                            disabled={busy || !permissions.allowDelete}
-                            onClick={() => onDeleteItem(item)}
-                          >
-                            <span className="icon-symbol"><UiIcon name="delete" /></span>
-                          </button>
-                        </div>
+                      {!isMobile && <td className="muted-cell">{formatTime(item.lastModified)}</td>}
+                      {!isMobile && (
+                        <td className="size-cell">
+                          <span className="size-value">-</span>
+                        </td>
+                      )}
+                      {!isMobile && (
+                        <td className="select-cell">
+                          <input
+                            className="row-select"
+                            type="checkbox"
+                            aria-label={`Select ${item.name}`}
+                            checked={selectedSet.has(item.path)}
+                            disabled={busy}
+                            onChange={(event) => onRowCheckboxChange(item.path, event)}
+                          />
+                        </td>
+                      )}
+                      <td className="actions-cell">
+                        {isMobile ? (
+                          <div className="actions-row">
+                            <MobileMenu item={item} />
+                          </div>
+                        ) : (
+                          <div className="actions-row">
+                            <button
+                              className="btn slim icon-btn"
+                              title="Download folder"
+                              aria-label="Download folder"
+                              disabled={busy || !permissions.allowDownload}
+                              onClick={() => onDownloadItem(item)}
+                            >
+                              <span className="icon-symbol"><UiIcon name="download" /></span>
+                            </button>
+                            <button
+                              className={`btn slim icon-btn ${shareArmedItemPath === item.path ? 'share-armed' : ''}`}
+                              title="Share"
+                              aria-label="Share"
+                              disabled={busy || !permissions.allowDownload}
+                              onClick={() => onShareItem(item)}
+                            >
+                              <span className="icon-symbol"><UiIcon name="share" /></span>
+                            </button>
+                            <button
+                              className="btn slim icon-btn"
+                              title="Rename"
+                              aria-label="Rename"
+                              disabled={busy || !permissions.allowUpload}
+                              onClick={() => onRenameItem(item)}
+                            >
+                              <span className="icon-symbol"><UiIcon name="rename" /></span>
+                            </button>
+                            <button
+                              className="btn slim icon-btn"
+                              title="Move to..."
+                              aria-label="Move to"
+                              disabled={busy || !canMoveItems}
+                              onClick={() => onPickDestination([item.path], false)}
+                            >
+                              <span className="icon-symbol"><UiIcon name="move" /></span>
+                            </button>
+                            <button
+                              className="btn slim icon-btn"
+                              title="Copy to..."
+                              aria-label="Copy to"
+                              disabled={busy || !permissions.allowUpload}
+                              onClick={() => onPickDestination([item.path], true)}
+                            >
+                              <span className="icon-symbol"><UiIcon name="copy" /></span>
+                            </button>
+                            <button
+                              className="btn slim btn-danger icon-btn"
+                              title="Delete"
+                              aria-label="Delete"
+                              disabled={busy || !permissions.allowDelete}
+                              onClick={() => onDeleteItem(item)}
+                            >
+                              <span className="icon-symbol"><UiIcon name="delete" /></span>
+                            </button>
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  ) : (
+                    <tr
+                      className={[
+                        'item-row',
+                        (windowStart + offset) % 2 ? 'alt-row' : '',
+                        selectedSet.has(item.path) ? 'selected-row' : '',
+                        cutSet.has(item.path) ? 'cut-item' : '',
+                        cursorPath === item.path ? 'cursor-row' : '',
+                      ].filter(Boolean).join(' ')}
+                      key={item.path}
+                      data-item-path={item.path}
+                      {...longPressBindRow(item.path)}
+                    >
+                      <td className="name-cell" {...dragBindings(item)}>
+                        <button
+                          className={`row-name file-name ${selectionMode ? 'row-name-disabled' : ''}`}
+                          title={item.name}
+                          onClick={() => {
+                            if (selectionMode) return
+                            if (consumeLongPress()) return
+                            onPreviewPathChange(item.path)
+                          }}
+                        >
+                          <span className="file-icon"><UiIcon name="file" /></span>
+                          <span className="row-name-text">{item.name}</span>
+                        </button>
+                        {search && <SearchResultParent parent={item.parent} onOpen={onLoadPath} />}
+                      </td>
+                      {!isMobile && <td className="muted-cell">{formatTime(item.lastModified)}</td>}
+                      {!isMobile && (
+                        <td className="size-cell">
+                          <span className="size-value">{formatBytes(item.size)}</span>
+                        </td>
                       )}
-                    </td>
+                      {!isMobile && (
+                        <td className="select-cell">
+                          <input
+                            className="row-select"
+                            type="checkbox"
+                            aria-label={`Select ${item.name}`}
+                            checked={selectedSet.has(item.path)}
+                            disabled={busy}
+                            onChange={(event) => onRowCheckboxChange(item.path, event)}
+                          />
+                        </td>
+                      )}
+                      <td className="actions-cell">
+                        {isMobile ? (
+                          <div className="actions-row">
+                            <MobileMenu item={item} />
+                          </div>
+                        ) : (
+                          <div className="actions-row">
+                            <button
+                              className="btn slim icon-btn"
+                              title="Download file"
+                              aria-label="Download file"
+                              disabled={busy || !permissions.allowDownload}
+                              onClick={() => onDownloadItem(item)}
+                            >
+                              <span className="icon-symbol"><UiIcon name="download" /></span>
+                            </button>
+                            <button
+                              className={`btn slim icon-btn ${shareArmedItemPath === item.path ? 'share-armed' : ''}`}
+                              title="Share"
+                              aria-label="Share"
+                              disabled={busy || !permissions.allowDownload}
+                              onClick={() => onShareItem(item)}
+                            >
+                              <span className="icon-symbol"><UiIcon name="share" /></span>
+                            </button>
+                            <button
+                              className="btn slim icon-btn"
+                              title="Rename"
+                              aria-label="Rename"
+                              disabled={busy || !permissions.allowUpload}
+                              onClick={() => onRenameItem(item)}
+                            >
+                              <span className="icon-symbol"><UiIcon name="rename" /></span>
+                            </button>
+                            <button
+                              className="btn slim icon-btn"
+                              title="Move to..."
+                              aria-label="Move to"
+                              disabled={busy || !canMoveItems}
+                              onClick={() => onPickDestination([item.path], false)}
+                            >
+                              <span className="icon-symbol"><UiIcon name="move" /></span>
+                            </button>
+                            <button
+                              className="btn slim icon-btn"
+                              title="Copy to..."
+                              aria-label="Copy to"
+                              disabled={busy || !permissions.allowUpload}
+                              onClick={() => onPickDestination([item.path], true)}
+                            >
+                              <span className="icon-symbol"><UiIcon name="copy" /></span>
+                            </button>
+                            <button
+                              className="btn slim btn-danger icon-btn"
+                              title="Delete"
+                              aria-label="Delete"
+                              disabled={busy || !permissions.allowDelete}
+                              onClick={() => onDeleteItem(item)}
+                            >
+                              <span className="icon-symbol"><UiIcon name="delete" /></span>
+                            </button>
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  )
+                ))}
+                {spacerBelow > 0 && (
+                  <tr className="virtual-spacer" aria-hidden="true">
+                    <td colSpan={visibleColumnCount} style={{ height: `${spacerBelow}px` }} />
                   </tr>
-                )
-              ))}
-            </tbody>
-          </table>
+                )}
+              </tbody>
+            </table>
+          )}
         </div>
       </div>
+
+      {previewIndex >= 0 && (
+        <PreviewLightbox
+          items={previewItems}
+          index={previewIndex}
+          busy={busy}
+          permissions={permissions}
+          shareArmed={shareArmedItemPath === previewPath}
+          onNavigate={(nextIndex) => onPreviewPathChange(previewItems[nextIndex]?.path || '')}
+          onClose={() => onPreviewPathChange('')}
+          onDownload={onDownloadItem}
+          onShare={onShareItem}
+          onDelete={onDeleteItem}
+          onSaved={onFileSaved}
+          requestConfirm={requestConfirm}
+        />
+      )}
+      {shortcutsOpen && <KeyboardShortcutsDialog onClose={() => setShortcutsOpen(false)} />}
+      {marqueeRect && (
+        <div
+          className="selection-marquee"
+          style={{
+            left: marqueeRect.left - window.scrollX,
+            top: marqueeRect.top - window.scrollY,
+            width: marqueeRect.right - marqueeRect.left,
+            height: marqueeRect.bottom - marqueeRect.top,
+          }}
+        />
+      )}
     </section>
   )
 }
@@ -921,20 +4775,27 @@ export default function App() {
   const [connectionLost, setConnectionLost] = useState(false)
   const [connectionLostDetail, setConnectionLostDetail] = useState('')
 
-  const [path, setPath] = useState('')
+  const [initialRoute] = useState(() => readRoute())
+  const [path, setPath] = useState(initialRoute.path)
   const [items, setItems] = useState([])
   const [selectedPaths, setSelectedPaths] = useState([])
   const [log, setLog] = useState('')
   const [preparedShare, setPreparedShare] = useState(null)
-  const [transfer, setTransfer] = useState({
-    active: false,
-    label: '',
-    loadedBytes: 0,
-    totalBytes: 0,
-    doneFiles: 0,
-    totalFiles: 0,
-    progress: 0,
-  })
+  const [resumableUploadCount, setResumableUploadCount] = useState(() => pendingUploadResumeCount())
+  const [uploadConcurrency, setUploadConcurrency] = useState(() => readUploadConcurrency())
+  const [uploadConflictPrompt, setUploadConflictPrompt] = useState(null)
+  const [dialogRequest, setDialogRequest] = useState(null)
+  const [transfers, setTransfers] = useState([])
+  const [historyOpen, setHistoryOpen] = useState(false)
+  const [historyRevision, setHistoryRevision] = useState(0)
+  const [search, setSearch] = useState(null)
+  const [previewPath, setPreviewPath] = useState(initialRoute.preview)
+  const [folderPicker, setFolderPicker] = useState(null)
+  const [batchRenameItems, setBatchRenameItems] = useState(null)
+  const [trashOpen, setTrashOpen] = useState(false)
+  const [operations, setOperations] = useState([])
+  const [undoToastId, setUndoToastId] = useState(null)
+  const [operationsOpen, setOperationsOpen] = useState(false)
 
   const pairPollRef = useRef(null)
   const heartbeatRef = useRef(null)
@@ -942,16 +4803,24 @@ export default function App() {
   const reconnectTimerRef = useRef(null)
   const bootstrapInFlightRef = useRef(false)
   const refreshInFlightRef = useRef(false)
-  const currentPathRef = useRef('')
+  const currentPathRef = useRef(initialRoute.path)
   const busyRef = useRef(false)
+  const transfersActiveRef = useRef(false)
   const loadRequestSeqRef = useRef(0)
-  const activeUploadXhrRef = useRef(null)
-  const activeDownloadControllersRef = useRef(new Set())
+  const transferControlsRef = useRef(new Map())
+  const conflictPromptQueueRef = useRef(Promise.resolve())
+  const dialogQueueRef = useRef(Promise.resolve())
+  const dialogSeqRef = useRef(0)
+  const latestActionsRef = useRef({})
+  const historyRetriesRef = useRef(new Map())
   const shareFileCacheRef = useRef(new Map())
-  const cancelUploadRef = useRef(false)
-  const revealTimerRef = useRef(null)
+  const searchAbortRef = useRef(null)
+  const searchCriteriaRef = useRef(null)
+  const pendingRouteSearchRef = useRef(initialRoute.criteria)
 
   const paired = !!boot?.paired
+  const listedItems = search ? search.results : items
+  const undoToastOperation = operations.find((operation) => operation.id === undoToastId && operation.status === 'done')
   const permissions = {
     allowUpload: !!boot?.allowUpload,
     allowDownload: !!boot?.allowDownload,
@@ -1001,10 +4870,6 @@ export default function App() {
       clearTimeout(reconnectTimerRef.current)
       reconnectTimerRef.current = null
     }
-    if (revealTimerRef.current) {
-      clearTimeout(revealTimerRef.current)
-      revealTimerRef.current = null
-    }
   }
 
   function looksLikeConnectionIssue(message) {
@@ -1047,10 +4912,6 @@ export default function App() {
     // and re-request an older directory right after user navigation.
     currentPathRef.current = requestedPath
     const requestSeq = ++loadRequestSeqRef.current
-    if (revealTimerRef.current) {
-      clearTimeout(revealTimerRef.current)
-      revealTimerRef.current = null
-    }
     if (!silent) {
       setPath(requestedPath)
       setItems([])
@@ -1067,24 +4928,15 @@ export default function App() {
       currentPathRef.current = resolvedPath
       setConnectionLost(false)
       setConnectionLostDetail('')
-      if (silent) {
-        setItems(nextItems)
-      } else {
-        let shown = 0
-        const step = 5
-        const revealNext = () => {
-          if (requestSeq !== loadRequestSeqRef.current) return
-          shown = Math.min(shown + step, nextItems.length)
-          setItems(nextItems.slice(0, shown))
-          if (shown < nextItems.length) {
-            revealTimerRef.current = setTimeout(revealNext, 16)
-          } else {
-            revealTimerRef.current = null
-          }
-        }
-        revealNext()
+      // Keeping the previous array when nothing changed spares the list a re-sort and re-render on every poll.
+      setItems((prev) => (silent && sameListing(prev, nextItems) ? prev : nextItems))
+      if (!searchCriteriaRef.current) {
+        const listedPaths = new Set(nextItems.map((item) => item.path))
+        setSelectedPaths((prev) => {
+          const kept = prev.filter((selectedPath) => listedPaths.has(selectedPath))
+          return kept.length === prev.length ? prev : kept
+        })
       }
-      setSelectedPaths((prev) => prev.filter((selectedPath) => nextItems.some((item) => item.path === selectedPath)))
       if (!silent) setLog('')
     } catch (err) {
       if (requestSeq !== loadRequestSeqRef.current) return
@@ -1124,6 +4976,10 @@ export default function App() {
       setConnectionLostDetail('')
       if (data.paired) {
         await loadPath(currentPathRef.current || '', { skipBootstrapOnError: true })
+        // A search in the URL the app was opened with runs once the folder it is scoped to has loaded.
+        const routeCriteria = pendingRouteSearchRef.current
+        pendingRouteSearchRef.current = null
+        if (routeCriteria) runSearch(routeCriteria)
       }
     } catch (err) {
       const message = friendlyErrorMessage(err.message || 'Failed to bootstrap')
@@ -1143,126 +4999,494 @@ export default function App() {
     }
   }
 
-  async function uploadFiles(fileList, folderUpload) {
+  function updateTransferEntry(id, patch) {
+    setTransfers((prev) => prev.map((entry) => (entry.id === id ? { ...entry, ...patch } : entry)))
+  }
+
+  // Every transfer owns its abort controller and XHR set, so cancelling one leaves the others running.
+  // `retry` re-runs the original action and is offered on the row once the transfer fails or is cancelled.
+  // `paths` lists the files involved for the transfer history.
+  function startTransfer({ kind, label, detail = '', totalBytes = 0, totalFiles = 1, retry = null, paths = [] }) {
+    const id = createClientId('transfer')
+    const controller = new AbortController()
+    const requests = new Set()
+    const control = {
+      retry,
+      cancel: () => {
+        controller.abort()
+        for (const request of requests) {
+          try {
+            request.abort()
+          } catch (_) {
+          }
+        }
+        requests.clear()
+      },
+    }
+    transferControlsRef.current.set(id, control)
+    let lastUiUpdateMs = 0
+    const throughput = createThroughputMeter()
+    const startedAtMs = Date.now()
+    const host = boot?.host ? `${boot.host}:${boot.port}` : window.location.host
+    let latest = { detail, loadedBytes: 0, totalBytes, doneFiles: 0, totalFiles }
+    setTransfers((prev) => {
+      const finished = prev.filter((entry) => entry.state !== 'active')
+      const dropped = new Set(finished.slice(MAX_FINISHED_TRANSFERS - 1).map((entry) => entry.id))
+      return [
+        {
+          id,
+          kind,
+          label,
+          detail,
+          state: 'active',
+          loadedBytes: 0,
+          totalBytes,
+          doneFiles: 0,
+          totalFiles,
+          activeFiles: 0,
+          failedFiles: 0,
+          progress: 0,
+          speedBps: 0,
+          averageBps: 0,
+          etaSeconds: null,
+          speedHistory: [],
+          retryable: !!retry,
+        },
+        ...prev.filter((entry) => !dropped.has(entry.id)),
+      ]
+    })
+    return {
+      id,
+      signal: controller.signal,
+      isCancelled: () => controller.signal.aborted,
+      trackRequest: (request) => {
+        requests.add(request)
+        request.addEventListener('loadend', () => requests.delete(request))
+      },
+      setRetry: (nextRetry) => {
+        control.retry = nextRetry
+      },
+      // Bytes that were already on the other side (resumed uploads) must not count as throughput.
+      skipBytes: (bytes) => throughput.skip(bytes),
+      report: (patch, force = false) => {
+        const now = Date.now()
+        // Every progress event feeds the meter; only the UI update is throttled.
+        if (typeof patch.loadedBytes === 'number') throughput.record(patch.loadedBytes, now)
+        if (!force && now - lastUiUpdateMs < TRANSFER_UI_INTERVAL_MS) return
+        lastUiUpdateMs = now
+        latest = { ...latest, ...patch }
+        const next = { ...patch }
+        if (typeof patch.loadedBytes === 'number') {
+          const total = patch.totalBytes || 0
+          next.progress = total > 0 ? Math.min(patch.loadedBytes / total, 1) : 0
+          Object.assign(next, throughput.snapshot(patch.loadedBytes, total))
+        }
+        updateTransferEntry(id, next)
+      },
+      finish: (state, patch = {}) => {
+        requests.clear()
+        if (typeof patch.loadedBytes === 'number') throughput.record(patch.loadedBytes)
+        const { averageBps, speedHistory } = throughput.snapshot(0, 0)
+        updateTransferEntry(id, {
+          ...patch,
+          state,
+          activeFiles: 0,
+          averageBps,
+          speedHistory,
+          speedBps: 0,
+          etaSeconds: null,
+          ...(state === 'done' ? { progress: 1 } : {}),
+          retryable: state !== 'done' && !!control.retry,
+        })
+        latest = { ...latest, ...patch }
+        const finishedAtMs = Date.now()
+        const failed = state === 'failed' || state === 'integrity-failed'
+        if (state !== 'done' && control.retry) historyRetriesRef.current.set(id, control.retry)
+        addTransferHistory({
+          id,
+          kind,
+          label,
+          paths: paths.slice(0, TRANSFER_HISTORY_MAX_PATHS),
+          pathCount: paths.length,
+          result: state === 'done' ? 'complete' : failed ? 'failed' : 'cancelled',
+          error: failed ? latest.detail || 'Transfer failed' : '',
+          integrityFailed: state === 'integrity-failed',
+          loadedBytes: latest.loadedBytes || 0,
+          totalBytes: latest.totalBytes || 0,
+          fileCount: latest.totalFiles || 0,
+          doneFiles: latest.doneFiles || 0,
+          startedAtMs,
+          finishedAtMs,
+          durationMs: finishedAtMs - startedAtMs,
+          averageBps,
+          host,
+          // Upload sources are File objects that only live as long as this page, so they are not persisted.
+          retry: kind === 'upload' || state === 'done' ? null : control.retry,
+        })
+          .catch(() => {})
+          .then(() => setHistoryRevision((value) => value + 1))
+      },
+    }
+  }
+
+  function cancelTransfer(id) {
+    transferControlsRef.current.get(id)?.cancel()
+  }
+
+  function cancelAllTransfers() {
+    for (const control of transferControlsRef.current.values()) {
+      control.cancel()
+    }
+  }
+
+  function dismissTransfer(id) {
+    setTransfers((prev) => prev.filter((entry) => entry.id !== id || entry.state === 'active'))
+  }
+
+  function clearFinishedTransfers() {
+    setTransfers((prev) => prev.filter((entry) => entry.state === 'active'))
+  }
+
+  // Retries are stored as { action, args } so finished transfers can be re-run from the history after a reload.
+  // They go through the newest closures, since permissions, the listing and settings may have changed since.
+  function runRetryAction(retry) {
+    const run = retry && latestActionsRef.current[retry.action]
+    if (typeof run !== 'function') return
+    run(...(retry.args || []))
+  }
+
+  function historyRetryFor(entry) {
+    if (!entry || entry.result === 'complete') return null
+    return historyRetriesRef.current.get(entry.id) || entry.retry || null
+  }
+
+  function retryFromHistory(entry) {
+    const retry = historyRetryFor(entry)
+    if (!retry) return
+    setHistoryOpen(false)
+    runRetryAction(retry)
+  }
+
+  function retryTransfer(id) {
+    const retry = transferControlsRef.current.get(id)?.retry
+    if (!retry) return
+    dismissTransfer(id)
+    runRetryAction(retry)
+  }
+
+  // Concurrent uploads can both hit conflicts, so prompts are shown one after another.
+  function askUploadConflictResolution(conflicts) {
+    const prompt = conflictPromptQueueRef.current.then(() => new Promise((resolve) => {
+      setUploadConflictPrompt({
+        conflicts,
+        resolve: (choices) => {
+          setUploadConflictPrompt(null)
+          resolve(choices)
+        },
+      })
+    }))
+    conflictPromptQueueRef.current = prompt
+    return prompt
+  }
+
+  // In-app replacements for window.prompt/confirm, which misbehave in standalone PWAs. Like the
+  // conflict prompt, requests queue up so two callers never share one dialog.
+  function openDialog(kind, options) {
+    const request = dialogQueueRef.current.then(() => new Promise((resolve) => {
+      dialogSeqRef.current += 1
+      setDialogRequest({
+        ...options,
+        id: dialogSeqRef.current,
+        kind,
+        resolve: (value) => {
+          setDialogRequest(null)
+          resolve(value)
+        },
+      })
+    }))
+    dialogQueueRef.current = request
+    return request
+  }
+
+  function requestText(options) {
+    return openDialog('text', options)
+  }
+
+  function requestConfirm(options) {
+    return openDialog('confirm', options).then(Boolean)
+  }
+
+  // Checked against the folder being shown, which is where new folders and renamed items end up.
+  function itemNameValidator(currentName = '') {
+    const existingNames = items.map((item) => item.name)
+    const showHidden = !!boot?.showHiddenFiles
+    return (value) => validateItemName(value, { existingNames, currentName, showHidden })
+  }
+
+  async function uploadFiles(fileList, folderUpload, targetPath = path) {
     if (!fileList || fileList.length === 0) return
     if (!permissions.allowUpload) {
       setError('Uploads are disabled by host settings.')
       return
     }
-    setBusy(true)
     setError('')
-    const files = Array.from(fileList)
-    const totalBytes = files.reduce((sum, file) => sum + (file.size || 0), 0)
-    const totalFiles = files.length
+    // Picker selections are File objects; drag-and-drop hands over { file, relativeFolder } entries.
+    const sources = Array.from(fileList).map((source) => (
+      source instanceof File
+        ? {
+          file: source,
+          relativeFolder: folderUpload && source.webkitRelativePath ? dirname(source.webkitRelativePath) : '',
+        }
+        : source
+    ))
+    const policies = sources.map(() => 'rename')
+    const transfer = startTransfer({
+      kind: 'upload',
+      label: sources.length === 1
+        ? sources[0].file.name
+        : `${sources.length} files to ${targetPath ? `/${targetPath}` : 'Root'}`,
+      detail: 'Checking for existing files...',
+      totalFiles: sources.length,
+      retry: { action: 'uploadFiles', args: [sources, false, targetPath] },
+      paths: sources.map(({ file, relativeFolder }) => joinPath(targetPath, relativeFolder, file.name)),
+    })
+    try {
+      const conflicts = await findUploadConflicts(sources, targetPath, path, items)
+      if (conflicts.length > 0) {
+        const choices = await askUploadConflictResolution(conflicts)
+        if (!choices) throw new Error('Upload was cancelled.')
+        conflicts.forEach((conflict, position) => {
+          policies[conflict.index] = choices[position] || 'rename'
+        })
+      }
+      if (transfer.isCancelled()) throw new Error('Upload was cancelled.')
+    } catch (err) {
+      const message = friendlyErrorMessage(err.message || 'Upload failed')
+      const cancelled = message.toLowerCase().includes('cancel')
+      if (cancelled) setLog('Upload cancelled')
+      else setError(message)
+      transfer.finish(cancelled ? 'cancelled' : 'failed', { detail: cancelled ? '' : message })
+      return
+    }
+    const skippedUpfront = policies.filter((policy) => policy === 'skip').length
+    const queue = sources
+      .map(({ file, relativeFolder }, index) => ({
+        index,
+        file,
+        relativeFolder,
+        conflictPolicy: policies[index],
+        state: 'queued',
+        error: '',
+      }))
+      .filter((entry) => entry.conflictPolicy !== 'skip')
+    if (queue.length === 0) {
+      setLog(`Skipped ${skippedUpfront} existing file(s)`)
+      transfer.finish('done', { detail: 'Nothing to upload' })
+      return
+    }
+    const totalBytes = queue.reduce((sum, entry) => sum + (entry.file.size || 0), 0)
+    const totalFiles = queue.length
     const batch = {
-      id: (typeof crypto !== 'undefined' && crypto.randomUUID)
-        ? crypto.randomUUID()
-        : `batch-${Date.now()}-${Math.random().toString(16).slice(2)}`,
+      id: createClientId('batch'),
       totalFiles,
       totalBytes,
     }
-    const uploadedBytesByName = new Map()
+    let skippedFiles = skippedUpfront
+    const concurrency = Math.min(Math.max(1, uploadConcurrency), queue.length)
+    const uploadedBytesByIndex = new Map()
     let uploadedBytes = 0
     let doneFiles = 0
-    let lastUiUpdateMs = 0
-    cancelUploadRef.current = false
-    const updateTransferUi = (label, force = false) => {
-      const now = Date.now()
-      if (!force && now - lastUiUpdateMs < 80) return
-      lastUiUpdateMs = now
-      const progress = totalBytes > 0 ? Math.min(uploadedBytes / totalBytes, 1) : 0
-      setTransfer({
-        active: true,
-        label,
+    let nextQueueIndex = 0
+    const activeDetail = () => {
+      const active = queue.filter((entry) => entry.state === 'active')
+      if (active.length === 1) return active[0].relativeFolder ? `${active[0].relativeFolder}/${active[0].file.name}` : active[0].file.name
+      if (active.length > 1) return `${active.length} files in flight`
+      return 'Finishing upload...'
+    }
+    const updateTransferUi = (force = false) => {
+      transfer.report({
+        detail: activeDetail(),
         loadedBytes: uploadedBytes,
         totalBytes,
         doneFiles,
         totalFiles,
-        progress,
-      })
+        activeFiles: queue.filter((entry) => entry.state === 'active').length,
+        failedFiles: queue.filter((entry) => entry.state === 'failed').length,
+      }, force)
     }
-    setTransfer({
-      active: true,
-      label: 'Preparing upload...',
-      loadedBytes: 0,
-      totalBytes,
-      doneFiles: 0,
-      totalFiles,
-      progress: 0,
-    })
-    try {
-      for (const file of files) {
-        if (cancelUploadRef.current) {
-          throw new Error('Upload was cancelled.')
+    const runWorker = async () => {
+      while (nextQueueIndex < queue.length && !transfer.isCancelled()) {
+        const entry = queue[nextQueueIndex]
+        nextQueueIndex += 1
+        const { file, index, relativeFolder } = entry
+        const displayName = relativeFolder ? `${relativeFolder}/${file.name}` : file.name
+        const mergedPath = [targetPath, relativeFolder].filter(Boolean).join('/')
+        entry.state = 'active'
+        setLog(`Uploading ${displayName}`)
+        updateTransferUi(true)
+        try {
+          const result = await uploadOne(file, mergedPath, batch, (loaded, total) => {
+            const safeTotal = total > 0 ? total : file.size || 0
+            const currentSent = Math.min(loaded, safeTotal)
+            const previousSent = uploadedBytesByIndex.get(index) || 0
+            uploadedBytesByIndex.set(index, currentSent)
+            uploadedBytes += currentSent - previousSent
+            updateTransferUi()
+          }, transfer.trackRequest, {
+            isCancelled: transfer.isCancelled,
+            conflictPolicy: entry.conflictPolicy,
+            onResume: (confirmedBytes) => {
+              transfer.skipBytes(confirmedBytes)
+              setLog(`Resuming ${displayName} from ${formatBytes(confirmedBytes)}`)
+            },
+          })
+          if (result?.skipped) skippedFiles += 1
+          entry.state = 'done'
+          doneFiles += 1
+        } catch (err) {
+          entry.state = 'failed'
+          entry.integrityFailed = isIntegrityError(err)
+          entry.error = entry.integrityFailed
+            ? err.message
+            : friendlyErrorMessage(err?.message || `Upload failed: ${file.name}`)
         }
-        setLog(`Uploading ${file.webkitRelativePath || file.name}`)
-        await uploadOne(file, path, folderUpload, batch, (loaded, total) => {
-          const safeTotal = total > 0 ? total : file.size || 0
-          const currentSent = Math.min(loaded, safeTotal)
-          const key = `${file.name}:${file.lastModified}:${file.size}`
-          const previousSent = uploadedBytesByName.get(key) || 0
-          uploadedBytesByName.set(key, currentSent)
-          uploadedBytes += currentSent - previousSent
-          updateTransferUi(`Uploading ${file.name}`)
-        }, (request) => {
-          activeUploadXhrRef.current = request
-        })
-        doneFiles += 1
-        updateTransferUi(`Uploading ${file.name}`, true)
+        updateTransferUi(true)
+      }
+    }
+    transfer.report({ detail: 'Preparing upload...', loadedBytes: 0, totalBytes, totalFiles }, true)
+    try {
+      await Promise.all(Array.from({ length: concurrency }, () => runWorker()))
+      if (transfer.isCancelled()) {
+        throw new Error('Upload was cancelled.')
+      }
+      const failed = queue.filter((entry) => entry.state === 'failed')
+      if (failed.length > 0) {
+        // A retry only needs the files that did not make it; finished ones are already on the host.
+        const failedSources = failed.map(({ file, relativeFolder }) => ({ file, relativeFolder }))
+        transfer.setRetry({ action: 'uploadFiles', args: [failedSources, false, targetPath] })
+        const first = failed.find((entry) => entry.integrityFailed) || failed[0]
+        const message = failed.length === 1
+          ? first.error
+          : `${failed.length} of ${totalFiles} files failed to upload. First error (${first.file.name}): ${first.error}`
+        throw first.integrityFailed ? integrityError(message) : new Error(message)
       }
-      setLog('Upload complete')
-      setTransfer({
-        active: false,
-        label: 'Upload complete',
+      setLog(skippedFiles > 0 ? `Upload complete (skipped ${skippedFiles} existing file(s))` : 'Upload complete')
+      transfer.finish('done', {
+        detail: skippedFiles > 0 ? `Skipped ${skippedFiles} existing file(s)` : '',
         loadedBytes: totalBytes,
         totalBytes,
         doneFiles: totalFiles,
-        totalFiles,
-        progress: 1,
+        failedFiles: 0,
       })
-      await loadPath(path)
+      await loadPath(currentPathRef.current, { silent: true })
     } catch (err) {
+      const failedFiles = queue.filter((entry) => entry.state === 'failed').length
+      if (isIntegrityError(err)) {
+        setError(err.message)
+        transfer.finish('integrity-failed', { detail: err.message, doneFiles, failedFiles })
+        if (doneFiles > 0) await loadPath(currentPathRef.current, { silent: true })
+        return
+      }
       const message = friendlyErrorMessage(err.message || 'Upload failed')
-      if (String(message).toLowerCase().includes('cancel')) {
+      const cancelled = String(message).toLowerCase().includes('cancel')
+      if (cancelled) {
         setLog('Upload cancelled')
       } else {
         setError(message)
       }
-      setTransfer((prev) => ({
-        ...prev,
-        active: false,
-        label: String(message).toLowerCase().includes('cancel') ? 'Upload cancelled' : 'Upload failed',
-      }))
+      transfer.finish(cancelled ? 'cancelled' : 'failed', { detail: cancelled ? '' : message, doneFiles, failedFiles })
+      if (doneFiles > 0) await loadPath(currentPathRef.current, { silent: true })
     } finally {
-      activeUploadXhrRef.current = null
-      cancelUploadRef.current = false
-      setBusy(false)
+      setResumableUploadCount(pendingUploadResumeCount())
     }
   }
 
-  function cancelTransfer() {
-    cancelUploadRef.current = true
-    const xhr = activeUploadXhrRef.current
-    if (xhr) {
-      try {
-        xhr.abort()
-      } catch (_) {
+  function goUp() {
+    const basePath = currentPathRef.current || path || ''
+    const parentPath = dirname(basePath)
+    if (parentPath === basePath) return
+    openFolder(parentPath)
+  }
+
+  function openFolder(nextPath) {
+    runSearch(null)
+    return loadPath(nextPath)
+  }
+
+  async function runSearch(criteria) {
+    searchAbortRef.current?.abort()
+    searchAbortRef.current = null
+    const wasSearching = !!searchCriteriaRef.current
+    searchCriteriaRef.current = criteria
+    if (!criteria) {
+      if (wasSearching) {
+        setSearch(null)
+        setSelectedPaths([])
       }
+      return
     }
-    for (const controller of activeDownloadControllersRef.current) {
-      try {
-        controller.abort()
-      } catch (_) {
-      }
+    const controller = new AbortController()
+    searchAbortRef.current = controller
+    const scopePath = currentPathRef.current || ''
+    setSelectedPaths([])
+    setSearch({ criteria, scopePath, results: [], running: true, truncated: false, scannedFolders: 0, error: '' })
+
+    // Matches can arrive faster than React should re-render, so they are flushed in small batches.
+    let pending = []
+    let flushTimer = null
+    const flush = () => {
+      flushTimer = null
+      if (pending.length === 0 || controller.signal.aborted) return
+      const batch = pending
+      pending = []
+      setSearch((prev) => (prev && prev.criteria === criteria ? { ...prev, results: [...prev.results, ...batch] } : prev))
+    }
+    const patchSearch = (patch) => {
+      if (controller.signal.aborted) return
+      setSearch((prev) => (prev && prev.criteria === criteria ? { ...prev, ...patch } : prev))
+    }
+    try {
+      await streamJsonLines(`/api/files/search?${buildSearchParams(criteria, scopePath)}`, {
+        signal: controller.signal,
+        onEvent: (event) => {
+          if (event.type === 'match' && event.item) {
+            pending.push(event.item)
+            if (!flushTimer) flushTimer = setTimeout(flush, SEARCH_FLUSH_MS)
+          } else if (event.type === 'progress') {
+            patchSearch({ scannedFolders: event.scannedFolders || 0 })
+          } else if (event.type === 'done') {
+            patchSearch({ scannedFolders: event.scannedFolders || 0, truncated: !!event.truncated })
+          }
+        },
+      })
+      clearTimeout(flushTimer)
+      flush()
+      patchSearch({ running: false })
+    } catch (err) {
+      clearTimeout(flushTimer)
+      if (isAbortError(err)) return
+      flush()
+      patchSearch({ running: false, error: friendlyErrorMessage(err.message || 'Search failed') })
+    } finally {
+      if (searchAbortRef.current === controller) searchAbortRef.current = null
     }
-    activeDownloadControllersRef.current.clear()
   }
 
-  function goUp() {
-    const basePath = currentPathRef.current || path || ''
-    const parentPath = dirname(basePath)
-    if (parentPath === basePath) return
-    loadPath(parentPath)
+  // Back/Forward: bring the view in line with the entry the browser moved to.
+  async function applyRoute(route) {
+    if (!paired) return
+    setPreviewPath(route.preview)
+    if (route.path !== currentPathRef.current) {
+      runSearch(null)
+      await loadPath(route.path)
+      if (route.criteria) runSearch(route.criteria)
+    } else if (routeUrl({ criteria: route.criteria }) !== routeUrl({ criteria: searchCriteriaRef.current })) {
+      runSearch(route.criteria)
+    }
+  }
+
+  function refreshSearch() {
+    if (searchCriteriaRef.current) runSearch(searchCriteriaRef.current)
   }
 
   async function refreshCurrentPath() {
@@ -1281,14 +5505,23 @@ export default function App() {
       setError('Deletes are disabled by host settings.')
       return
     }
-    const ok = window.confirm(`Delete ${item.directory ? 'folder' : 'file'} "${item.name}"?`)
+    const ok = await requestConfirm({
+      title: `Delete ${item.directory ? 'folder' : 'file'}?`,
+      message: `"${item.name}" will be moved to the trash. You can restore it from there.`,
+      confirmLabel: 'Move to trash',
+      danger: true,
+    })
     if (!ok) return
     setBusy(true)
     setError('')
     try {
-      await api(`/api/files/delete?path=${encodeURIComponent(item.path)}`, { method: 'DELETE' })
-      setLog(`Deleted ${item.name}`)
+      const result = await api(`/api/files/delete?path=${encodeURIComponent(item.path)}`, { method: 'DELETE' })
+      setLog(`Moved ${item.name} to the trash`)
+      if (result?.trashId) {
+        recordOperation(`Deleted ${item.name}`, [{ type: 'restore', trashId: result.trashId, path: item.path }])
+      }
       await loadPath(path)
+      refreshSearch()
     } catch (err) {
       setError(friendlyErrorMessage(err.message || `Delete failed: ${item.name}`))
     } finally {
@@ -1317,7 +5550,7 @@ export default function App() {
 
   function toggleSelectAll(checked) {
     if (checked) {
-      setSelectedPaths(items.map((item) => item.path))
+      setSelectedPaths(listedItems.map((item) => item.path))
       return
     }
     setSelectedPaths([])
@@ -1329,63 +5562,206 @@ export default function App() {
       setError('Deletes are disabled by host settings.')
       return
     }
-    const ok = window.confirm(`Delete ${selectedPaths.length} selected item(s)?`)
+    const ok = await requestConfirm({
+      title: `Delete ${selectedPaths.length} item(s)?`,
+      message: 'The selected items will be moved to the trash. You can restore them from there.',
+      confirmLabel: 'Move to trash',
+      danger: true,
+    })
     if (!ok) return
     setBusy(true)
     setError('')
+    const undoSteps = []
     try {
       for (const itemPath of selectedPaths) {
-        await api(`/api/files/delete?path=${encodeURIComponent(itemPath)}`, { method: 'DELETE' })
+        const result = await api(`/api/files/delete?path=${encodeURIComponent(itemPath)}`, { method: 'DELETE' })
+        if (result?.trashId) undoSteps.push({ type: 'restore', trashId: result.trashId, path: itemPath })
       }
-      setLog(`Deleted ${selectedPaths.length} item(s)`)
+      setLog(`Moved ${selectedPaths.length} item(s) to the trash`)
       setSelectedPaths([])
       await loadPath(path)
+      refreshSearch()
     } catch (err) {
       setError(friendlyErrorMessage(err.message || 'Batch delete failed'))
     } finally {
       setBusy(false)
+      recordOperation(`Deleted ${undoSteps.length} item(s)`, undoSteps)
+    }
+  }
+
+  // Moves or copies items one request at a time; folders are handled recursively by the host.
+  // Resolves to the paths the host finished with, moved, copied or skipped.
+  async function transferItems(paths, destination, { copy = false, conflict = 'rename' } = {}) {
+    const handled = []
+    if (paths.length === 0) return handled
+    // A move removes the originals, so the host also wants the delete permission for it.
+    if (!permissions.allowUpload || (!copy && !permissions.allowDelete)) {
+      setError(`${copy ? 'Copy' : 'Move'} is disabled by host settings.`)
+      return handled
+    }
+    const verb = copy ? 'Copied' : 'Moved'
+    const target = destination ? basename(destination) : 'Root'
+    setBusy(true)
+    setError('')
+    let done = 0
+    let skipped = 0
+    const undoSteps = []
+    try {
+      for (const itemPath of paths) {
+        const query = `path=${encodeURIComponent(itemPath)}&to=${encodeURIComponent(destination)}&conflict=${conflict}`
+        const result = await api(`/api/files/${copy ? 'copy' : 'move'}?${query}`, { method: 'POST' })
+        handled.push(itemPath)
+        if (result?.skipped) {
+          skipped += 1
+          continue
+        }
+        done += 1
+        // Steps undo last to first, so a replaced item returns from the trash once this one is out of its way.
+        if (result.replacedTrashId) undoSteps.push({ type: 'restore', trashId: result.replacedTrashId, path: result.path })
+        // Moves within the same folder report the unchanged path and need no undo.
+        if (copy) undoSteps.push({ type: 'remove', path: result.path })
+        else if (result.path !== itemPath) undoSteps.push({ type: 'move', path: result.path, to: dirname(itemPath) })
+      }
+      setLog(`${verb} ${done} item(s) to ${target}${skipped > 0 ? `, skipped ${skipped} already there` : ''}`)
+      if (!copy) setSelectedPaths([])
+    } catch (err) {
+      const message = friendlyErrorMessage(err.message || `${copy ? 'Copy' : 'Move'} failed`)
+      setError(done > 0 ? `${verb} ${done} of ${paths.length} item(s). ${message}` : message)
+    } finally {
+      setBusy(false)
+      recordOperation(`${verb} ${done} item(s) to ${target}`, undoSteps)
+      await loadPath(currentPathRef.current, { silent: true })
+      refreshSearch()
+    }
+    return handled
+  }
+
+  // The host applies the whole batch or nothing, so a failure leaves the folder as it was.
+  async function renameBatch(entries) {
+    if (entries.length === 0) return
+    setBusy(true)
+    setError('')
+    try {
+      const result = await api('/api/files/rename-batch', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ items: entries }),
+      })
+      setLog(`Renamed ${result?.renamed ?? entries.length} item(s)`)
+      recordOperation(`Renamed ${result?.renamed ?? entries.length} item(s)`, [{
+        type: 'rename-batch',
+        items: (result?.items || []).map((item) => ({ path: item.path, name: basename(item.from) })),
+      }])
+      setBatchRenameItems(null)
+      setSelectedPaths([])
+    } finally {
+      setBusy(false)
+      await loadPath(currentPathRef.current, { silent: true })
+      refreshSearch()
     }
   }
 
+  // Buffers a download into a Blob. Finished parts are persisted to IndexedDB as they arrive,
+  // so a dropped connection or a reload resumes from the last stored part instead of from zero.
   async function fetchBlobWithProgress(relativeUrl, options = {}) {
     const { signal, onProgress, headers } = options
-    const response = await fetch(relativeUrl, {
-      credentials: 'include',
-      cache: 'no-store',
-      headers,
-      signal,
-    })
-    if (!response.ok) {
-      const text = await response.text()
-      let data = null
-      try {
-        data = text ? JSON.parse(text) : null
-      } catch (_) {
-        data = null
+    const partial = await loadDownloadPartial(relativeUrl).catch(() => null)
+    let hasher = sha256.create()
+    let parts = []
+    let pending = []
+    let pendingBytes = 0
+    let storedBytes = 0
+    let persist = true
+    if (partial) {
+      for (const part of partial.parts) {
+        hasher.update(new Uint8Array(await part.arrayBuffer()))
       }
-      throw new Error(friendlyErrorMessage((data && data.error) || text || `HTTP ${response.status}`))
+      parts = partial.parts.slice()
+      storedBytes = partial.receivedBytes
     }
-    const totalFromHeader = parseContentLength(response.headers.get('content-length'))
-    if (!response.body || typeof response.body.getReader !== 'function') {
-      const blob = await response.blob()
-      if (typeof onProgress === 'function') onProgress(blob.size, totalFromHeader || blob.size)
-      return { response, blob, totalBytes: totalFromHeader || blob.size }
+    const flushPending = async (etag) => {
+      if (pendingBytes === 0) return
+      const piece = new Blob(pending)
+      pending = []
+      pendingBytes = 0
+      parts.push(piece)
+      storedBytes += piece.size
+      if (!etag || !persist) return
+      await saveDownloadPart(relativeUrl, parts.length - 1, piece, etag, storedBytes).catch(() => {
+        // Storage can be full or unavailable; keep downloading in memory only.
+        persist = false
+      })
     }
-    const reader = response.body.getReader()
-    const chunks = []
-    let loaded = 0
-    if (typeof onProgress === 'function') onProgress(0, totalFromHeader)
-    while (true) {
-      const { done, value } = await reader.read()
-      if (done) break
-      if (!value) continue
-      chunks.push(value)
-      loaded += value.byteLength
-      if (typeof onProgress === 'function') onProgress(loaded, totalFromHeader)
+    let lastEtag = partial?.etag || ''
+    try {
+      const { response, totalBytes, expectedSha256 } = await readDownloadWithResume(relativeUrl, {
+        signal,
+        headers,
+        onProgress,
+        resumeFrom: partial?.receivedBytes || 0,
+        validator: partial?.etag || '',
+        onData: async (value, etag) => {
+          lastEtag = etag
+          pending.push(value)
+          pendingBytes += value.byteLength
+          hasher.update(value)
+          if (pendingBytes >= DOWNLOAD_PART_BYTES) await flushPending(etag)
+        },
+        onInterrupted: () => flushPending(lastEtag),
+        onRestart: async () => {
+          hasher = sha256.create()
+          parts = []
+          pending = []
+          pendingBytes = 0
+          storedBytes = 0
+          await discardDownloadPartial(relativeUrl).catch(() => {})
+        },
+      })
+      if (pendingBytes > 0) parts.push(new Blob(pending))
+      if (expectedSha256 && bytesToHex(hasher.digest()) !== expectedSha256) {
+        const name = fileNameFromDisposition(response.headers.get('content-disposition')) || 'download'
+        await discardDownloadPartial(relativeUrl).catch(() => {})
+        throw integrityError(`Integrity check failed for ${name}: the downloaded data does not match the file on the host. Nothing was saved.`)
+      }
+      const blob = new Blob(parts, { type: response.headers.get('content-type') || 'application/octet-stream' })
+      await discardDownloadPartial(relativeUrl).catch(() => {})
+      return { response, blob, totalBytes: totalBytes || blob.size }
+    } catch (err) {
+      // Keep what arrived so the next attempt at the same file resumes; a cancel starts over.
+      if (isAbortError(err)) {
+        await discardDownloadPartial(relativeUrl).catch(() => {})
+      } else if (!isIntegrityError(err)) {
+        await flushPending(lastEtag).catch(() => {})
+      }
+      throw err
+    }
+  }
+
+  // Large or open-ended downloads go straight to disk instead of being buffered into a Blob.
+  // The save picker must be opened before the first await so it still has the click's user activation.
+  async function saveDownloadToDevice(href, options = {}) {
+    const { suggestedName, streaming, signal, onProgress } = options
+    if (streaming && canPickSaveFile()) {
+      let handle = null
+      try {
+        handle = await window.showSaveFilePicker({ suggestedName })
+      } catch (err) {
+        if (String(err?.name || '').toLowerCase() === 'aborterror') throw err
+        handle = null
+      }
+      if (handle) {
+        const writable = await handle.createWritable()
+        const { totalBytes } = await pipeDownloadToWritable(href, writable, { signal, onProgress })
+        return { fileName: handle.name || suggestedName, totalBytes }
+      }
     }
-    const blob = new Blob(chunks, { type: response.headers.get('content-type') || 'application/octet-stream' })
-    if (typeof onProgress === 'function') onProgress(loaded, totalFromHeader || loaded)
-    return { response, blob, totalBytes: totalFromHeader || loaded }
+    if (streaming && canStreamThroughServiceWorker()) {
+      return streamDownloadThroughServiceWorker(href, { fileName: suggestedName, signal, onProgress })
+    }
+    const { response, blob, totalBytes } = await fetchBlobWithProgress(href, { signal, onProgress })
+    const fileName = fileNameFromDisposition(response.headers.get('content-disposition')) || suggestedName
+    saveBlobToDevice(blob, fileName)
+    return { fileName, totalBytes: totalBytes || blob.size }
   }
 
   async function downloadItem(item) {
@@ -1396,66 +5772,42 @@ export default function App() {
     }
     const href = downloadHrefForItem(item)
     const fallbackName = defaultDownloadFileName(item)
-    const totalFiles = 1
     let knownTotalBytes = item.directory ? 0 : Number(item.size) || 0
-    let lastUiUpdateMs = 0
-    setBusy(true)
     setError('')
-    setTransfer({
-      active: true,
-      label: `Downloading ${item.name || 'item'}`,
-      loadedBytes: 0,
+    const transfer = startTransfer({
+      kind: 'download',
+      label: item.directory ? `${item.name || 'folder'}.zip` : item.name || 'item',
       totalBytes: knownTotalBytes,
-      doneFiles: 0,
-      totalFiles,
-      progress: 0,
+      retry: { action: 'downloadItem', args: [item] },
+      paths: [item.path],
     })
-    const controller = new AbortController()
-    activeDownloadControllersRef.current.add(controller)
     try {
-      const { response, blob, totalBytes } = await fetchBlobWithProgress(href, {
-        signal: controller.signal,
+      const { fileName, totalBytes } = await saveDownloadToDevice(href, {
+        suggestedName: fallbackName,
+        streaming: item.directory || knownTotalBytes >= STREAM_DOWNLOAD_THRESHOLD_BYTES,
+        signal: transfer.signal,
         onProgress: (loaded, reportedTotal) => {
-          const now = Date.now()
-          if (now - lastUiUpdateMs < 80) return
-          lastUiUpdateMs = now
           knownTotalBytes = reportedTotal > 0 ? reportedTotal : knownTotalBytes
           const totalForProgress = knownTotalBytes > 0 ? knownTotalBytes : Math.max(loaded, 1)
-          setTransfer({
-            active: true,
-            label: `Downloading ${item.name || 'item'}`,
-            loadedBytes: loaded,
-            totalBytes: totalForProgress,
-            doneFiles: 0,
-            totalFiles,
-            progress: Math.min(loaded / totalForProgress, 1),
-          })
+          transfer.report({ loadedBytes: loaded, totalBytes: totalForProgress })
         },
       })
-      const fileName = fileNameFromDisposition(response.headers.get('content-disposition')) || fallbackName
-      saveBlobToDevice(blob, fileName)
-      const completedBytes = totalBytes || blob.size
-      setTransfer({
-        active: false,
-        label: 'Download complete',
-        loadedBytes: completedBytes,
-        totalBytes: completedBytes,
-        doneFiles: totalFiles,
-        totalFiles,
-        progress: 1,
-      })
+      transfer.finish('done', { loadedBytes: totalBytes, totalBytes, doneFiles: 1 })
       setLog(`Downloaded ${item.name || fileName}`)
     } catch (err) {
-      if (String(err?.name || '').toLowerCase() === 'aborterror') {
+      if (isAbortError(err)) {
         setLog('Download cancelled')
-        setTransfer((prev) => ({ ...prev, active: false, label: 'Download cancelled' }))
+        transfer.finish('cancelled')
         return
       }
-      setError(friendlyErrorMessage(err?.message || 'Download failed'))
-      setTransfer((prev) => ({ ...prev, active: false, label: 'Download failed' }))
-    } finally {
-      activeDownloadControllersRef.current.delete(controller)
-      setBusy(false)
+      if (isIntegrityError(err)) {
+        setError(err.message)
+        transfer.finish('integrity-failed', { detail: err.message })
+        return
+      }
+      const message = friendlyErrorMessage(err?.message || 'Download failed')
+      setError(message)
+      transfer.finish('failed', { detail: message })
     }
   }
 
@@ -1466,105 +5818,76 @@ export default function App() {
       return
     }
     const selectedItems = selectedPaths
-      .map((itemPath) => items.find((item) => item.path === itemPath))
+      .map((itemPath) => listedItems.find((item) => item.path === itemPath))
       .filter(Boolean)
     const selectedCount = selectedPaths.length
-    const totalFiles = 1
-    let knownTotalBytes = selectedItems
+    const knownTotalBytes = selectedItems
       .filter((item) => !item.directory)
       .reduce((sum, item) => sum + (Number(item.size) || 0), 0)
     const params = new URLSearchParams()
     selectedPaths.forEach((itemPath) => params.append('path', itemPath))
     const href = `/api/files/download-zip-batch?${params.toString()}`
-    let lastUiUpdateMs = 0
-    setBusy(true)
+    await downloadSelectionZip(href, selectedCount, knownTotalBytes)
+  }
+
+  // Split from batchDownloadSelected so a retry re-downloads the original selection, not the current one.
+  async function downloadSelectionZip(href, selectedCount, baselineTotalBytes) {
+    let knownTotalBytes = baselineTotalBytes
     setError('')
-    setTransfer({
-      active: true,
-      label: `Downloading ${selectedCount} selected item(s)`,
-      loadedBytes: 0,
-      totalBytes: knownTotalBytes,
-      doneFiles: 0,
-      totalFiles,
-      progress: 0,
+    const transfer = startTransfer({
+      kind: 'download',
+      label: `${selectedCount} selected item(s)`,
+      totalBytes: baselineTotalBytes,
+      retry: { action: 'downloadSelectionZip', args: [href, selectedCount, baselineTotalBytes] },
+      paths: new URLSearchParams(href.split('?')[1] || '').getAll('path'),
     })
-    const controller = new AbortController()
-    activeDownloadControllersRef.current.add(controller)
     try {
-      const { response, blob, totalBytes } = await fetchBlobWithProgress(href, {
-        signal: controller.signal,
+      const { totalBytes } = await saveDownloadToDevice(href, {
+        suggestedName: 'mediabus-selection.zip',
+        streaming: true,
+        signal: transfer.signal,
         onProgress: (loaded, reportedTotal) => {
-          const now = Date.now()
-          if (now - lastUiUpdateMs < 80) return
-          lastUiUpdateMs = now
           knownTotalBytes = reportedTotal > 0 ? reportedTotal : knownTotalBytes
           const totalForProgress = knownTotalBytes > 0 ? knownTotalBytes : Math.max(loaded, 1)
-          setTransfer({
-            active: true,
-            label: `Downloading ${selectedCount} selected item(s)`,
-            loadedBytes: loaded,
-            totalBytes: totalForProgress,
-            doneFiles: 0,
-            totalFiles,
-            progress: Math.min(loaded / totalForProgress, 1),
-          })
+          transfer.report({ loadedBytes: loaded, totalBytes: totalForProgress })
         },
       })
-      const fileName = fileNameFromDisposition(response.headers.get('content-disposition')) || `${totalFiles}-items.zip`
-      saveBlobToDevice(blob, fileName)
-      const completedBytes = totalBytes || blob.size
-      setTransfer({
-        active: false,
-        label: 'Download complete',
-        loadedBytes: completedBytes,
-        totalBytes: completedBytes,
-        doneFiles: 1,
-        totalFiles: 1,
-        progress: 1,
-      })
-      setLog(`Downloaded ${selectedPaths.length} selected item(s)`)
+      transfer.finish('done', { loadedBytes: totalBytes, totalBytes, doneFiles: 1 })
+      setLog(`Downloaded ${selectedCount} selected item(s)`)
     } catch (err) {
-      if (String(err?.name || '').toLowerCase() === 'aborterror') {
+      if (isAbortError(err)) {
         setLog('Download cancelled')
-        setTransfer((prev) => ({ ...prev, active: false, label: 'Download cancelled' }))
+        transfer.finish('cancelled')
         return
       }
-      setError(friendlyErrorMessage(err?.message || 'Batch download failed'))
-      setTransfer((prev) => ({ ...prev, active: false, label: 'Download failed' }))
-    } finally {
-      activeDownloadControllersRef.current.delete(controller)
-      setBusy(false)
+      const message = friendlyErrorMessage(err?.message || 'Batch download failed')
+      setError(message)
+      transfer.finish('failed', { detail: message })
     }
   }
 
   async function fetchShareFile(descriptor, onProgress, options = {}) {
-    const { batchHeaders } = options
+    const { batchHeaders, signal } = options
     const key = shareCacheKey(descriptor)
     const cached = shareFileCacheRef.current.get(key)
     if (cached) {
       if (typeof onProgress === 'function') onProgress(cached.totalBytes, cached.totalBytes)
       return cached
     }
-    const controller = new AbortController()
-    activeDownloadControllersRef.current.add(controller)
-    try {
-      const { response, blob, totalBytes } = await fetchBlobWithProgress(descriptor.href, {
-        signal: controller.signal,
-        onProgress,
-        headers: batchHeaders,
-      })
-      const name = fileNameFromDisposition(response.headers.get('content-disposition')) || descriptor.name || 'download'
-      const type = blob.type || response.headers.get('content-type') || 'application/octet-stream'
-      const result = { file: new File([blob], name, { type }), totalBytes: totalBytes || blob.size }
-      shareFileCacheRef.current.set(key, result)
-      if (shareFileCacheRef.current.size > 40) {
-        const oldest = shareFileCacheRef.current.keys().next().value
-        if (oldest) shareFileCacheRef.current.delete(oldest)
-      }
-      return result
-    } finally {
-      activeDownloadControllersRef.current.delete(controller)
+    const { response, blob, totalBytes } = await fetchBlobWithProgress(descriptor.href, {
+      signal,
+      onProgress,
+      headers: batchHeaders,
+    })
+    const name = fileNameFromDisposition(response.headers.get('content-disposition')) || descriptor.name || 'download'
+    const type = blob.type || response.headers.get('content-type') || 'application/octet-stream'
+    const result = { file: new File([blob], name, { type }), totalBytes: totalBytes || blob.size }
+    shareFileCacheRef.current.set(key, result)
+    if (shareFileCacheRef.current.size > 40) {
+      const oldest = shareFileCacheRef.current.keys().next().value
+      if (oldest) shareFileCacheRef.current.delete(oldest)
     }
+    return result
   }
 
   async function shareUrl(relativeUrl, label) {
@@ -1575,7 +5898,7 @@ export default function App() {
       } else if (navigator.clipboard?.writeText) {
         await navigator.clipboard.writeText(absoluteUrl)
       } else {
-        window.prompt('Copy this link:', absoluteUrl)
+        await requestText({ title: 'Copy this link', label, initialValue: absoluteUrl, readOnly: true, confirmLabel: 'Done' })
       }
       setLog(`Shared ${label}`)
     } catch (err) {
@@ -1656,7 +5979,6 @@ export default function App() {
     const totalFiles = descriptors.length
     if (totalFiles === 0) return
     let doneFiles = 0
-    let lastUiUpdateMs = 0
     const loadedByIndex = new Map()
     const totalByIndex = new Map()
     const files = new Array(totalFiles)
@@ -1690,42 +6012,31 @@ export default function App() {
     })
     batchHeaders['X-MediaBus-Batch-Completed'] = String(Math.max(0, doneFiles))
 
-    const refreshTransfer = (activeLabel, force = false) => {
-      const now = Date.now()
-      if (!force && now - lastUiUpdateMs < 80) return
-      lastUiUpdateMs = now
-      const loadedBytes = getLoadedBytes()
-      const knownTotalBytes = hasBaselineTotalBytes ? baselineTotalBytes : getTotalBytes()
-      const totalBytes = knownTotalBytes > 0 ? knownTotalBytes : Math.max(loadedBytes, 1)
-      setTransfer({
-        active: true,
-        label: activeLabel,
-        loadedBytes,
-        totalBytes,
-        doneFiles,
-        totalFiles,
-        progress: Math.min(loadedBytes / totalBytes, 1),
-      })
-    }
-
     setPreparedShare(null)
-    setBusy(true)
     setError('')
-    setTransfer({
-      active: true,
-      label: doneFiles > 0
+    const transfer = startTransfer({
+      kind: 'share',
+      label,
+      detail: doneFiles > 0
         ? `Downloading files for share (${doneFiles}/${totalFiles})`
         : 'Caching files for share...',
-      loadedBytes: getLoadedBytes(),
       totalBytes: hasBaselineTotalBytes ? baselineTotalBytes : getTotalBytes(),
-      doneFiles,
       totalFiles,
-      progress: (() => {
-        const loaded = getLoadedBytes()
-        const total = (hasBaselineTotalBytes ? baselineTotalBytes : getTotalBytes()) || Math.max(loaded, 1)
-        return Math.min(loaded / total, 1)
-      })(),
+      retry: { action: 'prepareShareRequest', args: [shareRequest] },
+      paths: descriptors.map((descriptor) => descriptor.name),
     })
+    const refreshTransfer = (activeDetail, force = false) => {
+      const loadedBytes = getLoadedBytes()
+      const knownTotalBytes = hasBaselineTotalBytes ? baselineTotalBytes : getTotalBytes()
+      transfer.report({
+        detail: activeDetail,
+        loadedBytes,
+        totalBytes: knownTotalBytes > 0 ? knownTotalBytes : Math.max(loadedBytes, 1),
+        doneFiles,
+        totalFiles,
+      }, force)
+    }
+    refreshTransfer(doneFiles > 0 ? `Downloading files for share (${doneFiles}/${totalFiles})` : 'Caching files for share...', true)
 
     try {
       if (!navigator.share || typeof File === 'undefined') {
@@ -1744,7 +6055,7 @@ export default function App() {
           loadedByIndex.set(index, loaded)
           const currentFile = Math.min(doneFiles + 1, totalFiles)
           refreshTransfer(`Downloading files for share (${currentFile}/${totalFiles})`)
-        }, { batchHeaders })
+        }, { batchHeaders, signal: transfer.signal })
         doneFiles += 1
         if (!hasBaselineTotalBytes) {
           totalByIndex.set(index, Math.max(totalByIndex.get(index) || 0, result.totalBytes))
@@ -1754,7 +6065,10 @@ export default function App() {
         files[index] = result.file
       }
 
-      if (files.some((file) => !file)) return
+      if (files.some((file) => !file)) {
+        transfer.finish('cancelled')
+        return
+      }
       if (navigator.canShare && !navigator.canShare({ files })) {
         throw new Error('This browser cannot share these files.')
       }
@@ -1767,26 +6081,27 @@ export default function App() {
         totalBytes,
         preparedAtMs: Date.now(),
       })
-      setTransfer({
-        active: false,
-        label: 'Share ready. Tap Share again.',
+      transfer.finish('done', {
+        detail: 'Share ready. Tap Share again.',
         loadedBytes,
         totalBytes,
         doneFiles: totalFiles,
-        totalFiles,
-        progress: 1,
       })
       setLog(`Share ready for ${label}. Tap Share again.`)
     } catch (err) {
-      if (String(err?.name || '').toLowerCase() === 'aborterror') {
+      if (isAbortError(err)) {
         setLog('Share caching cancelled')
-        setTransfer((prev) => ({ ...prev, active: false, label: 'Share caching cancelled' }))
+        transfer.finish('cancelled', { doneFiles })
         return
       }
-      setError(friendlyErrorMessage(err?.message || 'Failed to cache share files'))
-      setTransfer((prev) => ({ ...prev, active: false, label: 'Share cache failed' }))
-    } finally {
-      setBusy(false)
+      if (isIntegrityError(err)) {
+        setError(err.message)
+        transfer.finish('integrity-failed', { detail: err.message, doneFiles })
+        return
+      }
+      const message = friendlyErrorMessage(err?.message || 'Failed to cache share files')
+      setError(message)
+      transfer.finish('failed', { detail: message, doneFiles })
     }
   }
 
@@ -1822,40 +6137,20 @@ export default function App() {
       }
 
       await navigator.share({ files: armed.files })
-      setTransfer({
-        active: false,
-        label: 'Share complete',
-        loadedBytes: preparedBytes,
-        totalBytes: preparedBytes,
-        doneFiles: preparedCount,
-        totalFiles: preparedCount,
-        progress: 1,
-      })
       setLog(`Shared ${armed.label}`)
       setPreparedShare(null)
     } catch (err) {
       if (String(err?.name || '').toLowerCase() === 'aborterror') {
-        setLog('Share cancelled')
-        setTransfer({
-          active: false,
-          label: 'Share ready. Tap Share again.',
-          loadedBytes: preparedBytes,
-          totalBytes: preparedBytes,
-          doneFiles: preparedCount,
-          totalFiles: preparedCount,
-          progress: 1,
-        })
+        setLog('Share cancelled. Share ready. Tap Share again.')
         return
       }
       const rawMessage = String(err?.message || '')
       if (rawMessage.toLowerCase().includes('request is not allowed')) {
         const elapsedSec = ((Date.now() - shareStartMs) / 1000).toFixed(1)
         setError(`Share sheet was blocked ${elapsedSec}s after tap, even though ${preparedCount} file(s) (${formatBytes(preparedBytes)}) were already cached. This is usually browser user-activation policy. Press Share again immediately.`)
-        setTransfer((prev) => ({ ...prev, active: false, label: 'Share blocked' }))
         return
       }
       setError(friendlyErrorMessage(err?.message || 'Share failed'))
-      setTransfer((prev) => ({ ...prev, active: false, label: 'Share failed' }))
     } finally {
       setBusy(false)
     }
@@ -1883,7 +6178,7 @@ export default function App() {
       return
     }
     const selectedItems = selectedPaths
-      .map((itemPath) => items.find((item) => item.path === itemPath))
+      .map((itemPath) => listedItems.find((item) => item.path === itemPath))
       .filter(Boolean)
     if (selectedItems.length === 0) return
     const shareRequest = buildShareRequestForSelection(selectedItems, selectedPaths)
@@ -1895,21 +6190,79 @@ export default function App() {
     await prepareShareRequest(shareRequest)
   }
 
+  // Journals a finished change with the steps that reverse it, newest first, and offers it in the undo toast.
+  function recordOperation(label, steps) {
+    if (steps.length === 0) return
+    const operation = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      label,
+      at: Date.now(),
+      steps,
+      status: 'done',
+      error: '',
+    }
+    setOperations((prev) => [operation, ...prev].slice(0, OPERATION_JOURNAL_LIMIT))
+    setUndoToastId(operation.id)
+  }
+
+  // Reverses the newest change that has not been undone yet; steps run last to first.
+  async function undoOperation(operationId) {
+    const operation = operations.find((entry) => entry.status === 'done')
+    if (!operation || (operationId && operation.id !== operationId) || busy) return
+    setUndoToastId(null)
+    setBusy(true)
+    setError('')
+    let remaining = operation.steps
+    const update = (changes) => setOperations((prev) => prev.map((entry) => (
+      entry.id === operation.id ? { ...entry, ...changes } : entry
+    )))
+    try {
+      while (remaining.length > 0) {
+        await runUndoStep(remaining[remaining.length - 1])
+        remaining = remaining.slice(0, -1)
+      }
+      update({ status: 'undone', steps: [] })
+      setLog(`Undone: ${operation.label}`)
+    } catch (err) {
+      const message = friendlyErrorMessage(err.message || 'Undo failed')
+      const reverted = operation.steps.length - remaining.length
+      update({ status: 'failed', steps: remaining, error: message })
+      setError(reverted > 0 ? `Undid ${reverted} of ${operation.steps.length} item(s). ${message}` : `Cannot undo: ${message}`)
+    } finally {
+      setBusy(false)
+      setSelectedPaths([])
+      await loadPath(currentPathRef.current, { silent: true })
+      refreshSearch()
+    }
+  }
+
+  useEffect(() => {
+    if (!undoToastId) return undefined
+    const timer = setTimeout(() => setUndoToastId(null), UNDO_TOAST_MS)
+    return () => clearTimeout(timer)
+  }, [undoToastId])
+
   async function createFolder() {
     if (!permissions.allowUpload) {
       setError('Folder creation is disabled by host settings.')
       return
     }
-    const name = window.prompt('New folder name:')
+    const name = await requestText({
+      title: 'New folder',
+      label: `Name of the new folder in ${path ? basename(path) : 'Root'}`,
+      confirmLabel: 'Create',
+      validate: itemNameValidator(),
+    })
     if (!name) return
     setBusy(true)
     setError('')
     try {
-      await api(
+      const result = await api(
         `/api/files/mkdir?path=${encodeURIComponent(path)}&name=${encodeURIComponent(name)}`,
         { method: 'POST' },
       )
       setLog(`Created folder ${name}`)
+      if (result?.path) recordOperation(`Created folder ${name}`, [{ type: 'remove', path: result.path, emptyFolder: true }])
       await loadPath(path)
     } catch (err) {
       setError(friendlyErrorMessage(err.message || `Create folder failed: ${name}`))
@@ -1924,17 +6277,32 @@ export default function App() {
       setError('Rename is disabled by host settings.')
       return
     }
-    const name = window.prompt(`Rename "${item.name}" to:`, item.name)
+    // Search results can come from other folders, so only the shown folder's names are checked here.
+    const inShownFolder = dirname(item.path) === path
+    const name = await requestText({
+      title: `Rename ${item.directory ? 'folder' : 'file'}`,
+      label: 'New name',
+      initialValue: item.name,
+      selectStem: !item.directory,
+      confirmLabel: 'Rename',
+      validate: inShownFolder
+        ? itemNameValidator(item.name)
+        : (value) => validateItemName(value, { currentName: item.name, showHidden: !!boot?.showHiddenFiles }),
+    })
     if (!name || name === item.name) return
     setBusy(true)
     setError('')
     try {
-      await api(
+      const result = await api(
         `/api/files/rename?path=${encodeURIComponent(item.path)}&name=${encodeURIComponent(name)}`,
         { method: 'POST' },
       )
       setLog(`Renamed ${item.name} to ${name}`)
+      if (result?.renamed) {
+        recordOperation(`Renamed ${item.name} to ${name}`, [{ type: 'rename', path: result.path, name: item.name }])
+      }
       await loadPath(path)
+      refreshSearch()
     } catch (err) {
       setError(friendlyErrorMessage(err.message || `Rename failed: ${item.name}`))
     } finally {
@@ -1948,6 +6316,11 @@ export default function App() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [])
 
+  useEffect(() => {
+    // Opening the transfer database sweeps partial downloads that expired since the last visit.
+    openTransferDb()
+  }, [])
+
   useEffect(() => {
     clearTimers()
     if (!boot) return undefined
@@ -1967,7 +6340,7 @@ export default function App() {
 
     if (boot.paired) {
       heartbeatRef.current = setInterval(() => {
-        if (busyRef.current) return
+        if (busyRef.current || transfersActiveRef.current) return
         api('/api/heartbeat', { method: 'POST' }).catch(async (err) => {
           if (String(err?.message || '').toLowerCase().includes('revoked')) {
             setError('Connection revoked by host.')
@@ -2006,6 +6379,38 @@ export default function App() {
     busyRef.current = busy
   }, [busy])
 
+  latestActionsRef.current = { uploadFiles, downloadItem, downloadSelectionZip, prepareShareRequest, applyRoute }
+
+  useEffect(() => {
+    if (!paired) return
+    const nextUrl = routeUrl({ path, criteria: search?.criteria || null, preview: previewPath })
+    if (nextUrl === `${window.location.pathname}${window.location.search}`) return
+    // Entering a folder and opening or closing a preview get their own history entries. Refining a search
+    // or stepping through previews replaces the current entry, so Back does not replay every keystroke.
+    const current = readRoute()
+    const newEntry = current.path !== path || !current.preview !== !previewPath
+    window.history[newEntry ? 'pushState' : 'replaceState'](null, '', nextUrl)
+  }, [paired, path, search?.criteria, previewPath])
+
+  useEffect(() => {
+    const onPopState = () => latestActionsRef.current.applyRoute?.(readRoute())
+    window.addEventListener('popstate', onPopState)
+    return () => window.removeEventListener('popstate', onPopState)
+  }, [])
+
+  useEffect(() => {
+    transfersActiveRef.current = transfers.some((entry) => entry.state === 'active')
+    // Controls only matter while their row is listed; drop the rest so retries do not pin old Files.
+    const listed = new Set(transfers.map((entry) => entry.id))
+    for (const id of transferControlsRef.current.keys()) {
+      if (!listed.has(id)) transferControlsRef.current.delete(id)
+    }
+  }, [transfers])
+
+  useEffect(() => {
+    writeUploadConcurrency(uploadConcurrency)
+  }, [uploadConcurrency])
+
   const shareArmedItemPath = preparedShare?.targetType === 'item' ? preparedShare.targetPath : ''
   const shareArmedBatchKey = preparedShare?.targetType === 'batch' ? preparedShare.batchKey : ''
 
@@ -2084,21 +6489,26 @@ export default function App() {
           pathLoading={pathLoading}
           path={path}
           canGoUp={(path || '').split('/').filter(Boolean).length > 0}
-          items={items}
+          items={listedItems}
           selectedPaths={selectedPaths}
           log={log}
-          transfer={transfer}
+          resumableUploadCount={resumableUploadCount}
+          uploadConcurrency={uploadConcurrency}
+          onUploadConcurrencyChange={setUploadConcurrency}
+          transfers={transfers}
           permissions={permissions}
           onUp={goUp}
-          onLoadPath={loadPath}
+          onLoadPath={openFolder}
           onUploadFiles={(files) => uploadFiles(files, false)}
           onUploadFolder={(files) => uploadFiles(files, true)}
+          onDropUpload={(sources, targetPath) => uploadFiles(sources, false, targetPath)}
           onDeleteItem={deleteItem}
           onCreateFolder={createFolder}
           onRenameItem={renameItem}
           onToggleSelectPath={toggleSelectPath}
           onToggleSelectByLongPress={toggleSelectByLongPress}
           onToggleSelectAll={toggleSelectAll}
+          onSelectPaths={setSelectedPaths}
           shareArmedItemPath={shareArmedItemPath}
           shareArmedBatchKey={shareArmedBatchKey}
           onDownloadItem={downloadItem}
@@ -2106,7 +6516,115 @@ export default function App() {
           onBatchShare={batchShareSelected}
           onBatchDelete={batchDeleteSelected}
           onCancelTransfer={cancelTransfer}
+          onCancelAllTransfers={cancelAllTransfers}
+          onRetryTransfer={retryTransfer}
+          onDismissTransfer={dismissTransfer}
+          onClearFinishedTransfers={clearFinishedTransfers}
+          onOpenTransferHistory={() => setHistoryOpen(true)}
           onShareItem={shareItem}
+          search={search}
+          onSearch={runSearch}
+          previewPath={previewPath}
+          onPreviewPathChange={setPreviewPath}
+          onPickDestination={(paths, copy) => setFolderPicker({ paths, copy })}
+          onTransferItems={transferItems}
+          onOpenTrash={() => setTrashOpen(true)}
+          onUndo={() => undoOperation()}
+          canUndo={operations.some((operation) => operation.status === 'done')}
+          onOpenOperations={() => setOperationsOpen(true)}
+          requestConfirm={requestConfirm}
+          onError={setError}
+          onBatchRename={(selected) => {
+            if (selected.length > 0) setBatchRenameItems(selected)
+          }}
+          onFileSaved={(item) => {
+            setLog(`Saved ${item.name}`)
+            loadPath(currentPathRef.current, { silent: true })
+          }}
+        />
+      )}
+
+      {historyOpen && (
+        <TransferHistoryDialog
+          revision={historyRevision}
+          canRetry={(entry) => !!historyRetryFor(entry)}
+          onRetry={retryFromHistory}
+          onClose={() => setHistoryOpen(false)}
+        />
+      )}
+
+      {folderPicker && (
+        <FolderPickerDialog
+          title={`${folderPicker.copy ? 'Copy' : 'Move'} ${folderPicker.paths.length === 1 ? basename(folderPicker.paths[0]) : `${folderPicker.paths.length} items`}`}
+          confirmLabel={folderPicker.copy ? 'Copy' : 'Move'}
+          initialPath={path}
+          sourcePaths={folderPicker.copy ? [] : folderPicker.paths}
+          onClose={() => setFolderPicker(null)}
+          onConfirm={(destination, conflict) => {
+            const { paths, copy } = folderPicker
+            setFolderPicker(null)
+            transferItems(paths, destination, { copy, conflict })
+          }}
+        />
+      )}
+
+      {operationsOpen && (
+        <OperationsDialog
+          operations={operations}
+          busy={busy}
+          onUndo={undoOperation}
+          onClear={() => setOperations([])}
+          onClose={() => setOperationsOpen(false)}
+        />
+      )}
+
+      {trashOpen && (
+        <TrashDialog
+          requestConfirm={requestConfirm}
+          onClose={() => setTrashOpen(false)}
+          onRestored={(entry, restoredPath) => {
+            setLog(`Restored ${entry.name} to /${dirname(restoredPath)}`)
+            loadPath(currentPathRef.current, { silent: true })
+            refreshSearch()
+          }}
+        />
+      )}
+
+      {batchRenameItems && (
+        <BatchRenameDialog
+          items={batchRenameItems}
+          listingPath={path}
+          listing={items}
+          showHidden={!!boot?.showHiddenFiles}
+          onApply={renameBatch}
+          onClose={() => setBatchRenameItems(null)}
+        />
+      )}
+
+      {uploadConflictPrompt && (
+        <UploadConflictDialog
+          conflicts={uploadConflictPrompt.conflicts}
+          onResolve={uploadConflictPrompt.resolve}
+        />
+      )}
+
+      {dialogRequest?.kind === 'confirm' && (
+        <ConfirmDialog key={dialogRequest.id} request={dialogRequest} onResolve={dialogRequest.resolve} />
+      )}
+      {dialogRequest?.kind === 'text' && (
+        <TextInputDialog key={dialogRequest.id} request={dialogRequest} onResolve={dialogRequest.resolve} />
+      )}
+
+      {undoToastOperation && (
+        <UndoToast
+          operation={undoToastOperation}
+          busy={busy}
+          onUndo={undoOperation}
+          onOpenHistory={() => {
+            setUndoToastId(null)
+            setOperationsOpen(true)
+          }}
+          onDismiss={() => setUndoToastId(null)}
         />
       )}
     </main>